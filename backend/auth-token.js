@@ -1,21 +1,86 @@
 // JWT トークンベース認証への移行
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-jwt-secret-for-development';
 
-// JWTトークン生成
-function generateToken(user) {
+// アクセストークン（JWT）は短命にし、期限切れはリフレッシュトークンで更新する
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// どちらも JavaScript から読めない httpOnly Cookie で渡す
+const ACCESS_TOKEN_COOKIE = 'kakeibo.at';
+const REFRESH_TOKEN_COOKIE = 'kakeibo.rt';
+
+// JWTトークン生成（sessionId はログイン1回ごとの auth_sessions.id。ログアウトで無効にするために含める）
+function generateToken(user, sessionId) {
     return jwt.sign(
         { 
             id: user.id, 
             email: user.email, 
-            name: user.name 
+            name: user.name,
+            sid: sessionId
         }, 
         JWT_SECRET, 
-        { expiresIn: '24h' }
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
     );
 }
 
+// リフレッシュトークンはランダムな文字列。DBには SHA-256 のハッシュだけを保存する
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function generateRefreshToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, hash: hashRefreshToken(token) };
+}
+
+// メールで送るアカウント操作用のトークン（メールアドレスの確認・パスワードの再設定）
+// 署名付きの JWT で、用途（audience）と有効期限を持つ。1回だけ使えるよう jti を account_tokens に記録する
+const ACCOUNT_TOKEN_PURPOSES = {
+    verifyEmail: { audience: 'verify_email', ttlSeconds: 24 * 60 * 60 },
+    resetPassword: { audience: 'reset_password', ttlSeconds: 60 * 60 },
+    // パスワードの確認後、2段階認証のコードを入力するまで（使用状況は login_challenges に記録する）
+    loginChallenge: { audience: 'login_2fa', ttlSeconds: 5 * 60 }
+};
+
+function generateAccountToken(userId, purpose) {
+    const { audience, ttlSeconds } = ACCOUNT_TOKEN_PURPOSES[purpose];
+    const jti = crypto.randomUUID();
+    const token = jwt.sign({ sub: String(userId) }, JWT_SECRET, { audience, jwtid: jti, expiresIn: ttlSeconds });
+    return { token, jti, expiresAt: new Date(Date.now() + ttlSeconds * 1000) };
+}
+
+// 署名・用途・有効期限を確認し、{ userId, jti } を返す（不正なら null）
+function verifyAccountToken(token, purpose) {
+    if (typeof token !== 'string' || token === '') return null;
+    try {
+        const payload = jwt.verify(token, JWT_SECRET, { audience: ACCOUNT_TOKEN_PURPOSES[purpose].audience });
+        return payload.jti ? { userId: Number(payload.sub), jti: payload.jti } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Cookie ヘッダーから指定した名前の値を取り出す
+// 値が正しくエンコードされていない Cookie は、送られていないものとして扱う
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        if (part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
 // JWTトークン検証
 function verifyToken(token) {
     try {
@@ -25,16 +90,17 @@ function verifyToken(token) {
     }
 }
 
-// Authorization headerからトークン取得
+// Authorization header（APIクライアント向け）、なければアクセストークンの Cookie からトークン取得
 function getTokenFromRequest(req) {
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith('Bearer ')) {
         return authHeader.substring(7);
     }
-    return null;
+    return readCookie(req, ACCESS_TOKEN_COOKIE);
 }
 
 // 認証ミドルウェア（JWT版）
+// 署名と有効期限だけを確認する。ログアウト済みかどうかは確認しないため、server.js では requireAuth を使う
 function requireAuthJWT(req, res, next) {
     const token = getTokenFromRequest(req);
     
@@ -52,7 +118,17 @@ function requireAuthJWT(req, res, next) {
 }
 
 module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_DAYS,
+    ACCESS_TOKEN_COOKIE,
+    REFRESH_TOKEN_COOKIE,
+    ACCOUNT_TOKEN_PURPOSES,
     generateToken,
+    generateRefreshToken,
+    hashRefreshToken,
+    generateAccountToken,
+    verifyAccountToken,
+    readCookie,
     verifyToken,
     getTokenFromRequest,
     requireAuthJWT
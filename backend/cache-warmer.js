@@ -0,0 +1,172 @@
+// 株価・為替キャッシュの事前取得（取引日ごとに1回、米国市場の取引終了後に実行）
+// 外部APIの無料枠を使い切らないよう、1日に使うリクエスト数の上限（budget）を守る
+const MARKET_TIME_ZONE = 'America/New_York';
+const MARKET_CLOSE_HOUR = 16;
+// 取引終了から少し待って、当日の終値が反映されてから取得する
+const REFRESH_HOUR = 18;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// 1分あたりの上限に達したときは、この時間だけ待ってから同じ対象を取り直す
+const RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const clockFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+// 米国東部時間での日付（YYYY-MM-DD）・曜日・時刻
+function getMarketClock(now = new Date()) {
+    const parts = Object.fromEntries(clockFormat.formatToParts(now).map(part => [part.type, part.value]));
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday,
+        hour: Number(parts.hour),
+        minute: Number(parts.minute)
+    };
+}
+
+// 土日以外を取引日とみなす（米国の祝日は考慮しない。祝日に取得しても新しい足が増えないだけ）
+const isTradingDay = (clock) => !['Sat', 'Sun'].includes(clock.weekday);
+
+// listTasks(): 取得対象 [{ target, kind }]（優先度の高い順）
+// runTask(task, { maxAgeHours }): 取得を実行し { requested, success, rateLimited, dailyLimit } を返す
+//   maxAgeHours 以内に取得済みのデータは取り直さない（requested: false）
+//   dailyLimit: API制限のうち1日の上限に達した場合（それ以外は1分あたりの上限とみなす）
+// countRequestsToday(): 今日すでに使ったリクエスト数
+// requestIntervalMs: リクエストの間隔（1分あたりの上限を超えないように空ける）
+// wait(ms): 待機処理（テストでは待たずに記録する）
+function createCacheWarmer({
+    listTasks,
+    runTask,
+    countRequestsToday,
+    budget,
+    requestIntervalMs = 0,
+    rateLimitWaitMs = RATE_LIMIT_WAIT_MS,
+    wait = sleep,
+    logger = console
+}) {
+    let timer = null;
+    let running = false;
+    let lastRunDate = null;
+    let lastRun = null;
+
+    const runOnce = async (clock = getMarketClock()) => {
+        running = true;
+        const summary = {
+            tradingDate: clock.date,
+            startedAt: new Date(),
+            finishedAt: null,
+            requested: 0,
+            succeeded: 0,
+            failed: 0,
+            skipped: 0,
+            remaining: 0,
+            stoppedReason: null
+        };
+        lastRun = summary;
+
+        try {
+            const tasks = await listTasks();
+            let used = await countRequestsToday();
+            // 取引終了後に取得済みのデータはそのまま使う
+            const maxAgeHours = Math.max(0, clock.hour + clock.minute / 60 - MARKET_CLOSE_HOUR);
+
+            let spacingNeeded = false;
+            let retrying = false;
+
+            for (let index = 0; index < tasks.length; index += 1) {
+                if (used >= budget) {
+                    summary.remaining = tasks.length - index;
+                    summary.stoppedReason = 'budget';
+                    break;
+                }
+                if (spacingNeeded) {
+                    await wait(requestIntervalMs);
+                    spacingNeeded = false;
+                }
+
+                const result = await runTask(tasks[index], { maxAgeHours });
+                if (!result.requested) {
+                    summary.skipped += 1;
+                    continue;
+                }
+
+                used += 1;
+                summary.requested += 1;
+                spacingNeeded = true;
+
+                // 1分あたりの上限なら、少し待って同じ対象を1回だけ取り直す
+                if (result.rateLimited && !result.dailyLimit && !retrying) {
+                    retrying = true;
+                    await wait(rateLimitWaitMs);
+                    spacingNeeded = false;
+                    index -= 1;
+                    continue;
+                }
+                retrying = false;
+
+                if (result.success) {
+                    summary.succeeded += 1;
+                } else {
+                    summary.failed += 1;
+                }
+                // 1日の上限に達した（または待っても制限が続く）場合は、残りを次の取引日に回す
+                if (result.rateLimited) {
+                    summary.remaining = tasks.length - index - 1;
+                    summary.stoppedReason = 'rate_limit';
+                    break;
+                }
+            }
+            logger.log(`🔥 Cache warm-up for ${clock.date}: ${summary.succeeded} ok, ${summary.failed} failed, ${summary.skipped} skipped`);
+        } catch (error) {
+            summary.stoppedReason = 'error';
+            logger.error('Cache warm-up failed:', error);
+        } finally {
+            summary.finishedAt = new Date();
+            running = false;
+        }
+        return summary;
+    };
+
+    // 取引日の取得時刻を過ぎていて、その日にまだ実行していなければ実行する
+    const tick = async (now = new Date()) => {
+        const clock = getMarketClock(now);
+        if (running || lastRunDate === clock.date || !isTradingDay(clock) || clock.hour < REFRESH_HOUR) {
+            return null;
+        }
+        lastRunDate = clock.date;
+        return runOnce(clock);
+    };
+
+    return {
+        runOnce,
+        tick,
+        start() {
+            if (timer) return;
+            timer = setInterval(() => tick(), CHECK_INTERVAL_MS);
+            // タイマーだけが残ってプロセスが終了できなくならないようにする
+            timer.unref();
+            tick();
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        getStatus() {
+            return { running, budget, lastRun };
+        }
+    };
+}
+
+module.exports = {
+    getMarketClock,
+    isTradingDay,
+    createCacheWarmer
+};
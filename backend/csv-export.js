@@ -0,0 +1,43 @@
+// 家計簿データのCSV書き出し処理
+// Excelで日本語が文字化けしないよう、先頭にBOMを付けて改行はCRLFにする
+const CSV_BOM = '\uFEFF';
+
+// 書き出す列の定義（見出しと行データの取り出し方）
+const EXPORT_COLUMNS = [
+    { header: '日付', value: row => row.date },
+    { header: '種別', value: row => (row.entry_type === 'income' ? '収入' : '支出') },
+    { header: 'カテゴリ', value: row => row.category_label || row.category },
+    { header: '項目名', value: row => row.title },
+    { header: '金額', value: row => row.amount, numeric: true }
+];
+
+// Excel が数式として扱う先頭文字（CSV インジェクション対策）
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// 数式として実行されないよう、記号で始まる文字列の先頭に ' を付ける（数値の列は負の数もそのまま）
+// セルにカンマ・ダブルクォート・改行が含まれる場合はクォートする
+function escapeCsvCell(value, { numeric = false } = {}) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (!numeric && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(cells) {
+    return `${cells.join(',')}\r\n`;
+}
+
+function toCsvHeader() {
+    return CSV_BOM + toCsvLine(EXPORT_COLUMNS.map(column => escapeCsvCell(column.header)));
+}
+
+function toCsvRow(row) {
+    return toCsvLine(EXPORT_COLUMNS.map(column => escapeCsvCell(column.value(row), { numeric: column.numeric })));
+}
+
+module.exports = {
+    escapeCsvCell,
+    toCsvHeader,
+    toCsvRow
+};
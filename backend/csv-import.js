@@ -0,0 +1,156 @@
+// 銀行・クレジットカード明細CSVの取り込み処理
+const SUPPORTED_ENCODINGS = ['auto', 'utf-8', 'shift_jis'];
+
+// CSVのバイト列を文字列に変換（auto の場合は UTF-8 として読めなければ Shift_JIS とみなす）
+function decodeCsvBuffer(buffer, encoding = 'auto') {
+    let text;
+    if (encoding === 'shift_jis') {
+        text = new TextDecoder('shift_jis').decode(buffer);
+    } else if (encoding === 'utf-8') {
+        text = new TextDecoder('utf-8').decode(buffer);
+    } else {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            text = new TextDecoder('shift_jis').decode(buffer);
+        }
+    }
+    // BOMを除去
+    return text.replace(/^\uFEFF/, '');
+}
+
+// RFC 4180 形式のCSVを2次元配列に変換（ダブルクォート・改行を含むセルに対応）
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // 空行を除外
+    return records.filter(row => row.some(cell => cell.trim() !== ''));
+}
+
+// 日付を YYYY-MM-DD に正規化（2025/10/01, 2025-10-01, 2025年10月1日, 20251001 に対応）
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    const match = text.match(/^(\d{4})[/\-.年](\d{1,2})[/\-.月](\d{1,2})日?/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// 金額の文字列を数値に変換（カンマ・円記号・全角数字に対応、空欄は null）
+function parseAmount(value) {
+    const text = String(value || '')
+        .replace(/[０-９]/g, digit => String.fromCharCode(digit.charCodeAt(0) - 0xFEE0))
+        .replace(/[,，¥￥円\s]/g, '')
+        .replace(/^[−▲△]/, '-');
+    if (text === '') return null;
+
+    const amount = Number(text);
+    return Number.isNaN(amount) ? null : amount;
+}
+
+// 列の指定（ヘッダー名または0始まりの列番号）を列番号に変換
+function resolveColumn(column, headers) {
+    if (column === undefined || column === null || column === '') return -1;
+    if (/^\d+$/.test(String(column))) return Number(column);
+    return headers ? headers.findIndex(header => header.trim() === String(column).trim()) : -1;
+}
+
+// CSVレコードを家計簿の取り込み候補に変換
+// mapping: { date, title, amount, deposit } 各列の指定。deposit 列に金額がある行は収入として扱う
+function buildImportRows(records, mapping, { hasHeader = true } = {}) {
+    const headers = hasHeader ? records[0] : null;
+    const body = hasHeader ? records.slice(1) : records;
+    const columns = {
+        date: resolveColumn(mapping.date, headers),
+        title: resolveColumn(mapping.title, headers),
+        amount: resolveColumn(mapping.amount, headers),
+        deposit: resolveColumn(mapping.deposit, headers)
+    };
+
+    const missing = ['date', 'title', 'amount'].filter(key => columns[key] < 0);
+    if (missing.length > 0) {
+        return { error: `列が見つかりません: ${missing.join(', ')}`, headers };
+    }
+
+    const rows = body.map((record, index) => {
+        const rowNumber = index + (hasHeader ? 2 : 1);
+        const date = normalizeDate(record[columns.date]);
+        const title = String(record[columns.title] || '').trim();
+        const withdrawal = parseAmount(record[columns.amount]);
+        const deposit = columns.deposit >= 0 ? parseAmount(record[columns.deposit]) : null;
+        const isIncome = deposit !== null && deposit !== 0;
+        const amount = Math.abs(isIncome ? deposit : withdrawal || 0);
+
+        let error = null;
+        if (!date) error = '日付を読み取れません';
+        else if (!title) error = '摘要が空です';
+        else if (!amount) error = '金額を読み取れません';
+        else if (!Number.isInteger(amount)) error = '金額は1円単位で入力してください';
+
+        return {
+            rowNumber,
+            date,
+            title,
+            amount,
+            type: isIncome ? 'income' : 'expense',
+            error
+        };
+    });
+
+    return { headers, rows };
+}
+
+module.exports = {
+    SUPPORTED_ENCODINGS,
+    decodeCsvBuffer,
+    parseCsv,
+    normalizeDate,
+    parseAmount,
+    buildImportRows
+};
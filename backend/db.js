@@ -0,0 +1,17 @@
+// PostgreSQL の接続プール（サーバーとマイグレーションの CLI で共通の接続設定）
+const { Pool } = require('pg');
+
+function createPool() {
+    return new Pool({
+        host: process.env.DB_HOST,
+        port: Number(process.env.DB_PORT || 5432),
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_NAME,
+        ssl: process.env.DB_SSL === 'false' ? undefined : { rejectUnauthorized: false }
+    });
+}
+
+module.exports = {
+    createPool
+};
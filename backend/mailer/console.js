@@ -0,0 +1,10 @@
+// メールを送らずにコンソールへ出力するトランスポート（開発用）
+function createConsoleTransport({ logger = console } = {}) {
+    return {
+        async send({ from, to, subject, text }) {
+            logger.log(`📧 Mail to ${to} (from ${from})\nSubject: ${subject}\n\n${text}`);
+        }
+    };
+}
+
+module.exports = { createConsoleTransport };
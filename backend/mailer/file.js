@@ -0,0 +1,19 @@
+// メールを送らずに1通ずつテキストファイルへ書き出すトランスポート（開発用。ネットワークなしで確認できる）
+// ファイル名は <送信日時>-<宛先>.txt
+const fs = require('fs/promises');
+const path = require('path');
+
+function createFileTransport({ dir }) {
+    return {
+        async send({ from, to, subject, text }) {
+            await fs.mkdir(dir, { recursive: true });
+            const date = new Date();
+            const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${to.replace(/[^\w.@-]/g, '_')}.txt`;
+            const content = `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${date.toUTCString()}\n\n${text}\n`;
+            await fs.writeFile(path.join(dir, fileName), content, 'utf8');
+            console.log(`📧 Mail to ${to} written to ${fileName}`);
+        }
+    };
+}
+
+module.exports = { createFileTransport };
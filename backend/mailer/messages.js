@@ -0,0 +1,44 @@
+// アカウント関連のメールの文面
+const greeting = (name) => `${name || 'Kakeibo-Invest をご利用の方'} 様`;
+
+function buildVerificationMail({ to, name, url, expiresInHours }) {
+    return {
+        to,
+        subject: '【Kakeibo-Invest】メールアドレスの確認',
+        text: [
+            greeting(name),
+            '',
+            'Kakeibo-Invest にご登録いただきありがとうございます。',
+            '次のリンクを開いて、メールアドレスの確認を完了してください。',
+            '',
+            url,
+            '',
+            `このリンクの有効期限は${expiresInHours}時間です。`,
+            'お心当たりのない場合は、このメールを破棄してください。'
+        ].join('\n')
+    };
+}
+
+function buildPasswordResetMail({ to, name, url, expiresInHours }) {
+    return {
+        to,
+        subject: '【Kakeibo-Invest】パスワードの再設定',
+        text: [
+            greeting(name),
+            '',
+            'パスワードの再設定のお申し込みを受け付けました。',
+            '次のリンクを開いて、新しいパスワードを設定してください。',
+            '',
+            url,
+            '',
+            `このリンクの有効期限は${expiresInHours}時間で、1回だけ使えます。`,
+            'パスワードを再設定すると、すべての端末からログアウトします。',
+            'お心当たりのない場合は、このメールを破棄してください（パスワードは変更されません）。'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    buildVerificationMail,
+    buildPasswordResetMail
+};
@@ -0,0 +1,17 @@
+// SMTP サーバー経由で実際に送信するトランスポート（本番用）
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ url }) {
+    if (!url) {
+        throw new Error('SMTP_URL is required when MAIL_TRANSPORT=smtp');
+    }
+    const transporter = nodemailer.createTransport(url);
+
+    return {
+        async send({ from, to, subject, text }) {
+            await transporter.sendMail({ from, to, subject, text });
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,135 @@
+// Alpha Vantage の市場データプロバイダーと、レスポンス形式（JSON）との相互変換
+const fetch = require('node-fetch');
+const { MarketDataError } = require('./errors');
+
+const API_URL = 'https://www.alphavantage.co/query';
+
+// 系列の種類ごとの API 関数名とレスポンス内のキー
+const SERIES = {
+    daily: {
+        apiFunction: 'TIME_SERIES_DAILY',
+        seriesKey: 'Time Series (Daily)',
+        information: 'Daily Prices (open, high, low, close) and Volumes'
+    },
+    monthly: {
+        apiFunction: 'TIME_SERIES_MONTHLY',
+        seriesKey: 'Monthly Time Series',
+        information: 'Monthly Prices (open, high, low, close) and Volumes'
+    },
+    monthlyAdjusted: {
+        apiFunction: 'TIME_SERIES_MONTHLY_ADJUSTED',
+        seriesKey: 'Monthly Adjusted Time Series',
+        information: 'Monthly Adjusted Prices and Volumes'
+    },
+    fxMonthly: {
+        apiFunction: 'FX_MONTHLY',
+        seriesKey: 'Time Series FX (Monthly)',
+        information: 'FX Monthly Prices (open, high, low, close)'
+    }
+};
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// レスポンスを検証し、足の配列（日付の昇順）に変換する
+// 調整後の系列では adjusted_close と dividend も埋める
+function parseSeries(kind, payload) {
+    const { seriesKey } = SERIES[kind];
+
+    if (!payload || payload['Error Message']) {
+        throw new MarketDataError('NOT_FOUND', payload?.['Error Message'] || 'Empty response');
+    }
+    // 無料枠は1分あたりと1日あたりの上限があり、メッセージでどちらかを判別する
+    const rateLimitMessage = payload['Information']?.includes('rate limit') ? payload['Information'] : payload['Note'];
+    if (rateLimitMessage) {
+        throw new MarketDataError('RATE_LIMITED', rateLimitMessage, { dailyLimit: /per day/i.test(rateLimitMessage) });
+    }
+    if (!payload[seriesKey]) {
+        throw new MarketDataError(
+            'UNAVAILABLE',
+            payload['Information'] || `Invalid API response format - no ${seriesKey}`
+        );
+    }
+
+    return Object.entries(payload[seriesKey])
+        .map(([date, values]) => ({
+            date,
+            open: toNumber(values['1. open']),
+            high: toNumber(values['2. high']),
+            low: toNumber(values['3. low']),
+            close: toNumber(values['4. close']),
+            volume: toNumber(values['6. volume'] ?? values['5. volume']),
+            adjusted_close: toNumber(values['5. adjusted close']),
+            dividend: toNumber(values['7. dividend amount'])
+        }))
+        .filter(bar => bar.close !== null)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// 足の配列を Alpha Vantage と同じ形式に戻す（フロントエンドはこの形式を読む）
+// meta: 株価は { symbol }、為替は { from, to }
+function formatSeries(kind, meta, bars) {
+    const { seriesKey, information } = SERIES[kind];
+    const series = {};
+    // Alpha Vantage と同じく新しい日付から並べる
+    for (let i = bars.length - 1; i >= 0; i -= 1) {
+        const bar = bars[i];
+        const values = {
+            '1. open': String(bar.open ?? bar.close),
+            '2. high': String(bar.high ?? bar.close),
+            '3. low': String(bar.low ?? bar.close),
+            '4. close': String(bar.close)
+        };
+        if (kind === 'monthlyAdjusted') {
+            values['5. adjusted close'] = String(bar.adjusted_close ?? bar.close);
+            values['6. volume'] = String(bar.volume ?? 0);
+            values['7. dividend amount'] = String(bar.dividend ?? 0);
+        } else if (kind !== 'fxMonthly') {
+            values['5. volume'] = String(bar.volume ?? 0);
+        }
+        series[bar.date] = values;
+    }
+
+    const lastRefreshed = bars.length > 0 ? bars[bars.length - 1].date : null;
+    const metaData = kind === 'fxMonthly'
+        ? { '1. Information': information, '2. From Symbol': meta.from, '3. To Symbol': meta.to, '4. Last Refreshed': lastRefreshed }
+        : { '1. Information': information, '2. Symbol': meta.symbol, '3. Last Refreshed': lastRefreshed };
+
+    return { 'Meta Data': metaData, [seriesKey]: series };
+}
+
+function createAlphaVantageProvider({ apiKey }) {
+    const request = async (kind, params) => {
+        if (!apiKey) {
+            throw new MarketDataError('UNAVAILABLE', 'ALPHA_VANTAGE_API_KEY is not defined');
+        }
+
+        const search = new URLSearchParams({ function: SERIES[kind].apiFunction, ...params, apikey: apiKey });
+        let payload;
+        try {
+            const response = await fetch(`${API_URL}?${search}`);
+            payload = await response.json();
+        } catch (error) {
+            throw new MarketDataError('UNAVAILABLE', error.message);
+        }
+        return parseSeries(kind, payload);
+    };
+
+    return {
+        name: 'alphavantage',
+        fetchDaily: (symbol) => request('daily', { symbol }),
+        fetchMonthly: (symbol) => request('monthly', { symbol }),
+        fetchMonthlyAdjusted: (symbol) => request('monthlyAdjusted', { symbol }),
+        fetchFxMonthly: (from, to) => request('fxMonthly', { from_symbol: from, to_symbol: to })
+    };
+}
+
+module.exports = {
+    SERIES,
+    parseSeries,
+    formatSeries,
+    createAlphaVantageProvider
+};
@@ -0,0 +1,13 @@
+// 市場データの取得エラー（code で原因を区別する）
+// NOT_FOUND: 銘柄・通貨ペアが存在しない / RATE_LIMITED: API制限中 / UNAVAILABLE: その他の取得失敗
+// dailyLimit: RATE_LIMITED のうち、1日の上限に達した場合（1分あたりの上限なら少し待てば取得できる）
+class MarketDataError extends Error {
+    constructor(code, message, { dailyLimit = false } = {}) {
+        super(message);
+        this.name = 'MarketDataError';
+        this.code = code;
+        this.dailyLimit = dailyLimit;
+    }
+}
+
+module.exports = { MarketDataError };
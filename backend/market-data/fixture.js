@@ -0,0 +1,33 @@
+// ファイルから市場データを読むプロバイダー（APIキー・ネットワークなしでの開発・テスト用）
+// ファイルは Alpha Vantage のレスポンスと同じ形式で、<dir>/<種類>-<銘柄>.json に置く
+// 例: daily-SPY.json, monthly-SPY.json, monthlyAdjusted-SPY.json, fxMonthly-USD-JPY.json
+const fs = require('fs/promises');
+const path = require('path');
+const { MarketDataError } = require('./errors');
+const { parseSeries } = require('./alpha-vantage');
+
+function createFixtureProvider({ dir }) {
+    const read = async (kind, key) => {
+        const file = path.join(dir, `${kind}-${key}.json`);
+        let payload;
+        try {
+            payload = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new MarketDataError('NOT_FOUND', `Fixture not found: ${path.basename(file)}`);
+            }
+            throw new MarketDataError('UNAVAILABLE', error.message);
+        }
+        return parseSeries(kind, payload);
+    };
+
+    return {
+        name: 'fixture',
+        fetchDaily: (symbol) => read('daily', symbol),
+        fetchMonthly: (symbol) => read('monthly', symbol),
+        fetchMonthlyAdjusted: (symbol) => read('monthlyAdjusted', symbol),
+        fetchFxMonthly: (from, to) => read('fxMonthly', `${from}-${to}`)
+    };
+}
+
+module.exports = { createFixtureProvider };
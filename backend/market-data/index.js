@@ -0,0 +1,34 @@
+// 市場データ（株価・為替）の取得元を環境変数で切り替える
+// MARKET_DATA_PROVIDER: alphavantage（既定）| fixture
+// MARKET_DATA_FIXTURE_DIR: fixture の読み込み先（既定は market-data/fixtures）
+//
+// プロバイダーは次のメソッドを持ち、いずれも足の配列（日付の昇順）を返す。
+// 失敗した場合は MarketDataError（code: NOT_FOUND / RATE_LIMITED / UNAVAILABLE）を投げる
+//   fetchDaily(symbol) / fetchMonthly(symbol) / fetchMonthlyAdjusted(symbol) / fetchFxMonthly(from, to)
+// 足: { date, open, high, low, close, volume, adjusted_close, dividend }（ない項目は null）
+const path = require('path');
+const { MarketDataError } = require('./errors');
+const { formatSeries, createAlphaVantageProvider } = require('./alpha-vantage');
+const { createFixtureProvider } = require('./fixture');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+const PROVIDERS = {
+    alphavantage: (env) => createAlphaVantageProvider({ apiKey: env.ALPHA_VANTAGE_API_KEY }),
+    fixture: (env) => createFixtureProvider({ dir: env.MARKET_DATA_FIXTURE_DIR || DEFAULT_FIXTURE_DIR })
+};
+
+function createMarketDataProvider(env = process.env) {
+    const name = env.MARKET_DATA_PROVIDER || 'alphavantage';
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown MARKET_DATA_PROVIDER: ${name} (expected ${Object.keys(PROVIDERS).join(' | ')})`);
+    }
+    return factory(env);
+}
+
+module.exports = {
+    MarketDataError,
+    formatSeries,
+    createMarketDataProvider
+};
@@ -0,0 +1,76 @@
+// 番号付きのSQLマイグレーション（migrations/001_xxx.sql …）を番号順に適用する
+// 適用済みのファイルは schema_migrations に記録し、二度は実行しない
+// サーバー起動時に自動で実行されるほか、`npm run migrate` で単独でも実行できる
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d{3}_[a-z0-9_]+\.sql$/;
+// 複数のインスタンスが同時に起動しても、マイグレーションは1つずつ実行する
+const MIGRATION_LOCK_ID = 72010;
+
+const listMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => ({ version: file.replace(/\.sql$/, ''), file: path.join(dir, file) }));
+
+// 未適用のマイグレーションを1ファイルずつトランザクション内で適用し、適用したバージョンを返す
+async function runMigrations(pool, { dir = MIGRATIONS_DIR, logger = console } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version VARCHAR(255) PRIMARY KEY,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        const { rows } = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.version));
+
+        const appliedNow = [];
+        for (const migration of listMigrations(dir)) {
+            if (applied.has(migration.version)) continue;
+
+            const sql = fs.readFileSync(migration.file, 'utf8');
+            try {
+                await client.query('BEGIN');
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [migration.version]);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                error.message = `Migration ${migration.version} failed: ${error.message}`;
+                throw error;
+            }
+            logger.log(`📜 Applied migration ${migration.version}`);
+            appliedNow.push(migration.version);
+        }
+        return appliedNow;
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+module.exports = {
+    listMigrations,
+    runMigrations
+};
+
+// npm run migrate
+if (require.main === module) {
+    require('dotenv').config();
+    const { createPool } = require('./db');
+    const pool = createPool();
+
+    runMigrations(pool)
+        .then(applied => {
+            console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) applied` : '✅ Database schema is up to date');
+        })
+        .catch(error => {
+            console.error('❌ Migration failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
@@ -0,0 +1,45 @@
+-- ユーザー・家計簿・株価キャッシュ・セッションの基本テーブル
+-- 以前は手作業で作成していたため、既存のデータベースでは何もしない（IF NOT EXISTS）
+
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(100),
+    -- 権限（user / admin）。管理者は ADMIN_EMAILS で指定する
+    role VARCHAR(10) NOT NULL DEFAULT 'user',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS kakeibo_data (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    amount INTEGER NOT NULL,
+    date DATE NOT NULL,
+    -- 支出 / 収入
+    entry_type VARCHAR(10) NOT NULL DEFAULT 'expense',
+    -- 定期取引から自動生成された記録の生成元
+    recurring_rule_id INTEGER,
+    -- 投資記録で購入した銘柄（未指定の記録は SPY として扱う）
+    asset_symbol VARCHAR(15),
+    -- 投資記録の口座区分（未指定は課税口座として扱う）
+    account_type VARCHAR(20),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 月次の時系列（為替・配当込み株価）のキャッシュ。キーは「USD/JPY」「ADJ:SPY」など
+CREATE TABLE IF NOT EXISTS stock_cache (
+    symbol VARCHAR(32) PRIMARY KEY,
+    data JSONB NOT NULL,
+    fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- express-session のセッション（connect-pg-simple の定義と同じ）
+CREATE TABLE IF NOT EXISTS session (
+    sid VARCHAR NOT NULL PRIMARY KEY,
+    sess JSON NOT NULL,
+    expire TIMESTAMP(6) NOT NULL
+);
+CREATE INDEX IF NOT EXISTS "IDX_session_expire" ON session (expire);
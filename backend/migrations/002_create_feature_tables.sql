@@ -0,0 +1,94 @@
+-- 予算・カテゴリ・定期取引・ポートフォリオ・株価の足・事前取得の記録
+-- （以前はサーバー起動時に作成していたテーブル。既存のデータベースでは何もしない）
+
+CREATE TABLE IF NOT EXISTS budgets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    month CHAR(7) NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, category, month)
+);
+
+CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    key VARCHAR(50) NOT NULL,
+    label VARCHAR(50) NOT NULL,
+    icon VARCHAR(16) NOT NULL DEFAULT '📁',
+    color CHAR(7) NOT NULL DEFAULT '#a29bfe',
+    entry_type VARCHAR(10) NOT NULL DEFAULT 'expense',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, key)
+);
+
+CREATE TABLE IF NOT EXISTS recurring_rules (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    amount INTEGER NOT NULL,
+    entry_type VARCHAR(10) NOT NULL DEFAULT 'expense',
+    frequency VARCHAR(10) NOT NULL,
+    day_of_month INTEGER,
+    day_of_week INTEGER,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    paused BOOLEAN NOT NULL DEFAULT FALSE,
+    last_generated_date DATE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS portfolio_targets (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    symbol VARCHAR(15) NOT NULL,
+    target_percent NUMERIC(5, 2) NOT NULL CHECK (target_percent > 0 AND target_percent <= 100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (user_id, symbol)
+);
+
+-- 株価の時系列（1行 = 1本の足）。取得済みの足は再取得せず、新しい足だけを追加する
+CREATE TABLE IF NOT EXISTS price_bars (
+    symbol VARCHAR(15) NOT NULL,
+    interval VARCHAR(10) NOT NULL,
+    date DATE NOT NULL,
+    open NUMERIC(18, 6),
+    high NUMERIC(18, 6),
+    low NUMERIC(18, 6),
+    close NUMERIC(18, 6) NOT NULL,
+    volume BIGINT,
+    adjusted_close NUMERIC(18, 6),
+    PRIMARY KEY (symbol, interval, date)
+);
+
+-- 銘柄・足の種類ごとの最終取得日時（一定時間内は外部APIを呼ばない）
+CREATE TABLE IF NOT EXISTS price_bar_loads (
+    symbol VARCHAR(15) NOT NULL,
+    interval VARCHAR(10) NOT NULL,
+    loaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (symbol, interval)
+);
+
+-- キャッシュの事前取得の結果（外部APIを呼んだ1回 = 1行。1日のリクエスト数の集計にも使う）
+CREATE TABLE IF NOT EXISTS cache_refreshes (
+    id SERIAL PRIMARY KEY,
+    target VARCHAR(32) NOT NULL,
+    kind VARCHAR(20) NOT NULL,
+    success BOOLEAN NOT NULL,
+    message TEXT,
+    refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 手作業で作成した古いテーブルに、後から追加した列を揃える
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(10) NOT NULL DEFAULT 'user';
+ALTER TABLE kakeibo_data ADD COLUMN IF NOT EXISTS entry_type VARCHAR(10) NOT NULL DEFAULT 'expense';
+ALTER TABLE kakeibo_data ADD COLUMN IF NOT EXISTS recurring_rule_id INTEGER;
+ALTER TABLE kakeibo_data ADD COLUMN IF NOT EXISTS asset_symbol VARCHAR(15);
+ALTER TABLE kakeibo_data ADD COLUMN IF NOT EXISTS account_type VARCHAR(20);
+-- 「ADJ:」付きの配当込み株価のキーが入るよう、キャッシュのキーの列を広げる
+ALTER TABLE stock_cache ALTER COLUMN symbol TYPE VARCHAR(32);
@@ -0,0 +1,52 @@
+-- 外部キー・値の制約と、よく使う検索条件のインデックス
+-- 既存のデータベースに制約に合わない行がある場合は、このマイグレーション全体が取り消されて起動に失敗する
+-- 手作業で同名の制約を作っていた場合に備えて、いったん削除してから追加する
+
+-- ユーザーを削除したら、そのユーザーのデータもすべて削除する
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_user_id_fkey;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE;
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_user_id_fkey;
+ALTER TABLE budgets ADD CONSTRAINT budgets_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE;
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_user_id_fkey;
+ALTER TABLE categories ADD CONSTRAINT categories_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE;
+ALTER TABLE recurring_rules DROP CONSTRAINT IF EXISTS recurring_rules_user_id_fkey;
+ALTER TABLE recurring_rules ADD CONSTRAINT recurring_rules_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE;
+ALTER TABLE portfolio_targets DROP CONSTRAINT IF EXISTS portfolio_targets_user_id_fkey;
+ALTER TABLE portfolio_targets ADD CONSTRAINT portfolio_targets_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE;
+
+-- 定期取引のルールを削除しても、生成済みの記録は残す
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_recurring_rule_id_fkey;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_recurring_rule_id_fkey
+    FOREIGN KEY (recurring_rule_id) REFERENCES recurring_rules (id) ON DELETE SET NULL;
+
+-- 家計簿の値（金額は1円以上、カテゴリは categories.key と同じ書式）
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_amount_check;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_amount_check CHECK (amount > 0);
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_category_check;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_category_check
+    CHECK (category ~ '^[a-z0-9_]{1,50}$');
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_entry_type_check;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_entry_type_check
+    CHECK (entry_type IN ('expense', 'income'));
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_account_type_check;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_account_type_check
+    CHECK (account_type IN ('nisa_tsumitate', 'nisa_growth', 'taxable'));
+
+ALTER TABLE recurring_rules DROP CONSTRAINT IF EXISTS recurring_rules_amount_check;
+ALTER TABLE recurring_rules ADD CONSTRAINT recurring_rules_amount_check CHECK (amount > 0);
+ALTER TABLE recurring_rules DROP CONSTRAINT IF EXISTS recurring_rules_frequency_check;
+ALTER TABLE recurring_rules ADD CONSTRAINT recurring_rules_frequency_check
+    CHECK (frequency IN ('monthly', 'weekly'));
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin'));
+
+-- 一覧・集計はユーザーと日付で絞り込む
+CREATE INDEX IF NOT EXISTS kakeibo_data_user_id_date_idx ON kakeibo_data (user_id, date);
+CREATE INDEX IF NOT EXISTS recurring_rules_user_id_idx ON recurring_rules (user_id);
+CREATE INDEX IF NOT EXISTS cache_refreshes_refreshed_at_idx ON cache_refreshes (refreshed_at);
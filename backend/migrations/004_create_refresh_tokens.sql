@@ -0,0 +1,16 @@
+-- リフレッシュトークン（トークン本体は保存せず、SHA-256 のハッシュだけを保存する）
+-- family_id はログイン1回ごとの系列。更新（ローテーション）で発行したトークンは同じ系列になり、
+-- 使用済みのトークンが再び使われたら、盗まれたものとみなして系列ごと無効にする
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    family_id VARCHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- 新しいトークンに交換した日時
+    used_at TIMESTAMPTZ,
+    -- ログアウト・再利用の検知で無効にした日時
+    revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS refresh_tokens_family_id_idx ON refresh_tokens (family_id);
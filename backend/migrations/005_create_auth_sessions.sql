@@ -0,0 +1,20 @@
+-- ログイン1回 = 1行。アクセストークン・リフレッシュトークン・セッションはこの行に紐づき、
+-- revoked_at が入ったログインはどの認証方法でも使えなくなる（ログアウト・全端末からのログアウト）
+-- id は refresh_tokens.family_id と同じ値
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(64),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS auth_sessions_user_id_idx ON auth_sessions (user_id);
+
+-- 発行済みのリフレッシュトークンの系列も、ログインとして引き継ぐ
+INSERT INTO auth_sessions (id, user_id, created_at, last_seen_at, revoked_at)
+SELECT family_id, MIN(user_id), MIN(created_at), MAX(created_at), MIN(revoked_at)
+FROM refresh_tokens
+GROUP BY family_id
+ON CONFLICT (id) DO NOTHING;
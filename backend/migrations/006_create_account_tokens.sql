@@ -0,0 +1,14 @@
+-- メールアドレスの確認日時（未確認は NULL）
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- メールで送ったアカウント操作用トークン（署名付き JWT）の使用状況
+-- id は JWT の jti。トークン自体は保存せず、1回だけ使えるよう used_at を記録する
+CREATE TABLE IF NOT EXISTS account_tokens (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS account_tokens_user_id_idx ON account_tokens (user_id);
@@ -0,0 +1,17 @@
+-- レート制限の回数（複数のサーバーで共有するため DB に保存する）
+-- key は「制限の名前:IP やアカウント」。reset_at を過ぎたら1から数え直す
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    hits INTEGER NOT NULL,
+    reset_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS rate_limits_reset_at_idx ON rate_limits (reset_at);
+
+-- アカウントごとの連続したログイン失敗回数と、ロックの解除時刻
+CREATE TABLE IF NOT EXISTS login_failures (
+    key VARCHAR(255) PRIMARY KEY,
+    failures INTEGER NOT NULL,
+    locked_until TIMESTAMPTZ,
+    last_failed_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS login_failures_last_failed_at_idx ON login_failures (last_failed_at);
@@ -0,0 +1,27 @@
+-- TOTP による2段階認証
+-- totp_pending_secret: 登録中（コードの確認前）の秘密鍵。確認できたら totp_secret に移して有効にする
+-- totp_last_used_step: 最後に使ったコードのステップ（同じコードの再利用を防ぐ）
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- 1回だけ使えるリカバリーコード（SHA-256 のハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS recovery_codes_user_id_idx ON recovery_codes (user_id);
+
+-- パスワードの確認後、2段階目のコードを待っているログイン（署名付き JWT の jti。1回だけ使える）
+CREATE TABLE IF NOT EXISTS login_challenges (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS login_challenges_user_id_idx ON login_challenges (user_id);
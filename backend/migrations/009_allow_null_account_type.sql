@@ -0,0 +1,5 @@
+-- 口座区分を指定しない記録（投資以外・口座区分なしの投資）を許可していることを制約に明記する
+-- PostgreSQL では NULL の行は元の制約も通るため、既存のデータベースでの動作は変わらない
+ALTER TABLE kakeibo_data DROP CONSTRAINT IF EXISTS kakeibo_data_account_type_check;
+ALTER TABLE kakeibo_data ADD CONSTRAINT kakeibo_data_account_type_check
+    CHECK (account_type IS NULL OR account_type IN ('nisa_tsumitate', 'nisa_growth', 'taxable'));
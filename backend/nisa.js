@@ -0,0 +1,85 @@
+// NISA（2024年からの新制度）の口座区分と非課税投資枠の集計
+// 生涯投資枠は投資額の累計で判定する（売却による枠の復活は考慮しない）
+const ACCOUNT_TYPES = ['nisa_tsumitate', 'nisa_growth', 'taxable'];
+const NISA_ACCOUNT_TYPES = ['nisa_tsumitate', 'nisa_growth'];
+
+const ACCOUNT_LABELS = {
+    nisa_tsumitate: 'NISA つみたて投資枠',
+    nisa_growth: 'NISA 成長投資枠',
+    taxable: '課税口座'
+};
+
+const ANNUAL_LIMITS = {
+    nisa_tsumitate: 1200000,
+    nisa_growth: 2400000
+};
+const LIFETIME_LIMIT = 18000000;
+// 生涯投資枠のうち、成長投資枠で使えるのは1,200万円まで
+const GROWTH_LIFETIME_LIMIT = 12000000;
+
+const formatYen = (value) => `¥${Math.round(value).toLocaleString('ja-JP')}`;
+
+const quota = (used, limit) => ({ used, limit, remaining: Math.max(0, limit - used) });
+
+// rows: [{ account_type, annual, lifetime }]（口座区分ごとの year 年の投資額と累計投資額）
+function buildNisaUsage(rows, year) {
+    const amounts = Object.fromEntries(NISA_ACCOUNT_TYPES.map(type => [type, { annual: 0, lifetime: 0 }]));
+    for (const row of rows) {
+        if (!amounts[row.account_type]) continue;
+        amounts[row.account_type] = { annual: Number(row.annual) || 0, lifetime: Number(row.lifetime) || 0 };
+    }
+
+    const lifetimeUsed = NISA_ACCOUNT_TYPES.reduce((sum, type) => sum + amounts[type].lifetime, 0);
+    return {
+        year,
+        annual: Object.fromEntries(
+            NISA_ACCOUNT_TYPES.map(type => [type, quota(amounts[type].annual, ANNUAL_LIMITS[type])])
+        ),
+        lifetime: quota(lifetimeUsed, LIFETIME_LIMIT),
+        growthLifetime: quota(amounts.nisa_growth.lifetime, GROWTH_LIFETIME_LIMIT)
+    };
+}
+
+// 新しい投資記録が非課税枠を超える場合の警告文（超えなければ空配列）
+function checkNisaQuota(usage, accountType, amount) {
+    if (!NISA_ACCOUNT_TYPES.includes(accountType)) return [];
+
+    const warnings = [];
+    const label = ACCOUNT_LABELS[accountType];
+    const checks = [
+        [usage.annual[accountType], `${usage.year}年の${label}の年間投資枠`],
+        [usage.lifetime, 'NISAの生涯投資枠'],
+        ...(accountType === 'nisa_growth' ? [[usage.growthLifetime, '成長投資枠の生涯上限']] : [])
+    ];
+
+    for (const [{ used, limit }, name] of checks) {
+        const excess = used + amount - limit;
+        if (excess > 0) {
+            warnings.push(`${name}（${formatYen(limit)}）を${formatYen(excess)}超えます。`);
+        }
+    }
+    return warnings;
+}
+
+// 投資記録を1件追加したあとの利用状況（取り込みなどで続けて判定するときに使う）
+function addNisaInvestment(usage, accountType, amount, year) {
+    if (!NISA_ACCOUNT_TYPES.includes(accountType)) return usage;
+
+    const add = ({ used, limit }) => quota(used + amount, limit);
+    return {
+        ...usage,
+        annual: year === usage.year
+            ? { ...usage.annual, [accountType]: add(usage.annual[accountType]) }
+            : usage.annual,
+        lifetime: add(usage.lifetime),
+        growthLifetime: accountType === 'nisa_growth' ? add(usage.growthLifetime) : usage.growthLifetime
+    };
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    NISA_ACCOUNT_TYPES,
+    buildNisaUsage,
+    checkNisaQuota,
+    addNisaInvestment
+};
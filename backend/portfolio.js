@@ -0,0 +1,106 @@
+// 保有資産（ポートフォリオ）の集計とリバランス提案
+// 価格は保存済みの株価（price_bars）・為替データのみを使い、外部APIは呼ばない
+const FX_SERIES_KEY = 'Time Series FX (Monthly)';
+
+// Alpha Vantage 形式の為替レスポンスから [{ date, close }]（日付の昇順）を取り出す
+function extractFxCloses(payload) {
+    if (!payload || !payload[FX_SERIES_KEY]) return [];
+
+    return Object.entries(payload[FX_SERIES_KEY])
+        .map(([date, values]) => ({ date, close: parseFloat(values['4. close']) }))
+        .filter(point => point.close > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// 指定日以前で最も近い終値（データより前の日付なら最初の終値）
+function closeOn(closes, date) {
+    if (closes.length === 0) return null;
+    let result = closes[0].close;
+    for (const point of closes) {
+        if (point.date > date) break;
+        result = point.close;
+    }
+    return result;
+}
+
+const latestClose = (closes) => (closes.length > 0 ? closes[closes.length - 1].close : null);
+
+// 円建ての銘柄: 東証の銘柄（7203.T / 7203.TYO、証券コード4桁。130A のような英字入りを含む）と投資信託の協会コード（8桁）
+const JPY_SYMBOL_PATTERNS = [/\.(T|TYO)$/, /^\d{3}[0-9A-Z]$/, /^\d[0-9A-Z]{7}$/];
+
+// 銘柄の価格の通貨（円建て以外は米ドル建てとみなす）
+const quoteCurrencyOf = (symbol) => (JPY_SYMBOL_PATTERNS.some(pattern => pattern.test(symbol)) ? 'JPY' : 'USD');
+
+// 投資記録を銘柄ごとに集計し、購入時の株価・為替で口数を計算して現在の評価額を出す
+// entries: [{ symbol, date, amount }]（円建て）
+// pricesBySymbol: { [symbol]: [{ date, close }] }（日付の昇順）、fxCloses: ドル円の closes（なければ換算なし）
+// 為替の換算は米ドル建ての銘柄だけに行う
+function buildPositions(entries, pricesBySymbol, fxCloses = []) {
+    const latestRate = latestClose(fxCloses) || 1;
+    const bySymbol = new Map();
+
+    for (const entry of entries) {
+        const position = bySymbol.get(entry.symbol) || { symbol: entry.symbol, invested: 0, units: 0, entries: 0 };
+        const closes = pricesBySymbol[entry.symbol] || [];
+        const price = closeOn(closes, entry.date);
+        const rate = quoteCurrencyOf(entry.symbol) === 'USD' ? closeOn(fxCloses, entry.date) || 1 : 1;
+
+        position.invested += entry.amount;
+        position.entries += 1;
+        if (price) {
+            position.units += entry.amount / rate / price;
+        } else {
+            position.units = null;
+        }
+        bySymbol.set(entry.symbol, position);
+    }
+
+    return [...bySymbol.values()].map(position => {
+        const price = latestClose(pricesBySymbol[position.symbol] || []);
+        const currentRate = quoteCurrencyOf(position.symbol) === 'USD' ? latestRate : 1;
+        const hasPrice = price !== null && position.units !== null;
+        const value = hasPrice ? Math.round(position.units * price * currentRate) : null;
+        return {
+            symbol: position.symbol,
+            entries: position.entries,
+            invested: position.invested,
+            units: hasPrice ? Number(position.units.toFixed(6)) : null,
+            price,
+            value,
+            profit: hasPrice ? value - position.invested : null
+        };
+    });
+}
+
+// 次回の積立額を、目標配分を下回っている銘柄へ不足額の比率で振り分ける
+// （積立後の合計 × 目標比率 − 現在の評価額 を不足額とする。不足がなければ目標比率で配分）
+// targets: [{ symbol, percent }]（合計100）
+function suggestContribution(positions, targets, contribution) {
+    const valueBySymbol = new Map(positions.map(position => [position.symbol, position.value || 0]));
+    const currentTotal = positions.reduce((sum, position) => sum + (position.value || 0), 0);
+    const nextTotal = currentTotal + contribution;
+
+    const shortfalls = targets.map(target => {
+        const targetValue = nextTotal * target.percent / 100;
+        return { ...target, shortfall: Math.max(0, targetValue - (valueBySymbol.get(target.symbol) || 0)) };
+    });
+    const totalShortfall = shortfalls.reduce((sum, item) => sum + item.shortfall, 0);
+
+    return shortfalls.map(item => {
+        const weight = totalShortfall > 0 ? item.shortfall / totalShortfall : item.percent / 100;
+        const currentValue = valueBySymbol.get(item.symbol) || 0;
+        return {
+            symbol: item.symbol,
+            targetPercent: item.percent,
+            currentPercent: currentTotal > 0 ? Number((currentValue / currentTotal * 100).toFixed(1)) : 0,
+            amount: Math.round(contribution * weight)
+        };
+    });
+}
+
+module.exports = {
+    extractFxCloses,
+    quoteCurrencyOf,
+    buildPositions,
+    suggestContribution
+};
@@ -0,0 +1,28 @@
+// 株価の時系列（price_bars テーブル）の足の種類と行の変換
+// price_bars には1本の足（日足・月足）を1行として保存し、取得のたびに新しい足だけを追加する
+
+// 足の種類 → 市場データプロバイダーの取得メソッド
+const INTERVALS = {
+    daily: 'fetchDaily',
+    monthly: 'fetchMonthly'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// price_bars の行を API レスポンス用の形に揃える（NUMERIC は文字列で返るため数値に戻す）
+function toBar(row) {
+    return {
+        date: row.date,
+        open: toNumber(row.open),
+        high: toNumber(row.high),
+        low: toNumber(row.low),
+        close: toNumber(row.close),
+        volume: toNumber(row.volume),
+        adjustedClose: toNumber(row.adjusted_close)
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    toBar
+};
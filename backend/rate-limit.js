@@ -0,0 +1,117 @@
+// 認証・株価 API のレート制限と、ログインに続けて失敗したときのロック
+// Render で複数のインスタンスが動いても同じ制限になるよう、回数は PostgreSQL（rate_limits / login_failures）に保存する
+
+// この回数だけ続けて失敗したらロックし、以降は失敗するたびにロック時間を倍にする
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_SECONDS = 30;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+// 最後の失敗からこの時間が過ぎたら、失敗回数を数え直す
+const FAILURE_RESET_SECONDS = 24 * 60 * 60;
+
+// 連続した失敗回数 → ロックする秒数（30秒, 60秒, 120秒, ... 最大1時間）
+const lockoutSeconds = (failures) => (failures < LOCKOUT_THRESHOLD
+    ? 0
+    : Math.min(LOCKOUT_BASE_SECONDS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_SECONDS));
+
+const secondsUntil = (date, now = new Date()) => Math.max(1, Math.ceil((new Date(date) - now) / 1000));
+
+// query(text, params): server.js の query と同じ
+function createRateLimitStore(query) {
+    return {
+        // key の回数を1増やして { hits, resetAt } を返す（期間を過ぎていたら1から数え直す）
+        async hit(key, windowSeconds, now = new Date()) {
+            const { rows } = await query(
+                `
+                INSERT INTO rate_limits (key, hits, reset_at) VALUES ($1, 1, $2)
+                ON CONFLICT (key) DO UPDATE SET
+                    hits = CASE WHEN rate_limits.reset_at <= $3 THEN 1 ELSE rate_limits.hits + 1 END,
+                    reset_at = CASE WHEN rate_limits.reset_at <= $3 THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+                RETURNING hits, reset_at
+                `,
+                [key, new Date(now.getTime() + windowSeconds * 1000), now]
+            );
+            return { hits: rows[0].hits, resetAt: rows[0].reset_at };
+        },
+
+        // ロック中ならロックの解除時刻、そうでなければ null
+        async getLockedUntil(key, now = new Date()) {
+            const { rows } = await query(
+                'SELECT locked_until FROM login_failures WHERE key = $1 AND locked_until > $2',
+                [key, now]
+            );
+            return rows[0]?.locked_until || null;
+        },
+
+        // 失敗を記録し、ロックした場合は解除時刻を返す
+        async recordFailure(key, now = new Date()) {
+            const { rows } = await query(
+                `
+                INSERT INTO login_failures (key, failures, last_failed_at) VALUES ($1, 1, $2)
+                ON CONFLICT (key) DO UPDATE SET
+                    failures = CASE WHEN login_failures.last_failed_at <= $3 THEN 1 ELSE login_failures.failures + 1 END,
+                    last_failed_at = EXCLUDED.last_failed_at
+                RETURNING failures
+                `,
+                [key, now, new Date(now.getTime() - FAILURE_RESET_SECONDS * 1000)]
+            );
+            const seconds = lockoutSeconds(rows[0].failures);
+            if (seconds === 0) return null;
+
+            const lockedUntil = new Date(now.getTime() + seconds * 1000);
+            await query('UPDATE login_failures SET locked_until = $1 WHERE key = $2', [lockedUntil, key]);
+            return lockedUntil;
+        },
+
+        async clearFailures(key) {
+            await query('DELETE FROM login_failures WHERE key = $1', [key]);
+        },
+
+        // 期限の過ぎた行を削除する（定期的に呼ぶ）
+        async prune(now = new Date()) {
+            await query('DELETE FROM rate_limits WHERE reset_at <= $1', [now]);
+            await query(
+                'DELETE FROM login_failures WHERE last_failed_at <= $1 AND (locked_until IS NULL OR locked_until <= $2)',
+                [new Date(now.getTime() - FAILURE_RESET_SECONDS * 1000), now]
+            );
+        }
+    };
+}
+
+// 制限を超えたときの 429 応答（Retry-After ヘッダーと、画面表示用に本文にも秒数を入れる）
+function sendTooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: message, retryAfter });
+}
+
+// windowSeconds 秒間に limit 回までに制限するミドルウェア
+// keyOf(req): 制限の単位（既定は IP アドレス）。null を返したリクエストは制限しない
+function rateLimit({ store, name, limit, windowSeconds, keyOf = (req) => req.ip }) {
+    return async (req, res, next) => {
+        const key = keyOf(req);
+        if (key !== null && key !== undefined && key !== '') {
+            try {
+                const { hits, resetAt } = await store.hit(`${name}:${key}`, windowSeconds);
+                if (hits > limit) {
+                    return sendTooManyRequests(
+                        res,
+                        secondsUntil(resetAt),
+                        'リクエストが多すぎます。しばらくしてから再度お試しください。'
+                    );
+                }
+            } catch (error) {
+                // 制限の確認に失敗しても API は止めない
+                console.error(`Rate limit check failed (${name}):`, error);
+            }
+        }
+        next();
+    };
+}
+
+module.exports = {
+    LOCKOUT_THRESHOLD,
+    lockoutSeconds,
+    secondsUntil,
+    createRateLimitStore,
+    sendTooManyRequests,
+    rateLimit
+};
@@ -0,0 +1,70 @@
+// 定期取引（家賃・サブスク・毎月の積立投資など）の発生日計算
+// 日付はすべて YYYY-MM-DD 文字列で扱い、タイムゾーンの影響を受けないよう UTC で計算する
+const FREQUENCIES = ['monthly', 'weekly'];
+
+// 「今日」の判定は利用者の生活時間（日本時間）に合わせる
+const APP_TIME_ZONE = process.env.APP_TIME_ZONE || 'Asia/Tokyo';
+
+function parseDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(value, days) {
+    const date = parseDate(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+function today() {
+    return new Intl.DateTimeFormat('sv-SE', { timeZone: APP_TIME_ZONE }).format(new Date());
+}
+
+// 月末を超える日付（例: 2月31日）はその月の末日に丸める
+function monthlyOccurrence(year, monthIndex, dayOfMonth) {
+    const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+    return toDateString(new Date(Date.UTC(year, monthIndex, Math.min(dayOfMonth, lastDay))));
+}
+
+// from〜to（両端を含む）の範囲で、ルールの開始日・終了日内に入る発生日を列挙
+function listOccurrences(rule, from, to, limit = Infinity) {
+    const start = rule.start_date > from ? rule.start_date : from;
+    const end = rule.end_date && rule.end_date < to ? rule.end_date : to;
+    const dates = [];
+    if (start > end) return dates;
+
+    if (rule.frequency === 'weekly') {
+        const offset = (rule.day_of_week - parseDate(start).getUTCDay() + 7) % 7;
+        for (let date = addDays(start, offset); date <= end && dates.length < limit; date = addDays(date, 7)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    const cursor = parseDate(start);
+    let year = cursor.getUTCFullYear();
+    let monthIndex = cursor.getUTCMonth();
+    while (dates.length < limit) {
+        const date = monthlyOccurrence(year, monthIndex, rule.day_of_month);
+        if (date > end) break;
+        if (date >= start) dates.push(date);
+        monthIndex += 1;
+        if (monthIndex === 12) {
+            monthIndex = 0;
+            year += 1;
+        }
+    }
+    return dates;
+}
+
+module.exports = {
+    FREQUENCIES,
+    addDays,
+    toDateString,
+    today,
+    listOccurrences
+};
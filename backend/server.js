@@ -1,14 +1,49 @@
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const { Pool } = require('pg');
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 const bcrypt = require('bcrypt');
+const QRCode = require('qrcode');
 // セッションストア用のconnect-pgを追加する必要があります
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
-const { generateToken, verifyToken, getTokenFromRequest, requireAuthJWT } = require('./auth-token');
+const {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_DAYS,
+    ACCESS_TOKEN_COOKIE,
+    REFRESH_TOKEN_COOKIE,
+    ACCOUNT_TOKEN_PURPOSES,
+    generateToken,
+    generateRefreshToken,
+    hashRefreshToken,
+    generateAccountToken,
+    verifyAccountToken,
+    readCookie,
+    verifyToken,
+    getTokenFromRequest,
+    requireAuthJWT
+} = require('./auth-token');
+const { SUPPORTED_ENCODINGS, decodeCsvBuffer, parseCsv, buildImportRows } = require('./csv-import');
+const { toCsvHeader, toCsvRow } = require('./csv-export');
+const { FREQUENCIES, addDays, today, listOccurrences } = require('./recurring');
+const { extractFxCloses, buildPositions, suggestContribution } = require('./portfolio');
+const { ACCOUNT_TYPES, NISA_ACCOUNT_TYPES, buildNisaUsage, checkNisaQuota, addNisaInvestment } = require('./nisa');
+const { INTERVALS, toBar } = require('./price-bars');
+const { MarketDataError, formatSeries, createMarketDataProvider } = require('./market-data');
+const { createCacheWarmer } = require('./cache-warmer');
+const { createMailer, buildVerificationMail, buildPasswordResetMail } = require('./mailer');
+const { secondsUntil, createRateLimitStore, sendTooManyRequests, rateLimit } = require('./rate-limit');
+const {
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUri,
+    hashRecoveryCode,
+    isRecoveryCodeFormat,
+    generateRecoveryCodes
+} = require('./two-factor');
+const { createPool } = require('./db');
+const { runMigrations } = require('./migrate');
 
 require('dotenv').config();
 
@@ -18,32 +53,83 @@ const SALT_ROUNDS = 10;
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev-session-secret';
 const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY;
 const logPath = path.join(__dirname, 'requests.log');
+// 管理者にするユーザーのメールアドレス（カンマ区切り。起動時に users.role に反映）
+const ADMIN_ROLE = 'admin';
+// メールアドレスは大文字・小文字を区別せずに比べる
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+// 株価・為替キャッシュの事前取得（CACHE_WARMER_ENABLED=false で無効）
+const CACHE_WARMER_ENABLED = process.env.CACHE_WARMER_ENABLED !== 'false';
+// メール内のリンク先（フロントエンドの URL）
+const APP_BASE_URL = (process.env.CLIENT_ORIGIN || 'http://localhost:3001').replace(/\/$/, '');
 
-const pool = new Pool({
-    host: process.env.DB_HOST,
-    port: Number(process.env.DB_PORT || 5432),
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
-    ssl: process.env.DB_SSL === 'false' ? undefined : { rejectUnauthorized: false }
-});
+const pool = createPool();
 
 const query = (text, params = []) => pool.query(text, params);
 
+// 株価・為替の取得元（MARKET_DATA_PROVIDER で切り替え）
+const marketData = createMarketDataProvider(process.env);
+console.log(`📡 Market data provider: ${marketData.name}`);
+
+// メールの送信方法（MAIL_TRANSPORT で切り替え）
+const mailer = createMailer(process.env);
+console.log(`📧 Mail transport: ${mailer.name}`);
+
+// レート制限（回数は DB に保存し、複数のインスタンスで共有する）
+const rateLimitStore = createRateLimitStore(query);
+const RATE_LIMIT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const normalizeEmailKey = (email) => (typeof email === 'string' && email.trim() !== '' ? email.trim().toLowerCase() : null);
+
+const limitLoginByIp = rateLimit({ store: rateLimitStore, name: 'login-ip', limit: 20, windowSeconds: 15 * 60 });
+const limitRegisterByIp = rateLimit({ store: rateLimitStore, name: 'register-ip', limit: 5, windowSeconds: 60 * 60 });
+// メールを送る API は、宛先のアカウントごとにも制限する
+const limitPasswordResetByIp = rateLimit({ store: rateLimitStore, name: 'reset-ip', limit: 10, windowSeconds: 60 * 60 });
+const limitPasswordResetByAccount = rateLimit({
+    store: rateLimitStore,
+    name: 'reset-account',
+    limit: 3,
+    windowSeconds: 60 * 60,
+    keyOf: (req) => normalizeEmailKey(req.body?.email)
+});
+const limitVerificationResendByAccount = rateLimit({
+    store: rateLimitStore,
+    name: 'verify-account',
+    limit: 3,
+    windowSeconds: 60 * 60,
+    keyOf: (req) => req.user?.id
+});
+// 2段階認証の設定変更（確認コードの総当たりを防ぐ）
+const limitTwoFactorByAccount = rateLimit({
+    store: rateLimitStore,
+    name: '2fa-account',
+    limit: 10,
+    windowSeconds: 15 * 60,
+    keyOf: (req) => req.user?.id
+});
+// 株価・為替 API はログイン不要のため、外部APIの無料枠を使い切られないよう IP ごとに制限する
+const limitMarketDataByIp = rateLimit({ store: rateLimitStore, name: 'market-ip', limit: 120, windowSeconds: 60 * 60 });
+
 // 環境変数の検証
-if (!ALPHA_VANTAGE_API_KEY) {
+if (marketData.name === 'alphavantage' && !ALPHA_VANTAGE_API_KEY) {
     console.warn('⚠️ ALPHA_VANTAGE_API_KEY is not set. Stock API will not work properly.');
 }
 
-pool.connect()
-    .then(client => {
-        console.log('✅ Connected to PostgreSQL');
-        client.release();
-    })
-    .catch(err => {
-        console.error('❌ PostgreSQL connection error:', err);
-        process.exit(1);
-    });
+// ADMIN_EMAILS のユーザーを管理者にする（起動時は全員、ログイン・メールアドレスの確認時はその利用者だけ）
+// 受信箱の持ち主であることを確認するまでは、アドレスが一致しても管理者にしない
+const syncAdminRoles = async (userId = null) => {
+    if (ADMIN_EMAILS.length === 0) return;
+    await query(
+        `UPDATE users SET role = $1
+         WHERE LOWER(email) = ANY($2) AND role <> $1 AND email_verified_at IS NOT NULL
+           AND ($3::integer IS NULL OR id = $3)`,
+        [ADMIN_ROLE, ADMIN_EMAILS, userId]
+    );
+};
+
+// マイグレーションの適用と管理者の反映（起動時とテストの準備で使う）
+const initializeDatabase = async () => {
+    await runMigrations(pool);
+    await syncAdminRoles();
+};
 
 app.set('trust proxy', 1);
 app.use(express.json());
@@ -77,9 +163,10 @@ const corsOptions = {
         }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
-    exposedHeaders: ['Set-Cookie'],
+    // Retry-After: 429 の待ち時間を画面に表示するため
+    exposedHeaders: ['Set-Cookie', 'Content-Disposition', 'Retry-After'],
     optionsSuccessStatus: 200 // IE11対応
 };
 
@@ -89,8 +176,7 @@ app.use(cors(corsOptions));
 app.use(session({
     store: new pgSession({
         pool: pool,
-        tableName: 'session',
-        createTableIfMissing: true
+        tableName: 'session'
     }),
     name: 'kakeibo.sid',
     secret: SESSION_SECRET,
@@ -98,7 +184,7 @@ app.use(session({
     saveUninitialized: true, // trueに変更してセッション生成を強制
     proxy: process.env.NODE_ENV === 'production',
     cookie: {
-        httpOnly: false, // デバッグのためfalseに変更
+        httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
         sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
         maxAge: 1000 * 60 * 60 * 24, // 24時間
@@ -118,420 +204,2493 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use((req, res, next) => {
-    const log = `${new Date().toISOString()} ${req.method} ${req.url}\n`;
-    fs.appendFileSync(logPath, log);
-    next();
+// テストではリクエストログを書き出さない
+if (process.env.NODE_ENV !== 'test') {
+    app.use((req, res, next) => {
+        const log = `${new Date().toISOString()} ${req.method} ${req.url}\n`;
+        fs.appendFileSync(logPath, log);
+        next();
+    });
+}
+
+// アクセスがあったログインの最終利用日時は、この間隔より古くなったときだけ更新する
+const SESSION_LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// 画面に返す利用者の情報（users の行から）
+const toAuthUser = (row) => ({
+    id: row.id,
+    email: row.email,
+    name: row.name || null,
+    emailVerified: Boolean(row.email_verified_at)
 });
 
-const requireAuth = (req, res, next) => {
+// ログイン（auth_sessions）がログアウト済みでなければ利用者を返す
+const findActiveLogin = async (user, sessionId) => {
+    if (!user?.id || !sessionId) return null;
+
+    const { rows } = await query(
+        `
+        SELECT s.last_seen_at, u.id, u.email, u.name, u.email_verified_at
+        FROM auth_sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL
+        `,
+        [sessionId, user.id]
+    );
+    if (!rows[0]) return null;
+
+    if (Date.now() - new Date(rows[0].last_seen_at) > SESSION_LAST_SEEN_INTERVAL_MS) {
+        await query('UPDATE auth_sessions SET last_seen_at = NOW() WHERE id = $1', [sessionId]);
+    }
+    return { user: toAuthUser(rows[0]), sessionId };
+};
+
+// JWT を優先し、使えなければセッションで認証する
+// JWT は有効期限内でも、紐づくログインがログアウト済みなら受け付けない
+const authenticateRequest = async (req) => {
+    const token = getTokenFromRequest(req);
+    const payload = token ? verifyToken(token) : null;
+    if (payload) {
+        const login = await findActiveLogin(payload, payload.sid);
+        if (login) return login;
+        console.log('❌ JWT token invalid or revoked');
+    }
+    return findActiveLogin(req.session.user, req.session.authSessionId);
+};
+
+const requireAuth = async (req, res, next) => {
     console.log('🔍 Auth check - Session ID:', req.sessionID);
-    console.log('🔍 Auth check - Session user:', req.session.user);
-    console.log('🔍 Auth check - Session:', req.session);
     console.log('🔍 Auth check - Authorization header:', req.headers.authorization);
-    
-    // JWT認証を優先して試す
-    const token = getTokenFromRequest(req);
-    if (token) {
-        const user = verifyToken(token);
-        if (user) {
-            console.log('✅ JWT Auth success - User:', user);
-            req.user = user;
-            return next();
-        } else {
-            console.log('❌ JWT token invalid');
+
+    try {
+        const login = await authenticateRequest(req);
+        if (!login) {
+            console.log('❌ Auth failed - No active login');
+            return res.status(401).json({ error: 'ログインが必要です。' });
         }
+
+        console.log('✅ Auth success - User:', login.user);
+        req.user = login.user;
+        req.authSessionId = login.sessionId;
+        next();
+    } catch (error) {
+        console.error('Auth check failed:', error);
+        res.status(500).json({ error: '認証の確認に失敗しました。' });
     }
-    
-    // フォールバックとしてセッション認証
-    if (!req.session.user) {
-        console.log('❌ Auth failed - No session user');
-        return res.status(401).json({ error: 'ログインが必要です。' });
+};
+
+// 管理者専用ルートのガード（requireAuth の後に使う）
+// トークンに権限を含めると権限の取り消しが反映されないため、毎回 users.role を確認する
+const requireAdmin = async (req, res, next) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        const { rows } = await query('SELECT role FROM users WHERE id = $1', [userId]);
+        if (rows[0]?.role !== ADMIN_ROLE) {
+            return res.status(403).json({ error: '管理者権限が必要です。' });
+        }
+        next();
+    } catch (error) {
+        console.error('Admin check failed:', error);
+        res.status(500).json({ error: '権限の確認に失敗しました。' });
     }
-    
-    console.log('✅ Session Auth success - User:', req.session.user);
-    req.user = req.session.user;
-    next();
 };
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-});
+// 月（YYYY-MM）の検証と、その月の開始日・翌月開始日の算出
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const getMonthRange = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const nextYear = monthIndex === 12 ? year + 1 : year;
+    const nextMonth = monthIndex === 12 ? 1 : monthIndex + 1;
+    return [
+        `${month}-01`,
+        `${nextYear}-${String(nextMonth).padStart(2, '0')}-01`
+    ];
+};
+
+// 家計簿データの種別（支出 / 収入）
+const ENTRY_TYPES = ['expense', 'income'];
+
+// 新規ユーザーに用意する初期カテゴリ
+const DEFAULT_CATEGORIES = [
+    { key: 'food', label: '食費', icon: '🍽️', color: '#ffeaa7', entry_type: 'expense' },
+    { key: 'transport', label: '交通費', icon: '🚃', color: '#74b9ff', entry_type: 'expense' },
+    { key: 'beauty', label: '衣服・美容費', icon: '💄', color: '#fd79a8', entry_type: 'expense' },
+    { key: 'entertainment', label: '娯楽費', icon: '🎮', color: '#fdcb6e', entry_type: 'expense' },
+    { key: 'investment', label: '投資', icon: '💰', color: '#00b894', entry_type: 'expense' },
+    { key: 'other', label: 'その他', icon: '📦', color: '#a29bfe', entry_type: 'expense' },
+    { key: 'salary', label: '給与', icon: '💴', color: '#3a7bd5', entry_type: 'income' },
+    { key: 'bonus', label: '賞与', icon: '🎁', color: '#6c5ce7', entry_type: 'income' },
+    { key: 'side_income', label: '副収入', icon: '💼', color: '#0984e3', entry_type: 'income' },
+    { key: 'other_income', label: 'その他収入', icon: '📥', color: '#81ecec', entry_type: 'income' }
+];
+
+// 投資記録のカテゴリ（銘柄を指定できるのはこのカテゴリのみ）
+const INVESTMENT_CATEGORY = 'investment';
+
+// 投資シミュレーションが参照するため、削除できないカテゴリ
+const PROTECTED_CATEGORY_KEYS = [INVESTMENT_CATEGORY];
+
+const CATEGORY_KEY_PATTERN = /^[a-z0-9_]{1,50}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// カテゴリが1件もないユーザーに初期カテゴリを登録
+const seedDefaultCategories = async (userId) => {
+    const { rows } = await query(
+        'SELECT COUNT(*) AS count FROM categories WHERE user_id = $1',
+        [userId]
+    );
+    if (Number(rows[0].count) > 0) return;
+
+    const placeholders = DEFAULT_CATEGORIES.map((_, index) => {
+        const base = index * 6;
+        return `($1, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7})`;
+    });
+    const params = DEFAULT_CATEGORIES.flatMap((category, index) => [
+        category.key, category.label, category.icon, category.color, category.entry_type, index
+    ]);
+    await query(
+        `
+        INSERT INTO categories (user_id, key, label, icon, color, entry_type, sort_order)
+        VALUES ${placeholders.join(', ')}
+        ON CONFLICT (user_id, key) DO NOTHING
+        `,
+        [userId, ...params]
+    );
+};
+
+// 家計簿データのカテゴリを検証し、種別をカテゴリに合わせる
+const resolveCategoryType = async (userId, values) => {
+    if (values.category === undefined) {
+        return values.entry_type === undefined
+            ? null
+            : '種別を変更する場合はカテゴリも指定してください。';
+    }
+
+    await seedDefaultCategories(userId);
+    const { rows } = await query(
+        'SELECT entry_type FROM categories WHERE user_id = $1 AND key = $2',
+        [userId, values.category]
+    );
+    if (rows.length === 0) {
+        return '存在しないカテゴリです。';
+    }
+    if (values.entry_type !== undefined && values.entry_type !== rows[0].entry_type) {
+        return 'カテゴリと種別が一致しません。';
+    }
+
+    values.entry_type = rows[0].entry_type;
+    return null;
+};
+
+// カテゴリ入力の検証（partial=true の場合は表示項目のみ更新可能）
+const parseCategoryInput = (body, { partial = false } = {}) => {
+    const { key, label, icon, color, type, sortOrder } = body || {};
+    const values = {};
+
+    if (!partial) {
+        if (key !== undefined && (typeof key !== 'string' || !CATEGORY_KEY_PATTERN.test(key))) {
+            return { error: 'キーは英小文字・数字・アンダースコアで指定してください。' };
+        }
+        if (type !== undefined && !ENTRY_TYPES.includes(type)) {
+            return { error: '種別は expense または income で指定してください。' };
+        }
+        values.key = key || `custom_${Date.now().toString(36)}`;
+        values.entry_type = type || 'expense';
+    }
+
+    if (label !== undefined || !partial) {
+        if (!label || typeof label !== 'string' || label.trim() === '' || label.trim().length > 50) {
+            return { error: '表示名は50文字以内で指定してください。' };
+        }
+        values.label = label.trim();
+    }
+    if (icon !== undefined) {
+        if (typeof icon !== 'string' || icon.trim() === '' || icon.trim().length > 16) {
+            return { error: 'アイコンは16文字以内で指定してください。' };
+        }
+        values.icon = icon.trim();
+    }
+    if (color !== undefined) {
+        if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+            return { error: '色は #RRGGBB 形式で指定してください。' };
+        }
+        values.color = color.toLowerCase();
+    }
+    if (sortOrder !== undefined) {
+        if (!Number.isInteger(sortOrder)) {
+            return { error: '並び順は整数で指定してください。' };
+        }
+        values.sort_order = sortOrder;
+    }
+
+    if (Object.keys(values).length === 0) {
+        return { error: '更新する項目を指定してください。' };
+    }
+
+    return { values };
+};
 
-app.get('/api/kakeibo', requireAuth, async (req, res) => {
+app.get('/api/categories', requireAuth, async (req, res) => {
     try {
-        // JWTとセッション両方に対応
         const userId = req.user?.id || req.session?.user?.id;
         if (!userId) {
             return res.status(401).json({ error: 'ユーザー認証が必要です。' });
         }
-        
+
+        await seedDefaultCategories(userId);
         const { rows } = await query(
-            'SELECT * FROM kakeibo_data WHERE user_id = $1 ORDER BY date DESC',
+            'SELECT * FROM categories WHERE user_id = $1 ORDER BY entry_type, sort_order, id',
             [userId]
         );
         res.json(rows);
     } catch (error) {
-        console.error('Get kakeibo failed:', error);
-        res.status(500).json({ error: '家計簿データの取得に失敗しました。' });
+        console.error('Get categories failed:', error);
+        res.status(500).json({ error: 'カテゴリの取得に失敗しました。' });
     }
 });
 
-app.post('/api/kakeibo', requireAuth, async (req, res) => {
-    const { title, category, amount, date } = req.body || {};
-    if (!title || !category || !amount || !date) {
-        return res.status(400).json({ error: 'タイトル、カテゴリ、金額、日付は必須です。' });
-    }
-
-    const parsedAmount = Number(amount);
-    if (Number.isNaN(parsedAmount)) {
-        return res.status(400).json({ error: '金額は数値で指定してください。' });
+app.post('/api/categories', requireAuth, async (req, res) => {
+    const { error: validationError, values } = parseCategoryInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
     }
 
     try {
-        // JWTとセッション両方に対応
         const userId = req.user?.id || req.session?.user?.id;
         if (!userId) {
             return res.status(401).json({ error: 'ユーザー認証が必要です。' });
         }
-        
+
+        await seedDefaultCategories(userId);
         const { rows } = await query(
-            'INSERT INTO kakeibo_data (title, category, amount, date, user_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-            [title, category, parsedAmount, date, userId]
+            `
+            INSERT INTO categories (user_id, key, label, icon, color, entry_type, sort_order)
+            VALUES ($1, $2, $3, COALESCE($4, '📁'), COALESCE($5, '#a29bfe'), $6,
+                    COALESCE($7, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM categories WHERE user_id = $1)))
+            ON CONFLICT (user_id, key) DO NOTHING
+            RETURNING *
+            `,
+            [userId, values.key, values.label, values.icon ?? null, values.color ?? null, values.entry_type, values.sort_order ?? null]
         );
-        res.json({ message: '追加しました！', id: rows[0].id });
+
+        if (rows.length === 0) {
+            return res.status(409).json({ error: '同じキーのカテゴリが既に存在します。' });
+        }
+
+        res.status(201).json({ message: 'カテゴリを追加しました！', category: rows[0] });
     } catch (error) {
-        console.error('Insert kakeibo failed:', error);
-        res.status(500).json({ error: '家計簿データの追加に失敗しました。' });
+        console.error('Insert category failed:', error);
+        res.status(500).json({ error: 'カテゴリの追加に失敗しました。' });
     }
 });
 
-app.delete('/api/kakeibo/:id', requireAuth, async (req, res) => {
+// キーと種別は家計簿データから参照されるため変更不可
+app.put('/api/categories/:id', requireAuth, async (req, res) => {
     const { id } = req.params;
+    const { error: validationError, values } = parseCategoryInput(req.body, { partial: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
     try {
-        // JWTとセッション両方に対応
         const userId = req.user?.id || req.session?.user?.id;
         if (!userId) {
             return res.status(401).json({ error: 'ユーザー認証が必要です。' });
         }
-        
-        const result = await query(
-            'DELETE FROM kakeibo_data WHERE id = $1 AND user_id = $2 RETURNING id',
-            [id, userId]
+
+        const columns = Object.keys(values);
+        const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+        const { rows } = await query(
+            `UPDATE categories SET ${assignments.join(', ')} WHERE id = $1 AND user_id = $2 RETURNING *`,
+            [id, userId, ...columns.map(column => values[column])]
         );
 
-        if (result.rowCount === 0) {
-            return res.status(404).json({ error: '対象データが見つかりませんでした。' });
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '対象のカテゴリが見つかりませんでした。' });
         }
 
-        res.json({ message: '🗑️削除しました！' });
+        res.json({ message: 'カテゴリを更新しました！', category: rows[0] });
     } catch (error) {
-        console.error('Delete kakeibo failed:', error);
-        res.status(500).json({ error: '家計簿データの削除に失敗しました。' });
+        console.error('Update category failed:', error);
+        res.status(500).json({ error: 'カテゴリの更新に失敗しました。' });
     }
 });
 
-app.get('/expenses', requireAuth, async (req, res) => {
+app.delete('/api/categories/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
     try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
         const { rows } = await query(
-            'SELECT * FROM kakeibo_data WHERE user_id = $1 ORDER BY date DESC',
-            [req.session.user.id]
+            'SELECT key FROM categories WHERE id = $1 AND user_id = $2',
+            [id, userId]
         );
-        res.json(rows);
-    } catch (error) {
-        console.error('Expenses query failed:', error);
-        res.status(500).json({ error: '支出データの取得に失敗しました。' });
-    }
-});
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '対象のカテゴリが見つかりませんでした。' });
+        }
 
-app.get('/expenses/investment', requireAuth, async (req, res) => {
-    try {
-        const { rows } = await query(
-            'SELECT * FROM kakeibo_data WHERE category = $1 AND user_id = $2 ORDER BY date DESC',
-            ['investment', req.session.user.id]
+        const { key } = rows[0];
+        if (PROTECTED_CATEGORY_KEYS.includes(key)) {
+            return res.status(400).json({ error: 'このカテゴリは投資シミュレーションで使用するため削除できません。' });
+        }
+
+        const { rows: usage } = await query(
+            'SELECT COUNT(*) AS count FROM kakeibo_data WHERE user_id = $1 AND category = $2',
+            [userId, key]
         );
-        res.json(rows);
+        if (Number(usage[0].count) > 0) {
+            return res.status(409).json({ error: 'このカテゴリを使用している記録があるため削除できません。' });
+        }
+
+        await query('DELETE FROM budgets WHERE user_id = $1 AND category = $2', [userId, key]);
+        await query('DELETE FROM categories WHERE id = $1 AND user_id = $2', [id, userId]);
+
+        res.json({ message: '🗑️カテゴリを削除しました！' });
     } catch (error) {
-        console.error('Investment expenses query failed:', error);
-        res.status(500).json({ error: '投資データの取得に失敗しました。' });
+        console.error('Delete category failed:', error);
+        res.status(500).json({ error: 'カテゴリの削除に失敗しました。' });
     }
 });
 
-// デフォルトの株価データエンドポイント（SPY）
-app.get('/api/stock', async (req, res) => {
-    const symbol = 'SPY'; // デフォルトでS&P500のETF
-    
+// 定期取引ルールの列（日付は文字列で扱う）
+const RECURRING_COLUMNS = `
+    id, title, category, amount, entry_type, frequency, day_of_month, day_of_week, paused,
+    to_char(start_date, 'YYYY-MM-DD') AS start_date,
+    to_char(end_date, 'YYYY-MM-DD') AS end_date,
+    to_char(last_generated_date, 'YYYY-MM-DD') AS last_generated_date
+`;
+
+// 一覧に表示する今後の発生予定の件数
+const RECURRING_PREVIEW_COUNT = 3;
+
+// 定期取引ルールから、今日までに発生した家計簿データを生成（読み込み時に実行）
+// 同時アクセスで二重生成しないよう、ルールを行ロックしてから生成する
+const materializeRecurringRules = async (userId) => {
+    const client = await pool.connect();
     try {
-        console.log(`📊 Fetching stock data for ${symbol}...`);
-        
-        // フレッシュキャッシュから取得を試行（18時間以内）
-        const { rows: freshCachedRows } = await query(
-            `
-            SELECT data, fetched_at
-            FROM stock_cache
-            WHERE symbol = $1
-              AND fetched_at > NOW() - 18 * INTERVAL '1 hour'
-            ORDER BY fetched_at DESC
-            LIMIT 1
-            `,
-            [symbol]
-        );
-
-        if (freshCachedRows.length > 0) {
-            const cachedEntry = freshCachedRows[0];
-            const payload = typeof cachedEntry.data === 'string'
-                ? JSON.parse(cachedEntry.data)
-                : cachedEntry.data;
-
-            // 実データかどうかチェック
-            if (payload && payload['Time Series (Daily)']) {
-                const dataAge = Math.round((new Date() - new Date(cachedEntry.fetched_at)) / (1000 * 60 * 60));
-                console.log(`✅ Returning fresh cached data for ${symbol} (${dataAge}h old)`);
-                
-                return res.json({
-                    data: payload,
-                    symbol: symbol,
-                    cached: true,
-                    dataAge: `${dataAge}時間前`,
-                    status: 'fresh',
-                    fetchedAt: cachedEntry.fetched_at
-                });
+        await client.query('BEGIN');
+        const { rows: rules } = await client.query(
+            `SELECT ${RECURRING_COLUMNS} FROM recurring_rules WHERE user_id = $1 AND paused = FALSE FOR UPDATE`,
+            [userId]
+        );
+
+        const until = today();
+        for (const rule of rules) {
+            const from = rule.last_generated_date ? addDays(rule.last_generated_date, 1) : rule.start_date;
+            if (from > until) continue;
+
+            const dates = listOccurrences(rule, from, until);
+            for (const date of dates) {
+                await client.query(
+                    'INSERT INTO kakeibo_data (title, category, amount, date, entry_type, recurring_rule_id, user_id) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+                    [rule.title, rule.category, rule.amount, date, rule.entry_type, rule.id, userId]
+                );
             }
+            await client.query(
+                'UPDATE recurring_rules SET last_generated_date = $2 WHERE id = $1',
+                [rule.id, until]
+            );
         }
 
-        // 新しいデータを取得
-        console.log(`🔄 Fetching fresh ${symbol} data from Alpha Vantage...`);
-        
-        // API キーの確認
-        if (!ALPHA_VANTAGE_API_KEY) {
-            throw new Error('ALPHA_VANTAGE_API_KEY is not defined');
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// 家計簿データを読む前に定期取引を反映するミドルウェア（失敗しても読み込みは続行）
+const materializeRecurring = async (req, res, next) => {
+    const userId = req.user?.id || req.session?.user?.id;
+    if (userId) {
+        try {
+            await materializeRecurringRules(userId);
+        } catch (error) {
+            console.error('Recurring materialization failed:', error);
         }
-        
-        const url = `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${symbol}&apikey=${ALPHA_VANTAGE_API_KEY}`;
-        const response = await fetch(url);
-        const result = await response.json();
-
-        // API制限チェック - 古いキャッシュを探す
-        if (result['Information'] && result['Information'].includes('rate limit')) {
-            console.log(`⚠️ Alpha Vantage API rate limit reached, searching for old cache for ${symbol}`);
-            
-            // バックアップキャッシュから取得（7日以内）
-            const { rows: oldCachedRows } = await query(
-                `
-                SELECT data, fetched_at
-                FROM stock_cache
-                WHERE symbol = $1
-                  AND fetched_at > NOW() - 7 * INTERVAL '1 day'
-                ORDER BY fetched_at DESC
-                LIMIT 1
-                `,
-                [symbol]
-            );
+    }
+    next();
+};
 
-            if (oldCachedRows.length > 0) {
-                const oldCachedEntry = oldCachedRows[0];
-                const oldPayload = typeof oldCachedEntry.data === 'string'
-                    ? JSON.parse(oldCachedEntry.data)
-                    : oldCachedEntry.data;
-
-                if (oldPayload && oldPayload['Time Series (Daily)']) {
-                    const dayAge = Math.round((new Date() - new Date(oldCachedEntry.fetched_at)) / (1000 * 60 * 60 * 24));
-                    console.log(`✅ Returning old cached data for ${symbol} (${dayAge} days old)`);
-                    
-                    return res.json({
-                        data: oldPayload,
-                        symbol: symbol,
-                        cached: true,
-                        dataAge: `${dayAge}日前`,
-                        status: 'old',
-                        message: `API制限中のため${dayAge}日前のデータを表示`,
-                        fetchedAt: oldCachedEntry.fetched_at
-                    });
-                }
-            }
+// 定期取引ルール入力の検証（partial=true の場合は指定された項目のみ検証）
+// storedFrequency: 部分更新で頻度を省略したときに、日付・曜日の検証に使う登録済みの頻度
+const parseRecurringInput = (body, { partial = false, storedFrequency } = {}) => {
+    const { title, category, amount, dayOfMonth, dayOfWeek, startDate, endDate, paused } = body || {};
+    const frequency = body?.frequency === undefined && (dayOfMonth !== undefined || dayOfWeek !== undefined)
+        ? storedFrequency
+        : body?.frequency;
 
-            // キャッシュもない場合はエラー
-            return res.status(503).json({
-                error: 'API limit reached and no cached data available',
-                message: 'サービス一時停止中：API制限に達しており、キャッシュデータもありません。しばらく後にお試しください。',
-                retryAfter: '1時間後'
-            });
-        }
+    if (!partial && (!title || !category || !amount || !frequency || !startDate)) {
+        return { error: 'タイトル、カテゴリ、金額、頻度、開始日は必須です。' };
+    }
 
-        if (result['Error Message']) {
-            throw new Error(`Alpha Vantage API error: ${result['Error Message']}`);
+    const values = {};
+    for (const [key, value] of Object.entries({ title, category })) {
+        if (value === undefined) continue;
+        if (!value || typeof value !== 'string' || value.trim() === '') {
+            return { error: 'タイトル、カテゴリ、金額、頻度、開始日は必須です。' };
         }
+        values[key] = value.trim();
+    }
 
-        if (result['Note']) {
-            throw new Error(`Alpha Vantage API limit: ${result['Note']}`);
+    if (amount !== undefined) {
+        const parsedAmount = Number(amount);
+        if (!Number.isInteger(parsedAmount) || parsedAmount <= 0) {
+            return { error: '金額は1以上の整数で指定してください。' };
         }
+        values.amount = parsedAmount;
+    }
 
-        if (!result['Time Series (Daily)']) {
-            throw new Error('Invalid API response format - no stock data received');
+    if (frequency !== undefined) {
+        if (!FREQUENCIES.includes(frequency)) {
+            return { error: '頻度は monthly または weekly で指定してください。' };
         }
+        values.frequency = frequency;
+        if (frequency === 'monthly') {
+            const day = Number(dayOfMonth);
+            if (!Number.isInteger(day) || day < 1 || day > 31) {
+                return { error: '毎月の日付は1〜31で指定してください。' };
+            }
+            values.day_of_month = day;
+            values.day_of_week = null;
+        } else {
+            const day = Number(dayOfWeek);
+            if (!Number.isInteger(day) || day < 0 || day > 6) {
+                return { error: '曜日は0（日）〜6（土）で指定してください。' };
+            }
+            values.day_of_week = day;
+            values.day_of_month = null;
+        }
+    }
 
-        // 新しいデータをキャッシュに保存
-        await query(
-            'INSERT INTO stock_cache (symbol, data, fetched_at) VALUES ($1, $2, NOW()) ON CONFLICT (symbol) DO UPDATE SET data = $2, fetched_at = NOW()',
-            [symbol, JSON.stringify(result)]
-        );
-
-        console.log(`✅ Fresh ${symbol} data fetched and cached`);
-        res.json({
-            data: result,
-            symbol: symbol,
-            cached: false,
-            dataAge: '最新',
-            status: 'fresh',
-            fetchedAt: new Date()
-        });
-
-    } catch (error) {
-        console.error(`❌ Error fetching ${symbol} data:`, error);
-        
-        // エラー時も古いキャッシュを探す
-        console.log(`🔄 Searching for backup cache due to error for ${symbol}`);
-        try {
-            const { rows: backupRows } = await query(
-                `
-                SELECT data, fetched_at
-                FROM stock_cache
-                WHERE symbol = $1
-                  AND fetched_at > NOW() - 7 * INTERVAL '1 day'
-                ORDER BY fetched_at DESC
-                LIMIT 1
-                `,
-                [symbol]
-            );
+    if (startDate !== undefined) {
+        if (!DATE_PATTERN.test(startDate)) {
+            return { error: '日付はYYYY-MM-DD形式で指定してください。' };
+        }
+        values.start_date = startDate;
+    }
+    if (endDate !== undefined) {
+        if (endDate !== null && endDate !== '' && !DATE_PATTERN.test(endDate)) {
+            return { error: '日付はYYYY-MM-DD形式で指定してください。' };
+        }
+        values.end_date = endDate || null;
+    }
+    if (values.start_date && values.end_date && values.end_date < values.start_date) {
+        return { error: '終了日は開始日以降を指定してください。' };
+    }
 
-            if (backupRows.length > 0) {
-                const backupEntry = backupRows[0];
-                const backupPayload = typeof backupEntry.data === 'string'
-                    ? JSON.parse(backupEntry.data)
-                    : backupEntry.data;
-
-                if (backupPayload && backupPayload['Time Series (Daily)']) {
-                    const dayAge = Math.round((new Date() - new Date(backupEntry.fetched_at)) / (1000 * 60 * 60 * 24));
-                    console.log(`✅ Returning backup data for ${symbol} (${dayAge} days old)`);
-                    
-                    return res.json({
-                        data: backupPayload,
-                        symbol: symbol,
-                        cached: true,
-                        dataAge: `${dayAge}日前`,
-                        status: 'backup',
-                        message: `APIエラーのため${dayAge}日前のデータを表示`,
-                        fetchedAt: backupEntry.fetched_at
-                    });
-                }
-            }
-        } catch (backupError) {
-            console.error(`❌ Backup cache search failed:`, backupError);
+    if (paused !== undefined) {
+        if (typeof paused !== 'boolean') {
+            return { error: '一時停止は true / false で指定してください。' };
         }
+        values.paused = paused;
+    }
 
-        // 最後の手段：完全エラー
-        res.status(500).json({
-            error: 'Unable to fetch stock data',
-            message: '株価データの取得に失敗しました。キャッシュデータもありません。',
-            details: error.message
-        });
+    if (Object.keys(values).length === 0) {
+        return { error: '更新する項目を指定してください。' };
     }
+
+    return { values };
+};
+
+// ルールに今後の発生予定を付けて返す
+const withUpcoming = (rule) => ({
+    ...rule,
+    upcoming: rule.paused
+        ? []
+        : listOccurrences(
+            rule,
+            rule.last_generated_date ? addDays(rule.last_generated_date, 1) : rule.start_date,
+            '9999-12-31',
+            RECURRING_PREVIEW_COUNT
+        )
 });
 
-// キャッシュクリア用のエンドポイント（管理用）
-app.delete('/api/stock/cache', async (req, res) => {
+app.get('/api/recurring', requireAuth, materializeRecurring, async (req, res) => {
     try {
-        await query('DELETE FROM stock_cache WHERE symbol = $1', ['SPY']);
-        console.log('🗑️ Stock cache cleared for SPY');
-        res.json({ message: 'SPY cache cleared successfully - next request will fetch fresh data' });
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows } = await query(
+            `SELECT ${RECURRING_COLUMNS} FROM recurring_rules WHERE user_id = $1 ORDER BY paused, id`,
+            [userId]
+        );
+        res.json(rows.map(withUpcoming));
     } catch (error) {
-        console.error('❌ Error clearing cache:', error);
-        res.status(500).json({ error: 'Failed to clear cache' });
+        console.error('Get recurring rules failed:', error);
+        res.status(500).json({ error: '定期取引の取得に失敗しました。' });
     }
 });
 
-app.get('/api/stock-cached/:symbol', async (req, res) => {
-    const { symbol } = req.params;
-    const CACHE_EXPIRY_HOURS = 24;
+app.post('/api/recurring', requireAuth, async (req, res) => {
+    const { error: validationError, values } = parseRecurringInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
 
     try {
-        const { rows: cachedRows } = await query(
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const categoryError = await resolveCategoryType(userId, values);
+        if (categoryError) {
+            return res.status(400).json({ error: categoryError });
+        }
+
+        const { rows } = await query(
             `
-            SELECT data, fetched_at
-            FROM stock_cache
-            WHERE symbol = $1
-              AND fetched_at > NOW() - $2 * INTERVAL '1 hour'
-            ORDER BY fetched_at DESC
-            LIMIT 1
+            INSERT INTO recurring_rules
+                (user_id, title, category, amount, entry_type, frequency, day_of_month, day_of_week, start_date, end_date, paused)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, FALSE))
+            RETURNING ${RECURRING_COLUMNS}
             `,
-            [symbol, CACHE_EXPIRY_HOURS]
+            [
+                userId, values.title, values.category, values.amount, values.entry_type, values.frequency,
+                values.day_of_month, values.day_of_week, values.start_date, values.end_date ?? null, values.paused ?? null
+            ]
         );
+        res.status(201).json({ message: '定期取引を登録しました！', rule: withUpcoming(rows[0]) });
+    } catch (error) {
+        console.error('Insert recurring rule failed:', error);
+        res.status(500).json({ error: '定期取引の登録に失敗しました。' });
+    }
+});
 
-        const cachedEntry = cachedRows[0];
+// 一時停止から再開した場合、停止中の分は生成せず昨日までを生成済みとして扱う
+app.put('/api/recurring/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
 
-        if (cachedEntry) {
-            const payload = typeof cachedEntry.data === 'string'
-                ? JSON.parse(cachedEntry.data)
-                : cachedEntry.data;
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
 
-            return res.json({
-                data: payload,
-                cached: true,
-                fetchedAt: cachedEntry.fetched_at
-            });
+        const { rows: current } = await query(
+            `SELECT ${RECURRING_COLUMNS} FROM recurring_rules WHERE id = $1 AND user_id = $2`,
+            [id, userId]
+        );
+        if (current.length === 0) {
+            return res.status(404).json({ error: '対象の定期取引が見つかりませんでした。' });
         }
 
-        const apiKey = process.env.ALPHA_VANTAGE_API_KEY || process.env.ALPHAVANTAGE_API_KEY;
-        if (!apiKey) {
-            throw new Error('Alpha Vantage API key not found in environment variables');
+        const { error: validationError, values } = parseRecurringInput(req.body, {
+            partial: true,
+            storedFrequency: current[0].frequency
+        });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        const apiUrl = `https://www.alphavantage.co/query?function=TIME_SERIES_MONTHLY&symbol=${symbol}&apikey=${apiKey}`;
-        const response = await fetch(apiUrl);
-        const apiData = await response.json();
+        const categoryError = await resolveCategoryType(userId, values);
+        if (categoryError) {
+            return res.status(400).json({ error: categoryError });
+        }
 
-        if (apiData['Error Message'] || apiData['Note']) {
-            throw new Error(apiData['Error Message'] || apiData['Note'] || 'API limit reached');
+        if (values.paused === false) {
+            const yesterday = addDays(today(), -1);
+            if (current[0].paused && (!current[0].last_generated_date || current[0].last_generated_date < yesterday)) {
+                values.last_generated_date = yesterday;
+            }
         }
 
-        await query(
-            `
-            INSERT INTO stock_cache (symbol, data, fetched_at)
-            VALUES ($1, $2, NOW())
-            ON CONFLICT (symbol)
-            DO UPDATE SET data = EXCLUDED.data, fetched_at = EXCLUDED.fetched_at
-            `,
-            [symbol, JSON.stringify(apiData)]
+        const columns = Object.keys(values);
+        const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+        const { rows } = await query(
+            `UPDATE recurring_rules SET ${assignments.join(', ')} WHERE id = $1 AND user_id = $2 RETURNING ${RECURRING_COLUMNS}`,
+            [id, userId, ...columns.map(column => values[column])]
         );
 
-        return res.json({
-            data: apiData,
-            cached: false,
-            realData: true
-        });
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '対象の定期取引が見つかりませんでした。' });
+        }
+
+        res.json({ message: '定期取引を更新しました！', rule: withUpcoming(rows[0]) });
     } catch (error) {
-        console.error('Cache error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Update recurring rule failed:', error);
+        res.status(500).json({ error: '定期取引の更新に失敗しました。' });
     }
 });
 
-app.post('/api/auth/register', async (req, res) => {
-    const { email, password, name } = req.body || {};
-
-    if (!email || typeof email !== 'string' || email.trim() === '') {
-        return res.status(400).json({ error: 'メールアドレスは必須です。' });
-    }
-    if (!password || typeof password !== 'string' || password.trim() === '') {
-        return res.status(400).json({ error: 'パスワードは必須です。' });
-    }
-
-    const normalizedEmail = email.trim();
-    const normalizedPassword = password.trim();
-    const normalizedName = typeof name === 'string' && name.trim() !== '' ? name.trim() : null;
+// ルールを削除しても、既に生成された家計簿データは残す
+app.delete('/api/recurring/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
 
     try {
-        const { rows: existingUsers } = await query(
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const result = await query(
+            'DELETE FROM recurring_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+            [id, userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '対象の定期取引が見つかりませんでした。' });
+        }
+
+        res.json({ message: '🗑️定期取引を削除しました！' });
+    } catch (error) {
+        console.error('Delete recurring rule failed:', error);
+        res.status(500).json({ error: '定期取引の削除に失敗しました。' });
+    }
+});
+
+// 家計簿データの絞り込み条件を組み立てる（一覧・エクスポートで共通）
+// クエリ: from, to (YYYY-MM-DD), category (カンマ区切りで複数指定可), type, minAmount, maxAmount, q (項目名の部分一致)
+const buildKakeiboFilters = (userId, filters) => {
+    const { from, to, category, type, minAmount, maxAmount, q } = filters;
+
+    // 同じ名前のパラメータを繰り返すと配列になる。カテゴリはまとめて扱い、それ以外は受け付けない
+    if ([from, to, type, minAmount, maxAmount, q].some(Array.isArray)) {
+        return { error: '検索条件は1つずつ指定してください。' };
+    }
+
+    if ((from !== undefined && !DATE_PATTERN.test(from)) || (to !== undefined && !DATE_PATTERN.test(to))) {
+        return { error: '日付はYYYY-MM-DD形式で指定してください。' };
+    }
+    if (type !== undefined && !ENTRY_TYPES.includes(type)) {
+        return { error: '種別は expense または income で指定してください。' };
+    }
+    for (const value of [minAmount, maxAmount]) {
+        if (value !== undefined && (value === '' || Number.isNaN(Number(value)))) {
+            return { error: '金額は数値で指定してください。' };
+        }
+    }
+
+    const conditions = ['k.user_id = $1'];
+    const params = [userId];
+    const addCondition = (value, clause) => {
+        params.push(value);
+        conditions.push(clause(`$${params.length}`));
+    };
+
+    if (from) addCondition(from, placeholder => `k.date >= ${placeholder}`);
+    if (to) addCondition(to, placeholder => `k.date <= ${placeholder}`);
+    if (category) {
+        addCondition(
+            [].concat(category).join(',').split(',').map(key => key.trim()).filter(Boolean),
+            placeholder => `k.category = ANY(${placeholder})`
+        );
+    }
+    if (type) addCondition(type, placeholder => `k.entry_type = ${placeholder}`);
+    if (minAmount !== undefined) addCondition(Number(minAmount), placeholder => `k.amount >= ${placeholder}`);
+    if (maxAmount !== undefined) addCondition(Number(maxAmount), placeholder => `k.amount <= ${placeholder}`);
+    if (q && q.trim() !== '') {
+        // LIKE の特殊文字はエスケープして部分一致検索
+        addCondition(`%${q.trim().replace(/[\\%_]/g, '\\$&')}%`, placeholder => `k.title ILIKE ${placeholder}`);
+    }
+
+    return { conditions, params };
+};
+
+// 一覧の並び順（カーソルにはソート列の値とidを入れる）
+// isCursorValue: カーソルの値がソート列の型に変換できるか（改ざんされたカーソルをDBに渡さない）
+const isCursorDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value)
+    && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+const isCursorNumber = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+    && Number.isFinite(Number(value));
+const KAKEIBO_SORTS = {
+    date_desc: { column: 'k.date', cursor: "to_char(k.date, 'YYYY-MM-DD')", cast: 'date', direction: 'DESC', isCursorValue: isCursorDate },
+    date_asc: { column: 'k.date', cursor: "to_char(k.date, 'YYYY-MM-DD')", cast: 'date', direction: 'ASC', isCursorValue: isCursorDate },
+    amount_desc: { column: 'k.amount', cursor: 'k.amount', cast: 'numeric', direction: 'DESC', isCursorValue: isCursorNumber },
+    amount_asc: { column: 'k.amount', cursor: 'k.amount', cast: 'numeric', direction: 'ASC', isCursorValue: isCursorNumber }
+};
+const KAKEIBO_PAGE_MAX = 100;
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const decodeCursor = (cursor, sortOption) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return decoded && sortOption.isCursorValue(decoded.v) && Number.isInteger(decoded.id) ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// limit を指定した場合は { items, nextCursor } のページ形式、省略時は条件に合う全件を配列で返す
+app.get('/api/kakeibo', requireAuth, materializeRecurring, async (req, res) => {
+    const { sort = 'date_desc', limit, cursor } = req.query;
+    const sortOption = KAKEIBO_SORTS[sort];
+    if (!sortOption) {
+        return res.status(400).json({ error: `並び順は ${Object.keys(KAKEIBO_SORTS).join(' / ')} から指定してください。` });
+    }
+
+    const pageSize = limit !== undefined ? Number(limit) : null;
+    if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > KAKEIBO_PAGE_MAX)) {
+        return res.status(400).json({ error: `件数は1〜${KAKEIBO_PAGE_MAX}で指定してください。` });
+    }
+
+    const decodedCursor = cursor !== undefined ? decodeCursor(cursor, sortOption) : null;
+    if (cursor !== undefined && !decodedCursor) {
+        return res.status(400).json({ error: 'カーソルが不正です。' });
+    }
+
+    try {
+        // JWTとセッション両方に対応
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { error: filterError, conditions, params } = buildKakeiboFilters(userId, req.query);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        if (decodedCursor) {
+            params.push(decodedCursor.v, decodedCursor.id);
+            const operator = sortOption.direction === 'DESC' ? '<' : '>';
+            conditions.push(
+                `(${sortOption.column}, k.id) ${operator} ($${params.length - 1}::${sortOption.cast}, $${params.length})`
+            );
+        }
+
+        const { rows } = await query(
+            `
+            SELECT k.*, ${sortOption.cursor} AS cursor_value
+            FROM kakeibo_data k
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${sortOption.column} ${sortOption.direction}, k.id ${sortOption.direction}
+            ${pageSize !== null ? `LIMIT ${pageSize + 1}` : ''}
+            `,
+            params
+        );
+
+        const items = rows.map(({ cursor_value, ...item }) => item);
+        if (pageSize === null) {
+            return res.json(items);
+        }
+
+        // 1件多く取得して次ページの有無を判定
+        const hasMore = rows.length > pageSize;
+        const lastRow = hasMore ? rows[pageSize - 1] : null;
+        res.json({
+            items: items.slice(0, pageSize),
+            nextCursor: lastRow ? encodeCursor(lastRow.cursor_value, lastRow.id) : null
+        });
+    } catch (error) {
+        console.error('Get kakeibo failed:', error);
+        res.status(500).json({ error: '家計簿データの取得に失敗しました。' });
+    }
+});
+
+// ダッシュボード用：種別・カテゴリごとの全期間の合計
+app.get('/api/kakeibo/totals', requireAuth, materializeRecurring, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows } = await query(
+            `
+            SELECT entry_type, category, COALESCE(SUM(amount), 0) AS total, COUNT(*) AS count
+            FROM kakeibo_data
+            WHERE user_id = $1
+            GROUP BY entry_type, category
+            `,
+            [userId]
+        );
+
+        const totals = { expenseTotal: 0, incomeTotal: 0, count: 0, byCategory: {} };
+        rows.forEach(row => {
+            const total = Number(row.total);
+            if (row.entry_type === 'income') {
+                totals.incomeTotal += total;
+            } else {
+                totals.expenseTotal += total;
+            }
+            totals.count += Number(row.count);
+            totals.byCategory[row.category] = (totals.byCategory[row.category] || 0) + total;
+        });
+
+        res.json(totals);
+    } catch (error) {
+        console.error('Get kakeibo totals failed:', error);
+        res.status(500).json({ error: '合計の取得に失敗しました。' });
+    }
+});
+
+// NISA口座ごとの year 年の投資額と累計投資額を集計する
+// excludeId: 更新中の記録を除いて集計する（更新後の金額で判定し直すため）
+const fetchNisaUsage = async (userId, year, excludeId = null) => {
+    const { rows } = await query(
+        `
+        SELECT account_type,
+               COALESCE(SUM(amount) FILTER (WHERE EXTRACT(YEAR FROM date) = $3), 0) AS annual,
+               COALESCE(SUM(amount), 0) AS lifetime
+        FROM kakeibo_data
+        WHERE user_id = $1 AND category = $2 AND entry_type = 'expense' AND account_type = ANY($4)
+          AND ($5::integer IS NULL OR id <> $5)
+        GROUP BY account_type
+        `,
+        [userId, INVESTMENT_CATEGORY, year, NISA_ACCOUNT_TYPES, excludeId]
+    );
+    return buildNisaUsage(rows, year);
+};
+
+// 家計簿入力の検証（partial=true の場合は指定された項目のみ検証）
+const parseKakeiboInput = (body, { partial = false } = {}) => {
+    const { title, category, amount, date, type, assetSymbol, accountType } = body || {};
+
+    if (!partial && (!title || !category || !amount || !date)) {
+        return { error: 'タイトル、カテゴリ、金額、日付は必須です。' };
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries({ title, category, date })) {
+        if (value === undefined) continue;
+        if (!value || typeof value !== 'string' || value.trim() === '') {
+            return { error: 'タイトル、カテゴリ、金額、日付は必須です。' };
+        }
+        values[key] = value.trim();
+    }
+
+    if (amount !== undefined) {
+        const parsedAmount = Number(amount);
+        if (amount === '' || amount === null || !Number.isInteger(parsedAmount) || parsedAmount <= 0) {
+            return { error: '金額は1以上の整数で指定してください。' };
+        }
+        values.amount = parsedAmount;
+    }
+
+    if (type !== undefined) {
+        if (!ENTRY_TYPES.includes(type)) {
+            return { error: '種別は expense または income で指定してください。' };
+        }
+        values.entry_type = type;
+    }
+
+    if (assetSymbol !== undefined) {
+        const symbol = assetSymbol === null || assetSymbol === '' ? null : parseStockSymbol(assetSymbol);
+        if (symbol === null && assetSymbol !== null && assetSymbol !== '') {
+            return { error: '銘柄コードが不正です。' };
+        }
+        values.asset_symbol = symbol;
+    }
+
+    if (accountType !== undefined) {
+        if (accountType !== null && accountType !== '' && !ACCOUNT_TYPES.includes(accountType)) {
+            return { error: '口座区分は nisa_tsumitate、nisa_growth、taxable のいずれかで指定してください。' };
+        }
+        values.account_type = accountType || null;
+    }
+
+    // 銘柄・口座区分は投資の記録にだけ指定できる。投資以外のカテゴリに変更した場合は指定を外す
+    // （カテゴリを省略した部分更新は、登録済みのカテゴリで updateKakeibo が判定する）
+    if (values.category !== undefined && values.category !== INVESTMENT_CATEGORY) {
+        if (values.asset_symbol || values.account_type) {
+            return { error: '銘柄・口座区分は投資カテゴリの記録にだけ指定できます。' };
+        }
+        values.asset_symbol = null;
+        values.account_type = null;
+    }
+
+    if (Object.keys(values).length === 0) {
+        return { error: '更新する項目を指定してください。' };
+    }
+
+    return { values };
+};
+
+app.post('/api/kakeibo', requireAuth, async (req, res) => {
+    const { error: validationError, values } = parseKakeiboInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        // JWTとセッション両方に対応
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const categoryError = await resolveCategoryType(userId, values);
+        if (categoryError) {
+            return res.status(400).json({ error: categoryError });
+        }
+
+        // NISA口座での投資は、非課税枠を超える場合に警告する（記録自体は追加する）
+        let warnings = [];
+        if (values.entry_type === 'expense' && NISA_ACCOUNT_TYPES.includes(values.account_type)) {
+            const usage = await fetchNisaUsage(userId, Number(values.date.substring(0, 4)));
+            warnings = checkNisaQuota(usage, values.account_type, values.amount);
+        }
+        
+        const { rows } = await query(
+            'INSERT INTO kakeibo_data (title, category, amount, date, entry_type, asset_symbol, account_type, user_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id',
+            [values.title, values.category, values.amount, values.date, values.entry_type, values.asset_symbol || null, values.account_type || null, userId]
+        );
+        res.json({ message: '追加しました！', id: rows[0].id, warnings });
+    } catch (error) {
+        console.error('Insert kakeibo failed:', error);
+        res.status(500).json({ error: '家計簿データの追加に失敗しました。' });
+    }
+});
+
+// エクスポート：1回のクエリで読み込む行数（全件をメモリに載せずに順次書き出す）
+const EXPORT_BATCH_SIZE = 500;
+
+// 家計簿データのエクスポート（CSV / JSON）
+// クエリ: format (csv | json) と、一覧と同じ絞り込み条件
+app.get('/api/kakeibo/export', requireAuth, materializeRecurring, async (req, res) => {
+    const { format = 'csv' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ error: '形式は csv または json で指定してください。' });
+    }
+
+    const userId = req.user?.id || req.session?.user?.id;
+    if (!userId) {
+        return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+    }
+
+    const { error: filterError, conditions, params } = buildKakeiboFilters(userId, req.query);
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+
+    const fetchBatch = (offset) => query(
+        `
+        SELECT k.id, to_char(k.date, 'YYYY-MM-DD') AS date, k.entry_type, k.category,
+               c.label AS category_label, k.title, k.amount
+        FROM kakeibo_data k
+        LEFT JOIN categories c ON c.user_id = k.user_id AND c.key = k.category
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY k.date, k.id
+        LIMIT ${EXPORT_BATCH_SIZE} OFFSET ${offset}
+        `,
+        params
+    );
+
+    try {
+        // 最初のバッチ取得に失敗した場合はJSONでエラーを返せるよう、ヘッダー送信前に取得する
+        let { rows } = await fetchBatch(0);
+        const dateLabel = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="kakeibo_${dateLabel}.${format}"`);
+        res.write(format === 'csv' ? toCsvHeader() : '[');
+
+        let offset = 0;
+        let isFirst = true;
+        while (rows.length > 0) {
+            for (const row of rows) {
+                if (format === 'csv') {
+                    res.write(toCsvRow(row));
+                } else {
+                    const { id, date, entry_type, category, category_label, title, amount } = row;
+                    const item = { id, date, type: entry_type, category, categoryLabel: category_label, title, amount: Number(amount) };
+                    res.write(`${isFirst ? '' : ','}\n${JSON.stringify(item)}`);
+                }
+                isFirst = false;
+            }
+            if (rows.length < EXPORT_BATCH_SIZE) break;
+            offset += EXPORT_BATCH_SIZE;
+            ({ rows } = await fetchBatch(offset));
+        }
+
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+        console.error('Export kakeibo failed:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: '家計簿データのエクスポートに失敗しました。' });
+        }
+        res.destroy(error);
+    }
+});
+
+// CSV取り込み：1回の取り込みで扱える最大行数
+const IMPORT_MAX_ROWS = 1000;
+
+// CSV取り込みのプレビュー（CSVファイルをそのままリクエストボディで受け取る）
+// クエリ: encoding, hasHeader, dateColumn, titleColumn, amountColumn, depositColumn
+app.post('/api/kakeibo/import/preview', requireAuth, express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+    const {
+        encoding = 'auto',
+        hasHeader = 'true',
+        dateColumn,
+        titleColumn,
+        amountColumn,
+        depositColumn
+    } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'CSVファイルを送信してください。' });
+    }
+    if (!SUPPORTED_ENCODINGS.includes(encoding)) {
+        return res.status(400).json({ error: '文字コードは auto / utf-8 / shift_jis から指定してください。' });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const records = parseCsv(decodeCsvBuffer(req.body, encoding));
+        const { error: mappingError, headers, rows } = buildImportRows(
+            records,
+            { date: dateColumn, title: titleColumn, amount: amountColumn, deposit: depositColumn },
+            { hasHeader: hasHeader !== 'false' }
+        );
+        if (mappingError) {
+            return res.status(400).json({ error: mappingError, headers });
+        }
+        if (rows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `一度に取り込めるのは${IMPORT_MAX_ROWS}行までです。` });
+        }
+
+        // 既存データと日付・金額が一致する行を重複候補とする
+        const dates = rows.filter(row => !row.error).map(row => row.date).sort();
+        const existingKeys = new Set();
+        if (dates.length > 0) {
+            const { rows: existingRows } = await query(
+                `
+                SELECT to_char(date, 'YYYY-MM-DD') AS date, amount
+                FROM kakeibo_data
+                WHERE user_id = $1 AND date >= $2 AND date <= $3
+                `,
+                [userId, dates[0], dates[dates.length - 1]]
+            );
+            existingRows.forEach(row => existingKeys.add(`${row.date}:${Number(row.amount)}`));
+        }
+
+        const previewRows = rows.map(row => ({
+            ...row,
+            duplicate: !row.error && existingKeys.has(`${row.date}:${row.amount}`)
+        }));
+
+        res.json({
+            headers,
+            rows: previewRows,
+            duplicateCount: previewRows.filter(row => row.duplicate).length,
+            errorCount: previewRows.filter(row => row.error).length
+        });
+    } catch (error) {
+        console.error('Import preview failed:', error);
+        res.status(500).json({ error: 'CSVの読み込みに失敗しました。' });
+    }
+});
+
+// プレビューで確認した行を一括登録
+app.post('/api/kakeibo/import', requireAuth, async (req, res) => {
+    const { rows } = req.body || {};
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ error: '取り込む行を指定してください。' });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({ error: `一度に取り込めるのは${IMPORT_MAX_ROWS}行までです。` });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        // カテゴリは行ごとに問い合わせず、まとめて取得して検証する
+        await seedDefaultCategories(userId);
+        const { rows: categoryRows } = await query(
+            'SELECT key, entry_type FROM categories WHERE user_id = $1',
+            [userId]
+        );
+        const categoryTypes = new Map(categoryRows.map(row => [row.key, row.entry_type]));
+
+        const entries = [];
+        for (const [index, row] of rows.entries()) {
+            const { error: validationError, values } = parseKakeiboInput(row);
+            let rowError = validationError;
+            if (!rowError && !categoryTypes.has(values.category)) {
+                rowError = '存在しないカテゴリです。';
+            } else if (!rowError && values.entry_type !== undefined && values.entry_type !== categoryTypes.get(values.category)) {
+                rowError = 'カテゴリと種別が一致しません。';
+            }
+            if (rowError) {
+                return res.status(400).json({ error: `${index + 1}行目: ${rowError}` });
+            }
+            entries.push({ ...values, entry_type: categoryTypes.get(values.category) });
+        }
+
+        // NISA口座での投資は、取り込む行を順に積み上げて非課税枠を判定する（記録自体は取り込む）
+        const isNisaInvestment = entry => entry.entry_type === 'expense' && NISA_ACCOUNT_TYPES.includes(entry.account_type);
+        const yearOf = entry => Number(entry.date.substring(0, 4));
+        const usageByYear = new Map();
+        for (const year of new Set(entries.filter(isNisaInvestment).map(yearOf))) {
+            usageByYear.set(year, await fetchNisaUsage(userId, year));
+        }
+        const warnings = [];
+        for (const [index, entry] of entries.entries()) {
+            if (!isNisaInvestment(entry)) continue;
+            const year = yearOf(entry);
+            for (const warning of checkNisaQuota(usageByYear.get(year), entry.account_type, entry.amount)) {
+                warnings.push(`${index + 1}行目: ${warning}`);
+            }
+            for (const [key, usage] of usageByYear) {
+                usageByYear.set(key, addNisaInvestment(usage, entry.account_type, entry.amount, year));
+            }
+        }
+
+        const placeholders = entries.map((_, index) => {
+            const base = index * 7;
+            return `($${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $1)`;
+        });
+        const params = entries.flatMap(entry => [
+            entry.title, entry.category, entry.amount, entry.date, entry.entry_type, entry.asset_symbol || null, entry.account_type || null
+        ]);
+        const result = await query(
+            `INSERT INTO kakeibo_data (title, category, amount, date, entry_type, asset_symbol, account_type, user_id) VALUES ${placeholders.join(', ')}`,
+            [userId, ...params]
+        );
+
+        res.json({ message: `${result.rowCount}件を取り込みました！`, imported: result.rowCount, warnings });
+    } catch (error) {
+        console.error('Import kakeibo failed:', error);
+        res.status(500).json({ error: '家計簿データの取り込みに失敗しました。' });
+    }
+});
+
+// 月別の収入・支出・投資・貯蓄率の集計
+// 貯蓄額 = 収入 - 生活費（投資以外の支出）。投資に回した分も貯蓄に含める
+app.get('/api/kakeibo/summary', requireAuth, materializeRecurring, async (req, res) => {
+    const { from, to } = req.query;
+    if ((from !== undefined && !MONTH_PATTERN.test(from)) || (to !== undefined && !MONTH_PATTERN.test(to))) {
+        return res.status(400).json({ error: '月はYYYY-MM形式で指定してください。' });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const conditions = ['user_id = $1'];
+        const params = [userId];
+        if (from) {
+            params.push(getMonthRange(from)[0]);
+            conditions.push(`date >= $${params.length}`);
+        }
+        if (to) {
+            params.push(getMonthRange(to)[1]);
+            conditions.push(`date < $${params.length}`);
+        }
+
+        const { rows } = await query(
+            `
+            SELECT to_char(date, 'YYYY-MM') AS month,
+                   COALESCE(SUM(CASE WHEN entry_type = 'income' THEN amount ELSE 0 END), 0) AS income,
+                   COALESCE(SUM(CASE WHEN entry_type = 'expense' AND category <> 'investment' THEN amount ELSE 0 END), 0) AS spending,
+                   COALESCE(SUM(CASE WHEN entry_type = 'expense' AND category = 'investment' THEN amount ELSE 0 END), 0) AS investment
+            FROM kakeibo_data
+            WHERE ${conditions.join(' AND ')}
+            GROUP BY 1
+            ORDER BY 1
+            `,
+            params
+        );
+
+        const months = rows.map(row => {
+            const income = Number(row.income);
+            const spending = Number(row.spending);
+            const investment = Number(row.investment);
+            const savings = income - spending;
+            return {
+                month: row.month,
+                income,
+                spending,
+                investment,
+                savings,
+                savingsRate: income > 0 ? Math.round((savings / income) * 1000) / 10 : null
+            };
+        });
+
+        res.json({ months });
+    } catch (error) {
+        console.error('Kakeibo summary failed:', error);
+        res.status(500).json({ error: '月別集計の取得に失敗しました。' });
+    }
+});
+
+// 家計簿データの更新（PUTは全項目、PATCHは一部項目）
+const updateKakeibo = (partial) => async (req, res) => {
+    const { id } = req.params;
+    const { error: validationError, values } = parseKakeiboInput(req.body, { partial });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        // JWTとセッション両方に対応
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const categoryError = await resolveCategoryType(userId, values);
+        if (categoryError) {
+            return res.status(400).json({ error: categoryError });
+        }
+
+        const { rows: currentRows } = await query(
+            'SELECT category, entry_type, account_type, amount, EXTRACT(YEAR FROM date) AS year FROM kakeibo_data WHERE id = $1 AND user_id = $2',
+            [id, userId]
+        );
+        if (currentRows.length === 0) {
+            return res.status(404).json({ error: '対象データが見つかりませんでした。' });
+        }
+        if (values.category === undefined && currentRows[0].category !== INVESTMENT_CATEGORY
+            && (values.asset_symbol || values.account_type)) {
+            return res.status(400).json({ error: '銘柄・口座区分は投資カテゴリの記録にだけ指定できます。' });
+        }
+
+        // 更新後に NISA口座での投資になる場合は、非課税枠を超えるか警告する（更新自体は行う）
+        let warnings = [];
+        const updated = { ...currentRows[0], ...values };
+        if (updated.entry_type === 'expense' && NISA_ACCOUNT_TYPES.includes(updated.account_type)) {
+            const year = values.date ? Number(values.date.substring(0, 4)) : Number(currentRows[0].year);
+            const usage = await fetchNisaUsage(userId, year, id);
+            warnings = checkNisaQuota(usage, updated.account_type, Number(updated.amount));
+        }
+
+        const columns = Object.keys(values);
+        const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+        const { rows } = await query(
+            `UPDATE kakeibo_data SET ${assignments.join(', ')} WHERE id = $1 AND user_id = $2 RETURNING *`,
+            [id, userId, ...columns.map(column => values[column])]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '対象データが見つかりませんでした。' });
+        }
+
+        res.json({ message: '✏️更新しました！', item: rows[0], warnings });
+    } catch (error) {
+        console.error('Update kakeibo failed:', error);
+        res.status(500).json({ error: '家計簿データの更新に失敗しました。' });
+    }
+};
+
+app.put('/api/kakeibo/:id', requireAuth, updateKakeibo(false));
+app.patch('/api/kakeibo/:id', requireAuth, updateKakeibo(true));
+
+app.delete('/api/kakeibo/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        // JWTとセッション両方に対応
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+        
+        const result = await query(
+            'DELETE FROM kakeibo_data WHERE id = $1 AND user_id = $2 RETURNING id',
+            [id, userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '対象データが見つかりませんでした。' });
+        }
+
+        res.json({ message: '🗑️削除しました！' });
+    } catch (error) {
+        console.error('Delete kakeibo failed:', error);
+        res.status(500).json({ error: '家計簿データの削除に失敗しました。' });
+    }
+});
+
+app.get('/expenses', requireAuth, materializeRecurring, async (req, res) => {
+    try {
+        const { rows } = await query(
+            'SELECT * FROM kakeibo_data WHERE user_id = $1 ORDER BY date DESC',
+            [req.session.user.id]
+        );
+        res.json(rows);
+    } catch (error) {
+        console.error('Expenses query failed:', error);
+        res.status(500).json({ error: '支出データの取得に失敗しました。' });
+    }
+});
+
+app.get('/expenses/investment', requireAuth, materializeRecurring, async (req, res) => {
+    try {
+        const { rows } = await query(
+            'SELECT * FROM kakeibo_data WHERE category = $1 AND entry_type = $2 AND user_id = $3 ORDER BY date DESC',
+            ['investment', 'expense', req.session.user.id]
+        );
+        res.json(rows);
+    } catch (error) {
+        console.error('Investment expenses query failed:', error);
+        res.status(500).json({ error: '投資データの取得に失敗しました。' });
+    }
+});
+
+// 予算入力の検証（partial=true の場合は金額のみの更新を許可）
+const parseBudgetInput = (body, { partial = false } = {}) => {
+    const { category, month, amount } = body || {};
+    const values = {};
+
+    if (!partial) {
+        if (!category || typeof category !== 'string' || category.trim() === '') {
+            return { error: 'カテゴリは必須です。' };
+        }
+        if (!month || !MONTH_PATTERN.test(month)) {
+            return { error: '月はYYYY-MM形式で指定してください。' };
+        }
+        values.category = category.trim();
+        values.month = month;
+    }
+
+    const parsedAmount = Number(amount);
+    if (amount === undefined || amount === null || amount === '' || !Number.isInteger(parsedAmount) || parsedAmount < 0) {
+        return { error: '予算額は0以上の整数で指定してください。' };
+    }
+    values.amount = parsedAmount;
+
+    return { values };
+};
+
+app.get('/api/budgets', requireAuth, async (req, res) => {
+    const { month } = req.query;
+    if (month !== undefined && !MONTH_PATTERN.test(month)) {
+        return res.status(400).json({ error: '月はYYYY-MM形式で指定してください。' });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows } = month
+            ? await query(
+                'SELECT * FROM budgets WHERE user_id = $1 AND month = $2 ORDER BY category',
+                [userId, month]
+            )
+            : await query(
+                'SELECT * FROM budgets WHERE user_id = $1 ORDER BY month DESC, category',
+                [userId]
+            );
+        res.json(rows);
+    } catch (error) {
+        console.error('Get budgets failed:', error);
+        res.status(500).json({ error: '予算データの取得に失敗しました。' });
+    }
+});
+
+// 予算と実績（その月のカテゴリ別支出合計）の比較
+app.get('/api/budgets/summary', requireAuth, materializeRecurring, async (req, res) => {
+    const { month } = req.query;
+    if (!month || !MONTH_PATTERN.test(month)) {
+        return res.status(400).json({ error: '月はYYYY-MM形式で指定してください。' });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const [monthStart, nextMonthStart] = getMonthRange(month);
+        const { rows } = await query(
+            `
+            SELECT b.id, b.category, b.month, b.amount AS budget,
+                   COALESCE(SUM(k.amount), 0) AS spent
+            FROM budgets b
+            LEFT JOIN kakeibo_data k
+              ON k.user_id = b.user_id
+             AND k.entry_type = 'expense'
+             AND k.category = b.category
+             AND k.date >= $3
+             AND k.date < $4
+            WHERE b.user_id = $1 AND b.month = $2
+            GROUP BY b.id, b.category, b.month, b.amount
+            ORDER BY b.category
+            `,
+            [userId, month, monthStart, nextMonthStart]
+        );
+
+        const summary = rows.map(row => {
+            const budget = Number(row.budget);
+            const spent = Number(row.spent);
+            return {
+                id: row.id,
+                category: row.category,
+                month: row.month,
+                budget,
+                spent,
+                remaining: budget - spent,
+                percentUsed: budget > 0 ? Math.round((spent / budget) * 1000) / 10 : null,
+                overBudget: spent > budget
+            };
+        });
+
+        res.json({ month, budgets: summary });
+    } catch (error) {
+        console.error('Budget summary failed:', error);
+        res.status(500).json({ error: '予算実績の取得に失敗しました。' });
+    }
+});
+
+// 同じカテゴリ・月の予算が既にある場合は金額を上書き
+app.post('/api/budgets', requireAuth, async (req, res) => {
+    const { error: validationError, values } = parseBudgetInput(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows } = await query(
+            `
+            INSERT INTO budgets (user_id, category, month, amount)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (user_id, category, month)
+            DO UPDATE SET amount = EXCLUDED.amount, updated_at = NOW()
+            RETURNING *
+            `,
+            [userId, values.category, values.month, values.amount]
+        );
+        res.json({ message: '予算を設定しました！', budget: rows[0] });
+    } catch (error) {
+        console.error('Upsert budget failed:', error);
+        res.status(500).json({ error: '予算の設定に失敗しました。' });
+    }
+});
+
+app.put('/api/budgets/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const { error: validationError, values } = parseBudgetInput(req.body, { partial: true });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows } = await query(
+            'UPDATE budgets SET amount = $3, updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING *',
+            [id, userId, values.amount]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '対象の予算が見つかりませんでした。' });
+        }
+
+        res.json({ message: '予算を更新しました！', budget: rows[0] });
+    } catch (error) {
+        console.error('Update budget failed:', error);
+        res.status(500).json({ error: '予算の更新に失敗しました。' });
+    }
+});
+
+app.delete('/api/budgets/:id', requireAuth, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const result = await query(
+            'DELETE FROM budgets WHERE id = $1 AND user_id = $2 RETURNING id',
+            [id, userId]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: '対象の予算が見つかりませんでした。' });
+        }
+
+        res.json({ message: '🗑️予算を削除しました！' });
+    } catch (error) {
+        console.error('Delete budget failed:', error);
+        res.status(500).json({ error: '予算の削除に失敗しました。' });
+    }
+});
+
+// 銘柄の指定がない場合はS&P500に連動するETF（SPY）を使う
+const DEFAULT_STOCK_SYMBOL = 'SPY';
+// ティッカー形式（例: SPY, VTI, QQQ, BRK.B）。英大文字・数字・ピリオド・ハイフンのみ許可
+const STOCK_SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,14}$/;
+
+// 銘柄コードを正規化（大文字化）して検証。不正な場合は null
+const parseStockSymbol = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_STOCK_SYMBOL;
+    }
+    const symbol = String(value).trim().toUpperCase();
+    return STOCK_SYMBOL_PATTERN.test(symbol) ? symbol : null;
+};
+
+const invalidSymbolResponse = (res) => res.status(400).json({
+    error: 'Invalid symbol',
+    message: '銘柄コードが不正です。英数字・ピリオド・ハイフンで15文字以内で指定してください。'
+});
+
+// 株価の足は price_bars に保存し、18時間以内に取得済みなら外部APIは呼ばない
+const PRICE_BARS_FRESH_HOURS = 18;
+// 取得に失敗したときに代わりに返す保存済みの足は、7日以内に取得したものまで
+const PRICE_BARS_BACKUP_DAYS = 7;
+// 1回の INSERT でまとめて保存する足の本数
+const PRICE_BARS_INSERT_BATCH = 500;
+
+// 取得した足のうち、保存済みの最新の足以降だけを保存する
+// （最新の足は期間の途中で値が変わるため上書きし、それより前の足は書き換えない）
+const savePriceBars = async (symbol, interval, bars) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+            `SELECT to_char(MAX(date), 'YYYY-MM-DD') AS latest FROM price_bars WHERE symbol = $1 AND interval = $2`,
+            [symbol, interval]
+        );
+        const latest = rows[0].latest;
+        // 月足は、その月の最新の取引日を日付にした足が月末の日付で置き換わるため、月単位で比べる
+        const isMonthly = interval === 'monthly';
+        const newBars = !latest
+            ? bars
+            : bars.filter(bar => (isMonthly ? bar.date.slice(0, 7) >= latest.slice(0, 7) : bar.date >= latest));
+
+        // 取り込む月の保存済みの足（月の途中の日付のもの）を消してから入れ直す
+        if (isMonthly && latest && newBars.length > 0) {
+            const firstMonth = newBars.reduce((min, bar) => (bar.date < min ? bar.date : min), newBars[0].date).slice(0, 7);
+            await client.query(
+                'DELETE FROM price_bars WHERE symbol = $1 AND interval = $2 AND date >= $3',
+                [symbol, interval, `${firstMonth}-01`]
+            );
+        }
+
+        for (let start = 0; start < newBars.length; start += PRICE_BARS_INSERT_BATCH) {
+            const batch = newBars.slice(start, start + PRICE_BARS_INSERT_BATCH);
+            const placeholders = batch.map((_, index) => {
+                const base = index * 7;
+                return `($1, $2, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9})`;
+            });
+            await client.query(
+                `
+                INSERT INTO price_bars (symbol, interval, date, open, high, low, close, volume, adjusted_close)
+                VALUES ${placeholders.join(', ')}
+                ON CONFLICT (symbol, interval, date) DO UPDATE SET
+                    open = EXCLUDED.open, high = EXCLUDED.high, low = EXCLUDED.low, close = EXCLUDED.close,
+                    volume = EXCLUDED.volume, adjusted_close = EXCLUDED.adjusted_close
+                `,
+                [symbol, interval, ...batch.flatMap(bar => [
+                    bar.date, bar.open, bar.high, bar.low, bar.close, bar.volume, bar.adjusted_close
+                ])]
+            );
+        }
+
+        await client.query(
+            `
+            INSERT INTO price_bar_loads (symbol, interval, loaded_at) VALUES ($1, $2, NOW())
+            ON CONFLICT (symbol, interval) DO UPDATE SET loaded_at = NOW()
+            `,
+            [symbol, interval]
+        );
+        await client.query('COMMIT');
+        return newBars.length;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// 必要なら市場データプロバイダーから新しい足を読み込む（freshHours 以内に取得済みなら呼ばない）
+// 戻り値の status: fresh（最新）/ old（API制限中のため前回取得分）/ backup（APIエラーのため前回取得分）
+const loadPriceBars = async (symbol, interval, freshHours = PRICE_BARS_FRESH_HOURS) => {
+    const { rows } = await query(
+        'SELECT loaded_at FROM price_bar_loads WHERE symbol = $1 AND interval = $2',
+        [symbol, interval]
+    );
+    const lastLoadedAt = rows[0]?.loaded_at || null;
+    if (lastLoadedAt && new Date() - new Date(lastLoadedAt) < freshHours * 60 * 60 * 1000) {
+        return { status: 'fresh', cached: true, fetchedAt: lastLoadedAt };
+    }
+
+    try {
+        console.log(`🔄 Fetching ${interval} ${symbol} bars from ${marketData.name}...`);
+        const bars = await marketData[INTERVALS[interval]](symbol);
+        const saved = await savePriceBars(symbol, interval, bars);
+        console.log(`✅ Saved ${saved} ${interval} bars for ${symbol}`);
+        return { status: 'fresh', cached: false, fetchedAt: new Date() };
+    } catch (error) {
+        if (error instanceof MarketDataError && error.code === 'NOT_FOUND') {
+            return { notFound: true };
+        }
+        if (error instanceof MarketDataError && error.code === 'RATE_LIMITED') {
+            console.log(`⚠️ Market data rate limit reached, using stored bars for ${symbol}`);
+            return { status: 'old', cached: true, fetchedAt: lastLoadedAt, failed: true, error };
+        }
+        console.error(`❌ Error loading ${interval} bars for ${symbol}:`, error);
+        return { status: 'backup', cached: true, fetchedAt: lastLoadedAt, failed: true, error };
+    }
+};
+
+// 保存済みの足を日付の昇順で返す（from / to は YYYY-MM-DD、省略時は全期間）
+const readPriceBars = async (symbol, interval, { from, to } = {}) => {
+    const { rows } = await query(
+        `
+        SELECT to_char(date, 'YYYY-MM-DD') AS date, open, high, low, close, volume, adjusted_close
+        FROM price_bars
+        WHERE symbol = $1 AND interval = $2
+          AND ($3::date IS NULL OR date >= $3::date)
+          AND ($4::date IS NULL OR date <= $4::date)
+        ORDER BY date
+        `,
+        [symbol, interval, from || null, to || null]
+    );
+    return rows.map(toBar);
+};
+
+// 株価の足を読み込んで返す共通処理
+// asAlphaVantage=true の場合は、既存の画面が読める Alpha Vantage 形式（data）で返す
+const servePriceBars = async (res, { symbol, interval, from, to, asAlphaVantage = false }) => {
+    try {
+        const load = await loadPriceBars(symbol, interval);
+        if (load.notFound) {
+            console.warn(`⚠️ Unknown symbol requested: ${symbol}`);
+            return res.status(404).json({
+                error: 'Unknown symbol',
+                message: `銘柄「${symbol}」の株価データが見つかりませんでした。`
+            });
+        }
+
+        // 一度も取得できていない、または最後の取得から日数が経ちすぎている場合はエラー
+        const backupExpired = load.fetchedAt
+            && new Date() - new Date(load.fetchedAt) > PRICE_BARS_BACKUP_DAYS * 24 * 60 * 60 * 1000;
+        if (load.failed && (!load.fetchedAt || backupExpired)) {
+            if (load.status === 'old') {
+                return res.status(503).json({
+                    error: 'API limit reached and no cached data available',
+                    message: 'サービス一時停止中：API制限に達しており、キャッシュデータもありません。しばらく後にお試しください。',
+                    retryAfter: '1時間後'
+                });
+            }
+            return res.status(500).json({
+                error: 'Unable to fetch stock data',
+                message: '株価データの取得に失敗しました。キャッシュデータもありません。',
+                details: load.error?.message
+            });
+        }
+
+        const bars = await readPriceBars(symbol, interval, { from, to });
+        const hours = Math.round((new Date() - new Date(load.fetchedAt)) / (1000 * 60 * 60));
+        const dataAge = !load.cached ? '最新' : hours < 24 ? `${hours}時間前` : `${Math.round(hours / 24)}日前`;
+        const reason = load.status === 'old' ? 'API制限中' : 'APIエラー';
+
+        res.json({
+            ...(asAlphaVantage ? { data: formatSeries(interval, { symbol }, bars) } : { bars }),
+            symbol,
+            interval,
+            cached: load.cached,
+            dataAge,
+            status: load.status,
+            message: load.failed ? `${reason}のため${dataAge}に取得したデータを表示` : null,
+            fetchedAt: load.fetchedAt
+        });
+    } catch (error) {
+        console.error(`❌ Error serving ${interval} bars for ${symbol}:`, error);
+        res.status(500).json({
+            error: 'Unable to fetch stock data',
+            message: '株価データの取得に失敗しました。',
+            details: error.message
+        });
+    }
+};
+
+// 株価データエンドポイント（クエリ: symbol 省略時は SPY）。日足を Alpha Vantage 形式で返す
+app.get('/api/stock', limitMarketDataByIp, async (req, res) => {
+    const symbol = parseStockSymbol(req.query.symbol);
+    if (!symbol) {
+        return invalidSymbolResponse(res);
+    }
+
+    console.log(`📊 Fetching stock data for ${symbol}...`);
+    await servePriceBars(res, { symbol, interval: 'daily', asAlphaVantage: true });
+});
+
+// 銘柄の保存済みの足と、配当込みの月次データを削除する
+const clearStockCache = async (symbol) => {
+    await query('DELETE FROM price_bars WHERE symbol = $1', [symbol]);
+    await query('DELETE FROM price_bar_loads WHERE symbol = $1', [symbol]);
+    await query('DELETE FROM stock_cache WHERE symbol = ANY($1)', [[symbol, adjustedSeries(symbol).cacheKey]]);
+};
+
+// キャッシュクリア用のエンドポイント（管理者のみ）。クエリ: symbol 省略時は SPY
+app.delete('/api/stock/cache', requireAuth, requireAdmin, async (req, res) => {
+    const symbol = parseStockSymbol(req.query.symbol);
+    if (!symbol) {
+        return invalidSymbolResponse(res);
+    }
+
+    try {
+        await clearStockCache(symbol);
+        console.log(`🗑️ Stock cache cleared for ${symbol}`);
+        res.json({ message: `${symbol} cache cleared successfully - next request will fetch fresh data` });
+    } catch (error) {
+        console.error('❌ Error clearing cache:', error);
+        res.status(500).json({ error: 'Failed to clear cache' });
+    }
+});
+
+// 月足を Alpha Vantage 形式で返す（シミュレーション用）
+app.get('/api/stock-cached/:symbol', limitMarketDataByIp, async (req, res) => {
+    const symbol = parseStockSymbol(req.params.symbol);
+    if (!symbol) {
+        return invalidSymbolResponse(res);
+    }
+
+    await servePriceBars(res, { symbol, interval: 'monthly', asAlphaVantage: true });
+});
+
+// 株価の足を期間指定で返す（クエリ: interval = daily | monthly、from / to = YYYY-MM-DD）
+// 保存済みの足はそのまま使い、外部APIからは新しい足だけを追加で取得する
+app.get('/api/prices/:symbol', limitMarketDataByIp, async (req, res) => {
+    const symbol = parseStockSymbol(req.params.symbol);
+    if (!symbol) {
+        return invalidSymbolResponse(res);
+    }
+
+    const { interval = 'monthly', from, to } = req.query;
+    if (typeof interval !== 'string' || !INTERVALS[interval]) {
+        return res.status(400).json({
+            error: 'Invalid interval',
+            message: '足の種類は daily または monthly で指定してください。'
+        });
+    }
+    const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+    if ((from !== undefined && !isDate(from)) || (to !== undefined && !isDate(to))) {
+        return res.status(400).json({
+            error: 'Invalid date',
+            message: '期間は YYYY-MM-DD 形式で指定してください。'
+        });
+    }
+
+    await servePriceBars(res, { symbol, interval, from, to });
+});
+
+// 月次の時系列データ（為替・配当込み株価）を stock_cache に保存して返す共通処理
+// 株価の銘柄コードと衝突しないよう、キーには銘柄コードに使えない文字（「/」「:」）を含める
+const SERIES_FRESH_HOURS = 18;
+const SERIES_BACKUP_DAYS = 7;
+
+const readCachedSeries = async (cacheKey, seriesKey, maxAgeHours) => {
+    const { rows } = await query(
+        `
+        SELECT data, fetched_at
+        FROM stock_cache
+        WHERE symbol = $1
+          AND fetched_at > NOW() - $2 * INTERVAL '1 hour'
+        ORDER BY fetched_at DESC
+        LIMIT 1
+        `,
+        [cacheKey, maxAgeHours]
+    );
+    if (rows.length === 0) return null;
+
+    const payload = typeof rows[0].data === 'string' ? JSON.parse(rows[0].data) : rows[0].data;
+    return payload && payload[seriesKey] ? { payload, fetchedAt: rows[0].fetched_at } : null;
+};
+
+// maxAgeHours 以内のキャッシュがあればそれを返し（{ cached }）、なければ取得して保存する（{ payload }）
+// kind / meta は保存・返却する Alpha Vantage 形式の種類（formatSeries の引数）、fetchSeries は取得処理
+// 取得に失敗した場合は MarketDataError などをそのまま投げる
+const refreshCachedSeries = async ({ cacheKey, seriesKey, kind, meta, fetchSeries }, maxAgeHours = SERIES_FRESH_HOURS) => {
+    const freshCache = await readCachedSeries(cacheKey, seriesKey, maxAgeHours);
+    if (freshCache) {
+        return { cached: freshCache };
+    }
+
+    console.log(`🔄 Fetching fresh ${cacheKey} data from ${marketData.name}...`);
+    const payload = formatSeries(kind, meta, await fetchSeries());
+    await query(
+        'INSERT INTO stock_cache (symbol, data, fetched_at) VALUES ($1, $2, NOW()) ON CONFLICT (symbol) DO UPDATE SET data = $2, fetched_at = NOW()',
+        [cacheKey, JSON.stringify(payload)]
+    );
+    console.log(`✅ Fresh ${cacheKey} data fetched and cached`);
+    return { payload };
+};
+
+// フレッシュなキャッシュ → 市場データプロバイダー → 7日以内の古いキャッシュ の順に試す
+// source は取得対象（fxSeries / adjustedSeries の戻り値）
+const serveCachedSeries = async (res, source, { notFoundMessage, failureMessage, extra }) => {
+    const { cacheKey, seriesKey } = source;
+    // キャッシュ（古いものも含む）を返す共通処理
+    const respondWithCache = (cached, status, message) => {
+        const hours = Math.round((new Date() - new Date(cached.fetchedAt)) / (1000 * 60 * 60));
+        return res.json({
+            data: cached.payload,
+            ...extra,
+            cached: true,
+            dataAge: hours < 24 ? `${hours}時間前` : `${Math.round(hours / 24)}日前`,
+            status,
+            message,
+            fetchedAt: cached.fetchedAt
+        });
+    };
+
+    try {
+        let refreshed;
+        try {
+            refreshed = await refreshCachedSeries(source);
+        } catch (error) {
+            if (error instanceof MarketDataError && error.code === 'NOT_FOUND') {
+                return res.status(404).json({ error: 'Not found', message: notFoundMessage });
+            }
+            throw error;
+        }
+
+        if (refreshed.cached) {
+            console.log(`✅ Returning fresh cached data for ${cacheKey}`);
+            return respondWithCache(refreshed.cached, 'fresh', null);
+        }
+
+        res.json({
+            data: refreshed.payload,
+            ...extra,
+            cached: false,
+            dataAge: '最新',
+            status: 'fresh',
+            fetchedAt: new Date()
+        });
+    } catch (error) {
+        console.error(`❌ Error fetching ${cacheKey} data:`, error);
+
+        // API制限・エラー時は7日以内の古いキャッシュで代用
+        try {
+            const backupCache = await readCachedSeries(cacheKey, seriesKey, SERIES_BACKUP_DAYS * 24);
+            if (backupCache) {
+                return respondWithCache(backupCache, 'backup', 'APIエラーのため過去に取得したデータを表示');
+            }
+        } catch (backupError) {
+            console.error(`❌ Backup cache search failed for ${cacheKey}:`, backupError);
+        }
+
+        res.status(500).json({
+            error: 'Unable to fetch data',
+            message: failureMessage,
+            details: error.message
+        });
+    }
+};
+
+// 為替レート（円換算用）。キーは「USD/JPY」形式
+const FX_CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const FX_SERIES_KEY = 'Time Series FX (Monthly)';
+const FX_DEFAULT_PAIR = 'USD/JPY';
+
+const fxSeries = (fromCurrency, toCurrency) => ({
+    cacheKey: `${fromCurrency}/${toCurrency}`,
+    seriesKey: FX_SERIES_KEY,
+    kind: 'fxMonthly',
+    meta: { from: fromCurrency, to: toCurrency },
+    fetchSeries: () => marketData.fetchFxMonthly(fromCurrency, toCurrency)
+});
+
+// 月次の為替レート（クエリ: from, to 省略時は USD → JPY）
+app.get('/api/fx', limitMarketDataByIp, async (req, res) => {
+    const fromCurrency = String(req.query.from || 'USD').toUpperCase();
+    const toCurrency = String(req.query.to || 'JPY').toUpperCase();
+    if (!FX_CURRENCY_PATTERN.test(fromCurrency) || !FX_CURRENCY_PATTERN.test(toCurrency)) {
+        return res.status(400).json({
+            error: 'Invalid currency',
+            message: '通貨コードは3文字の英字（例: USD, JPY）で指定してください。'
+        });
+    }
+    const pair = `${fromCurrency}/${toCurrency}`;
+
+    await serveCachedSeries(res, fxSeries(fromCurrency, toCurrency), {
+        notFoundMessage: `通貨ペア「${pair}」の為替データが見つかりませんでした。`,
+        failureMessage: '為替データの取得に失敗しました。キャッシュデータもありません。',
+        extra: { pair }
+    });
+});
+
+// 配当込みの月次株価（調整後終値・配当額を含む）。キーは「ADJ:SPY」形式
+const ADJUSTED_SERIES_KEY = 'Monthly Adjusted Time Series';
+
+const adjustedSeries = (symbol) => ({
+    cacheKey: `ADJ:${symbol}`,
+    seriesKey: ADJUSTED_SERIES_KEY,
+    kind: 'monthlyAdjusted',
+    meta: { symbol },
+    fetchSeries: () => marketData.fetchMonthlyAdjusted(symbol)
+});
+
+// 配当再投資シミュレーション用の月次株価（クエリ: symbol 省略時は SPY）
+app.get('/api/stock/adjusted', limitMarketDataByIp, async (req, res) => {
+    const symbol = parseStockSymbol(req.query.symbol);
+    if (!symbol) {
+        return invalidSymbolResponse(res);
+    }
+
+    await serveCachedSeries(res, adjustedSeries(symbol), {
+        notFoundMessage: `銘柄「${symbol}」の株価データが見つかりませんでした。`,
+        failureMessage: '配当込み株価データの取得に失敗しました。キャッシュデータもありません。',
+        extra: { symbol }
+    });
+});
+
+// ポートフォリオ：目標配分の入力を検証（空配列は目標の解除）
+const parsePortfolioTargets = (body) => {
+    const { targets } = body || {};
+    if (!Array.isArray(targets)) {
+        return { error: '目標配分は配列で指定してください。' };
+    }
+
+    const values = [];
+    for (const target of targets) {
+        const symbol = target && target.symbol ? parseStockSymbol(target.symbol) : null;
+        if (!symbol) {
+            return { error: '銘柄コードが不正です。' };
+        }
+        if (values.some(value => value.symbol === symbol)) {
+            return { error: `銘柄「${symbol}」が重複しています。` };
+        }
+        const percent = Number(target.percent);
+        if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+            return { error: '目標比率は0より大きく100以下の数値で指定してください。' };
+        }
+        values.push({ symbol, percent: Math.round(percent * 100) / 100 });
+    }
+
+    const total = values.reduce((sum, value) => sum + value.percent, 0);
+    if (values.length > 0 && Math.abs(total - 100) > 0.01) {
+        return { error: `目標比率の合計が100%になるように指定してください（現在 ${total}%）。` };
+    }
+
+    return { values };
+};
+
+// 次回の積立額が指定されない場合は、直近3ヶ月の投資額の平均を使う
+const PORTFOLIO_AVERAGE_MONTHS = 3;
+
+// ポートフォリオ：銘柄ごとの保有状況・評価額と、目標配分に近づけるための積立配分の提案
+// クエリ: contribution（次回の積立額、円）
+app.get('/api/portfolio', requireAuth, materializeRecurring, async (req, res) => {
+    const { contribution } = req.query;
+    if (contribution !== undefined && (contribution === '' || !(Number(contribution) >= 0))) {
+        return res.status(400).json({ error: '積立額は0以上の数値で指定してください。' });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows: entries } = await query(
+            `
+            SELECT COALESCE(asset_symbol, $2) AS symbol, to_char(date, 'YYYY-MM-DD') AS date, amount
+            FROM kakeibo_data
+            WHERE user_id = $1 AND category = $3 AND entry_type = 'expense'
+            ORDER BY date
+            `,
+            [userId, DEFAULT_STOCK_SYMBOL, INVESTMENT_CATEGORY]
+        );
+        const { rows: targetRows } = await query(
+            'SELECT symbol, target_percent FROM portfolio_targets WHERE user_id = $1 ORDER BY target_percent DESC, symbol',
+            [userId]
+        );
+        const targets = targetRows.map(row => ({ symbol: row.symbol, percent: Number(row.target_percent) }));
+
+        // 価格は price_bars に保存済みの足のみを使う（月足を優先し、なければ日足。未取得の銘柄は評価額なし）
+        const symbols = [...new Set([...entries.map(entry => entry.symbol), ...targets.map(target => target.symbol)])];
+        const { rows: barRows } = await query(
+            `
+            SELECT symbol, interval, to_char(date, 'YYYY-MM-DD') AS date, close
+            FROM price_bars
+            WHERE symbol = ANY($1)
+            ORDER BY date
+            `,
+            [symbols]
+        );
+        const pricesBySymbol = Object.fromEntries(symbols.map(symbol => {
+            const bars = barRows.filter(row => row.symbol === symbol);
+            const monthly = bars.filter(row => row.interval === 'monthly');
+            return [symbol, (monthly.length > 0 ? monthly : bars).map(row => ({ date: row.date, close: Number(row.close) }))];
+        }));
+        const { rows: fxRows } = await query('SELECT data FROM stock_cache WHERE symbol = $1', [FX_DEFAULT_PAIR]);
+        const fxPayload = fxRows.length > 0
+            ? (typeof fxRows[0].data === 'string' ? JSON.parse(fxRows[0].data) : fxRows[0].data)
+            : null;
+
+        const positions = buildPositions(
+            entries.map(entry => ({ ...entry, amount: Number(entry.amount) })),
+            pricesBySymbol,
+            extractFxCloses(fxPayload)
+        );
+
+        let nextContribution = Number(contribution);
+        if (contribution === undefined) {
+            const { rows: averageRows } = await query(
+                `
+                SELECT COALESCE(SUM(amount), 0) AS total
+                FROM kakeibo_data
+                WHERE user_id = $1 AND category = $2 AND entry_type = 'expense'
+                  AND date >= date_trunc('month', CURRENT_DATE) - $3 * INTERVAL '1 month'
+                  AND date < date_trunc('month', CURRENT_DATE)
+                `,
+                [userId, INVESTMENT_CATEGORY, PORTFOLIO_AVERAGE_MONTHS]
+            );
+            nextContribution = Math.round(Number(averageRows[0].total) / PORTFOLIO_AVERAGE_MONTHS);
+        }
+
+        const valued = positions.filter(position => position.value !== null);
+        const totalValue = valued.reduce((sum, position) => sum + position.value, 0);
+        res.json({
+            positions: positions.map(position => ({
+                ...position,
+                percent: position.value !== null && totalValue > 0
+                    ? Number((position.value / totalValue * 100).toFixed(1))
+                    : null
+            })),
+            totals: {
+                invested: positions.reduce((sum, position) => sum + position.invested, 0),
+                value: totalValue,
+                profit: valued.reduce((sum, position) => sum + position.profit, 0)
+            },
+            missingPrices: positions.filter(position => position.value === null).map(position => position.symbol),
+            targets,
+            contribution: nextContribution,
+            suggestion: targets.length > 0 ? suggestContribution(positions, targets, nextContribution) : [],
+            nisa: await fetchNisaUsage(userId, new Date().getFullYear())
+        });
+    } catch (error) {
+        console.error('Get portfolio failed:', error);
+        res.status(500).json({ error: 'ポートフォリオの取得に失敗しました。' });
+    }
+});
+
+// NISAの非課税投資枠の利用状況（クエリ: year、省略時は今年）
+app.get('/api/nisa', requireAuth, materializeRecurring, async (req, res) => {
+    const { year } = req.query;
+    if (year !== undefined && !/^\d{4}$/.test(year)) {
+        return res.status(400).json({ error: '年はYYYY形式で指定してください。' });
+    }
+
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        res.json(await fetchNisaUsage(userId, year !== undefined ? Number(year) : new Date().getFullYear()));
+    } catch (error) {
+        console.error('Get NISA usage failed:', error);
+        res.status(500).json({ error: 'NISA投資枠の取得に失敗しました。' });
+    }
+});
+
+app.get('/api/portfolio/targets', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        if (!userId) {
+            return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+        }
+
+        const { rows } = await query(
+            'SELECT symbol, target_percent FROM portfolio_targets WHERE user_id = $1 ORDER BY target_percent DESC, symbol',
+            [userId]
+        );
+        res.json(rows.map(row => ({ symbol: row.symbol, percent: Number(row.target_percent) })));
+    } catch (error) {
+        console.error('Get portfolio targets failed:', error);
+        res.status(500).json({ error: '目標配分の取得に失敗しました。' });
+    }
+});
+
+// 目標配分はまとめて置き換える（合計100%の状態でのみ保存）
+app.put('/api/portfolio/targets', requireAuth, async (req, res) => {
+    const { error: validationError, values } = parsePortfolioTargets(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const userId = req.user?.id || req.session?.user?.id;
+    if (!userId) {
+        return res.status(401).json({ error: 'ユーザー認証が必要です。' });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM portfolio_targets WHERE user_id = $1', [userId]);
+        if (values.length > 0) {
+            const placeholders = values.map((_, index) => `($1, $${index * 2 + 2}, $${index * 2 + 3})`);
+            await client.query(
+                `INSERT INTO portfolio_targets (user_id, symbol, target_percent) VALUES ${placeholders.join(', ')}`,
+                [userId, ...values.flatMap(value => [value.symbol, value.percent])]
+            );
+        }
+        await client.query('COMMIT');
+        res.json({ message: '🎯目標配分を保存しました！', targets: values });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Save portfolio targets failed:', error);
+        res.status(500).json({ error: '目標配分の保存に失敗しました。' });
+    } finally {
+        client.release();
+    }
+});
+
+// キャッシュの事前取得：ユーザーが投資記録・目標配分で使っている銘柄を、取引日ごとに取引終了後にまとめて取得する
+// 1日に使うリクエスト数は MARKET_DATA_DAILY_BUDGET まで（画面からの取得のために無料枠の残りを空けておく）
+const MARKET_DATA_DAILY_BUDGET = Number(process.env.MARKET_DATA_DAILY_BUDGET || 15);
+// リクエストの間隔（Alpha Vantage の無料枠は1分あたり5回まで）
+const MARKET_DATA_REQUEST_INTERVAL_MS = Number(process.env.MARKET_DATA_REQUEST_INTERVAL_MS || 15 * 1000);
+
+// 為替（円換算用）を先に、銘柄は利用ユーザーの多い順に、日足・月足・配当込み月次の順で取得する
+const listCacheWarmTasks = async () => {
+    const { rows } = await query(
+        `
+        SELECT symbol, COUNT(DISTINCT user_id) AS users
+        FROM (
+            SELECT COALESCE(asset_symbol, $1) AS symbol, user_id
+            FROM kakeibo_data
+            WHERE category = $2 AND entry_type = 'expense'
+            UNION ALL
+            SELECT symbol, user_id FROM portfolio_targets
+        ) followed
+        GROUP BY symbol
+        ORDER BY users DESC, symbol
+        `,
+        [DEFAULT_STOCK_SYMBOL, INVESTMENT_CATEGORY]
+    );
+    const symbols = [...new Set([DEFAULT_STOCK_SYMBOL, ...rows.map(row => row.symbol)])];
+    return [
+        { target: FX_DEFAULT_PAIR, kind: 'fxMonthly' },
+        ...symbols.flatMap(symbol => [
+            { target: symbol, kind: 'daily' },
+            { target: symbol, kind: 'monthly' },
+            { target: symbol, kind: 'monthlyAdjusted' }
+        ])
+    ];
+};
+
+const recordCacheRefresh = (task, success, message) => query(
+    'INSERT INTO cache_refreshes (target, kind, success, message) VALUES ($1, $2, $3, $4)',
+    [task.target, task.kind, success, message]
+);
+
+// 1件取得して結果を cache_refreshes に記録する（取得済みで外部APIを呼ばなかった場合は記録しない）
+const refreshCacheTarget = async (task, { maxAgeHours }) => {
+    if (INTERVALS[task.kind]) {
+        const load = await loadPriceBars(task.target, task.kind, maxAgeHours);
+        if (load.cached && !load.failed) {
+            return { requested: false };
+        }
+        const message = load.notFound ? 'Unknown symbol' : load.error?.message || null;
+        await recordCacheRefresh(task, !load.failed && !load.notFound, message);
+        return {
+            requested: true,
+            success: !load.failed && !load.notFound,
+            rateLimited: load.status === 'old',
+            dailyLimit: Boolean(load.error?.dailyLimit)
+        };
+    }
+
+    const source = task.kind === 'fxMonthly'
+        ? fxSeries(...task.target.split('/'))
+        : adjustedSeries(task.target);
+    try {
+        const refreshed = await refreshCachedSeries(source, maxAgeHours);
+        if (refreshed.cached) {
+            return { requested: false };
+        }
+        await recordCacheRefresh(task, true, null);
+        return { requested: true, success: true };
+    } catch (error) {
+        console.error(`❌ Error warming ${source.cacheKey} cache:`, error);
+        await recordCacheRefresh(task, false, error.message);
+        return {
+            requested: true,
+            success: false,
+            rateLimited: error instanceof MarketDataError && error.code === 'RATE_LIMITED',
+            dailyLimit: error instanceof MarketDataError && error.dailyLimit
+        };
+    }
+};
+
+// 今日（UTC）の事前取得で使ったリクエスト数
+const countCacheRefreshesToday = async () => {
+    const { rows } = await query(
+        `SELECT COUNT(*)::int AS count FROM cache_refreshes WHERE refreshed_at >= (NOW() AT TIME ZONE 'UTC')::date`
+    );
+    return rows[0].count;
+};
+
+const cacheWarmer = createCacheWarmer({
+    listTasks: listCacheWarmTasks,
+    runTask: refreshCacheTarget,
+    countRequestsToday: countCacheRefreshesToday,
+    budget: MARKET_DATA_DAILY_BUDGET,
+    requestIntervalMs: MARKET_DATA_REQUEST_INTERVAL_MS
+});
+
+// 市場データの取得状況（事前取得の最終実行結果と、取得対象ごとの直近の成否）。管理者のみ
+app.get('/api/status/market-data', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { rows } = await query(
+            `
+            SELECT DISTINCT ON (target, kind) target, kind, success, message, refreshed_at
+            FROM cache_refreshes
+            ORDER BY target, kind, refreshed_at DESC
+            `
+        );
+        res.json({
+            provider: marketData.name,
+            warmer: {
+                enabled: CACHE_WARMER_ENABLED,
+                ...cacheWarmer.getStatus(),
+                usedToday: await countCacheRefreshesToday()
+            },
+            refreshes: rows.map(row => ({
+                target: row.target,
+                kind: row.kind,
+                success: row.success,
+                message: row.message,
+                refreshedAt: row.refreshed_at
+            }))
+        });
+    } catch (error) {
+        console.error('Fetch market data status failed:', error);
+        res.status(500).json({ error: '市場データの取得状況の読み込みに失敗しました。' });
+    }
+});
+
+// 管理用：キャッシュの対象は銘柄コード（例: SPY）または為替ペア（例: USD/JPY）
+const FX_PAIR_PATTERN = /^([A-Z]{3})\/([A-Z]{3})$/;
+
+const parseCacheTarget = (value) => {
+    const target = String(value || '').trim().toUpperCase();
+    if (FX_PAIR_PATTERN.test(target)) {
+        return { target, tasks: [{ target, kind: 'fxMonthly' }] };
+    }
+    if (!STOCK_SYMBOL_PATTERN.test(target)) {
+        return null;
+    }
+    return {
+        target,
+        tasks: ['daily', 'monthly', 'monthlyAdjusted'].map(kind => ({ target, kind }))
+    };
+};
+
+const invalidCacheTargetResponse = (res) => res.status(400).json({
+    error: '対象は銘柄コード（例: SPY）または為替ペア（例: USD/JPY）で指定してください。'
+});
+
+// stock_cache に保存されている時系列の種類（保存時の Alpha Vantage 形式のキーで判定）
+const describeCachedPayload = (data) => {
+    const payload = typeof data === 'string' ? JSON.parse(data) : data;
+    if (payload?.[FX_SERIES_KEY]) return 'fxMonthly';
+    if (payload?.[ADJUSTED_SERIES_KEY]) return 'monthlyAdjusted';
+    if (payload?.['Time Series (Daily)']) return 'daily';
+    if (payload?.['Monthly Time Series']) return 'monthly';
+    return 'unknown';
+};
+
+const ageInHours = (fetchedAt) => Math.round((new Date() - new Date(fetchedAt)) / (1000 * 60 * 60) * 10) / 10;
+
+// 管理用：キャッシュの一覧（price_bars の銘柄・足ごとと、stock_cache の1行ごと）
+app.get('/api/admin/cache', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { rows: loads } = await query(
+            `
+            SELECT l.symbol, l.interval, l.loaded_at, COUNT(b.date)::int AS bars
+            FROM price_bar_loads l
+            LEFT JOIN price_bars b ON b.symbol = l.symbol AND b.interval = l.interval
+            GROUP BY l.symbol, l.interval, l.loaded_at
+            ORDER BY l.symbol, l.interval
+            `
+        );
+        const { rows: cached } = await query('SELECT symbol, data, fetched_at FROM stock_cache ORDER BY symbol');
+
+        res.json({
+            entries: [
+                ...loads.map(row => ({
+                    key: row.symbol,
+                    store: 'price_bars',
+                    type: row.interval,
+                    fetchedAt: row.loaded_at,
+                    ageHours: ageInHours(row.loaded_at),
+                    bars: row.bars
+                })),
+                ...cached.map(row => ({
+                    key: row.symbol,
+                    store: 'stock_cache',
+                    type: describeCachedPayload(row.data),
+                    fetchedAt: row.fetched_at,
+                    ageHours: ageInHours(row.fetched_at)
+                }))
+            ]
+        });
+    } catch (error) {
+        console.error('Fetch cache entries failed:', error);
+        res.status(500).json({ error: 'キャッシュ一覧の取得に失敗しました。' });
+    }
+});
+
+// 管理用：保存済みのデータの鮮度に関係なく取り直す（ボディ: target）
+app.post('/api/admin/cache/refresh', requireAuth, requireAdmin, async (req, res) => {
+    const parsed = parseCacheTarget(req.body?.target);
+    if (!parsed) {
+        return invalidCacheTargetResponse(res);
+    }
+
+    try {
+        const results = [];
+        for (const task of parsed.tasks) {
+            const result = await refreshCacheTarget(task, { maxAgeHours: 0 });
+            results.push({ kind: task.kind, success: result.success });
+            if (result.rateLimited) break;
+        }
+
+        const ok = results.every(result => result.success) && results.length === parsed.tasks.length;
+        res.status(ok ? 200 : 502).json({
+            message: ok ? `${parsed.target} を取得し直しました。` : `${parsed.target} の取得に一部失敗しました。`,
+            target: parsed.target,
+            results
+        });
+    } catch (error) {
+        console.error('Refresh cache failed:', error);
+        res.status(500).json({ error: 'キャッシュの再取得に失敗しました。' });
+    }
+});
+
+// 管理用：キャッシュの削除（クエリ: target で1件、all=true ですべて）
+app.delete('/api/admin/cache', requireAuth, requireAdmin, async (req, res) => {
+    const clearAll = req.query.all === 'true';
+    const parsed = clearAll ? null : parseCacheTarget(req.query.target);
+    if (!clearAll && !parsed) {
+        return invalidCacheTargetResponse(res);
+    }
+
+    try {
+        if (clearAll) {
+            await query('DELETE FROM price_bars');
+            await query('DELETE FROM price_bar_loads');
+            await query('DELETE FROM stock_cache');
+        } else if (parsed.tasks[0].kind === 'fxMonthly') {
+            await query('DELETE FROM stock_cache WHERE symbol = $1', [parsed.target]);
+        } else {
+            await clearStockCache(parsed.target);
+        }
+
+        const label = clearAll ? 'すべてのキャッシュ' : `${parsed.target} のキャッシュ`;
+        console.log(`🗑️ Admin cleared ${clearAll ? 'all caches' : parsed.target}`);
+        res.json({ message: `${label}を削除しました。` });
+    } catch (error) {
+        console.error('Clear cache failed:', error);
+        res.status(500).json({ error: 'キャッシュの削除に失敗しました。' });
+    }
+});
+
+// ログイン1回分の auth_sessions を作成する（端末の表示用に User-Agent と IP を記録）
+const createAuthSession = async (req, userId) => {
+    const sessionId = crypto.randomUUID();
+    await query(
+        'INSERT INTO auth_sessions (id, user_id, user_agent, ip_address) VALUES ($1, $2, $3, $4)',
+        [sessionId, userId, (req.headers['user-agent'] || '').slice(0, 255) || null, req.ip || null]
+    );
+    return sessionId;
+};
+
+// メールで送るトークンを発行する。同じ用途の未使用のトークンは使えなくする（最後に送ったリンクだけが有効）
+const issueAccountToken = async (userId, purpose) => {
+    const { token, jti, expiresAt } = generateAccountToken(userId, purpose);
+    const { audience } = ACCOUNT_TOKEN_PURPOSES[purpose];
+    await query(
+        'UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, audience]
+    );
+    await query(
+        'INSERT INTO account_tokens (id, user_id, purpose, expires_at) VALUES ($1, $2, $3, $4)',
+        [jti, userId, audience, expiresAt]
+    );
+    return token;
+};
+
+// トークンを検証して使用済みにし、利用者の ID を返す（無効・期限切れ・使用済みなら null）
+const consumeAccountToken = async (token, purpose) => {
+    const verified = verifyAccountToken(token, purpose);
+    if (!verified) return null;
+
+    const { rowCount } = await query(
+        `
+        UPDATE account_tokens SET used_at = NOW()
+        WHERE id = $1 AND user_id = $2 AND purpose = $3 AND used_at IS NULL AND expires_at > NOW()
+        `,
+        [verified.jti, verified.userId, ACCOUNT_TOKEN_PURPOSES[purpose].audience]
+    );
+    return rowCount > 0 ? verified.userId : null;
+};
+
+const expiresInHours = (purpose) => ACCOUNT_TOKEN_PURPOSES[purpose].ttlSeconds / 3600;
+
+const sendVerificationMail = async (user) => {
+    const token = await issueAccountToken(user.id, 'verifyEmail');
+    await mailer.send(buildVerificationMail({
+        to: user.email,
+        name: user.name,
+        url: `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`,
+        expiresInHours: expiresInHours('verifyEmail')
+    }));
+};
+
+const sendPasswordResetMail = async (user) => {
+    const token = await issueAccountToken(user.id, 'resetPassword');
+    await mailer.send(buildPasswordResetMail({
+        to: user.email,
+        name: user.name,
+        url: `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`,
+        expiresInHours: expiresInHours('resetPassword')
+    }));
+};
+
+app.post('/api/auth/register', limitRegisterByIp, async (req, res) => {
+    const { email, password, name } = req.body || {};
+
+    if (!email || typeof email !== 'string' || email.trim() === '') {
+        return res.status(400).json({ error: 'メールアドレスは必須です。' });
+    }
+    if (!password || typeof password !== 'string' || password.trim() === '') {
+        return res.status(400).json({ error: 'パスワードは必須です。' });
+    }
+
+    const normalizedEmail = email.trim();
+    const normalizedPassword = password.trim();
+    const normalizedName = typeof name === 'string' && name.trim() !== '' ? name.trim() : null;
+
+    try {
+        const { rows: existingUsers } = await query(
             'SELECT id FROM users WHERE email = $1',
             [normalizedEmail]
         );
@@ -540,26 +2699,233 @@ app.post('/api/auth/register', async (req, res) => {
             return res.status(409).json({ error: 'このメールアドレスは既に登録されています。' });
         }
 
-        const passwordHash = await bcrypt.hash(normalizedPassword, SALT_ROUNDS);
-        const { rows } = await query(
-            'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name',
-            [normalizedEmail, passwordHash, normalizedName]
+        const passwordHash = await bcrypt.hash(normalizedPassword, SALT_ROUNDS);
+        const { rows } = await query(
+            'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name, email_verified_at',
+            [normalizedEmail, passwordHash, normalizedName]
+        );
+
+        const sessionUser = toAuthUser(rows[0]);
+        req.session.user = sessionUser;
+        req.session.authSessionId = await createAuthSession(req, sessionUser.id);
+
+        // 確認メールを送れなくても登録は完了させる（画面から再送できる）
+        try {
+            await sendVerificationMail(sessionUser);
+        } catch (error) {
+            console.error('Send verification mail failed:', error);
+        }
+
+        return res.status(201).json({
+            message: 'ユーザー登録が完了しました。',
+            user: sessionUser
+        });
+    } catch (error) {
+        console.error('Register failed:', error);
+        return res.status(500).json({ error: '登録に失敗しました。' });
+    }
+});
+
+// 認証用 Cookie の共通設定（本番はフロントエンドと別ドメインのため SameSite=None + Secure）
+const authCookieOptions = (options = {}) => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    ...options
+});
+// リフレッシュトークンは更新・ログアウトのときだけ送られるよう、Cookie のパスを絞る
+const REFRESH_TOKEN_COOKIE_PATH = '/api/auth';
+// 別のタブが同時に更新した直後は、使用済みのトークンが届いても再利用とはみなさない
+const REFRESH_REUSE_GRACE_SECONDS = 10;
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+    res.cookie(ACCESS_TOKEN_COOKIE, accessToken, authCookieOptions({ maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 }));
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, authCookieOptions({
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+        path: REFRESH_TOKEN_COOKIE_PATH
+    }));
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie(ACCESS_TOKEN_COOKIE, authCookieOptions());
+    res.clearCookie(REFRESH_TOKEN_COOKIE, authCookieOptions({ path: REFRESH_TOKEN_COOKIE_PATH }));
+};
+
+// リフレッシュトークンを発行して保存する（familyId を省略するとログイン1回分の新しい系列）
+// db はトランザクション中のクライアントでもよい
+const issueRefreshToken = async (db, userId, familyId = crypto.randomUUID()) => {
+    const { token, hash } = generateRefreshToken();
+    await db.query(
+        'INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+        [userId, familyId, hash, new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)]
+    );
+    return token;
+};
+
+// 使ったトークンを使用済みにして、同じ系列の新しいトークンを発行する
+// 同時に届いた別のリクエストが先に使っていた場合は null
+const rotateRefreshToken = async (stored) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rowCount } = await client.query(
+            'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+            [stored.id]
+        );
+        if (rowCount === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const token = await issueRefreshToken(client, stored.user_id, stored.family_id);
+        await client.query('COMMIT');
+        return token;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+const revokeRefreshTokenFamily = (familyId, userId = null) => query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE family_id = $1 AND revoked_at IS NULL AND ($2::integer IS NULL OR user_id = $2)`,
+    [familyId, userId]
+);
+
+// ログインを無効にする。アクセストークン・セッションは requireAuth で、リフレッシュトークンは更新時に拒否される
+// userId を指定した場合はその利用者のログインだけを対象にし、無効にできたかどうかを返す
+const revokeAuthSession = async (sessionId, userId = null) => {
+    const { rowCount } = await query(
+        `UPDATE auth_sessions SET revoked_at = NOW()
+         WHERE id = $1 AND revoked_at IS NULL AND ($2::integer IS NULL OR user_id = $2)`,
+        [sessionId, userId]
+    );
+    await revokeRefreshTokenFamily(sessionId, userId);
+    return rowCount > 0;
+};
+
+// 利用者のすべてのログインを無効にする（全端末からのログアウト・パスワードの再設定）
+const revokeAllAuthSessions = async (userId) => {
+    await query(
+        'UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+    );
+    await query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+    );
+};
+
+// ブラウザのセッションを破棄して Cookie を消し、ログアウト完了を返す
+const finishLogout = (req, res, message) => {
+    clearAuthCookies(res);
+    req.session.destroy(err => {
+        if (err) {
+            console.error('Logout failed:', err);
+            return res.status(500).json({ error: 'ログアウト失敗' });
+        }
+        res.clearCookie('kakeibo.sid', {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+        });
+        return res.json({ message });
+    });
+};
+
+// パスワード（2段階認証が有効なら確認コードも）を確認したあと、ログインを作成してトークンを発行する
+// extra はレスポンスに追加する項目
+const completeLogin = async (req, res, user, extra = {}) => {
+    const sessionUser = toAuthUser(user);
+    // 起動後に ADMIN_EMAILS のアドレスで登録・確認されたユーザーも管理者にする
+    await syncAdminRoles(user.id);
+
+    // 同じブラウザで再ログインした場合（登録直後を含む）は、前のログインを残さない
+    if (req.session.authSessionId) {
+        await revokeAuthSession(req.session.authSessionId);
+    }
+
+    // ログイン1回ごとに auth_sessions を作り、トークン・セッションをすべてこれに紐づける
+    const authSessionId = await createAuthSession(req, user.id);
+    req.session.user = sessionUser;
+    req.session.authSessionId = authSessionId;
+
+    // JWT トークン生成（ブラウザには httpOnly Cookie で渡す）
+    const token = generateToken(sessionUser, authSessionId);
+    setAuthCookies(res, token, await issueRefreshToken(pool, user.id, authSessionId));
+
+    // デバッグ用ログ
+    console.log('🔐 Login successful - Session ID:', req.sessionID);
+    console.log('🔐 Session user set:', sessionUser);
+    console.log('🔐 Session cookie options:', req.session.cookie);
+    console.log('🔐 JWT token generated');
+
+    return res.json({ 
+        message: 'ログイン成功', 
+        user: sessionUser,
+        token: token,  // Cookie を使えないAPIクライアント向け
+        ...extra
+    });
+};
+
+// 2段階目（確認コードの入力）を待つログインの発行
+const issueLoginChallenge = async (userId) => {
+    const { token, jti, expiresAt } = generateAccountToken(userId, 'loginChallenge');
+    await query(
+        'INSERT INTO login_challenges (id, user_id, expires_at) VALUES ($1, $2, $3)',
+        [jti, userId, expiresAt]
+    );
+    return token;
+};
+
+// 認証アプリのコード、またはリカバリーコードを確認する（'totp' | 'recovery' | null）
+// どちらも1回しか使えないよう、確認できたら使用済みにする
+// allowRecovery: false のときは認証アプリのコードだけを受け付ける
+const verifySecondFactor = async (user, code, { allowRecovery = true } = {}) => {
+    const lastStep = user.totp_last_used_step === null ? null : Number(user.totp_last_used_step);
+    const step = verifyTotp(user.totp_secret, code, { afterStep: lastStep });
+    if (step !== null) {
+        const { rowCount } = await query(
+            'UPDATE users SET totp_last_used_step = $1 WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)',
+            [step, user.id]
         );
+        return rowCount > 0 ? 'totp' : null;
+    }
 
-        const sessionUser = rows[0];
-        req.session.user = sessionUser;
+    if (allowRecovery && isRecoveryCodeFormat(code)) {
+        const { rowCount } = await query(
+            'UPDATE recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+            [user.id, hashRecoveryCode(code)]
+        );
+        return rowCount > 0 ? 'recovery' : null;
+    }
+    return null;
+};
 
-        return res.status(201).json({
-            message: 'ユーザー登録が完了しました。',
-            user: sessionUser
-        });
-    } catch (error) {
-        console.error('Register failed:', error);
-        return res.status(500).json({ error: '登録に失敗しました。' });
+const countRecoveryCodes = async (userId) => {
+    const { rows } = await query(
+        'SELECT COUNT(*)::int AS count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+    return rows[0].count;
+};
+
+// リカバリーコードを作り直す（以前のコードは使えなくなる）。平文のコードを返すのはこのときだけ
+// db はトランザクション中のクライアント
+const replaceRecoveryCodes = async (db, userId) => {
+    const codes = generateRecoveryCodes();
+    await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await db.query('INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)', [userId, hashRecoveryCode(code)]);
     }
-});
+    return codes;
+};
 
-app.post('/api/auth/login', async (req, res) => {
+// ログインのロック（アカウントごと）。続けて失敗すると、パスワードが正しくても解除時刻まではログインできない
+const LOGIN_LOCKED_MESSAGE = 'ログインに続けて失敗したため、一時的にロックしています。しばらくしてから再度お試しください。';
+
+app.post('/api/auth/login', limitLoginByIp, async (req, res) => {
     const { email, password } = req.body || {};
 
     if (!email || typeof email !== 'string' || email.trim() === '') {
@@ -571,92 +2937,507 @@ app.post('/api/auth/login', async (req, res) => {
 
     const normalizedEmail = email.trim();
     const normalizedPassword = password.trim();
+    const lockKey = `login:${normalizeEmailKey(email)}`;
 
     try {
+        const lockedUntil = await rateLimitStore.getLockedUntil(lockKey);
+        if (lockedUntil) {
+            return sendTooManyRequests(res, secondsUntil(lockedUntil), LOGIN_LOCKED_MESSAGE);
+        }
+
         const { rows } = await query(
-            'SELECT id, email, name, password_hash FROM users WHERE email = $1',
+            'SELECT id, email, name, password_hash, email_verified_at, totp_enabled_at FROM users WHERE email = $1',
             [normalizedEmail]
         );
 
-        if (rows.length === 0) {
+        const user = rows[0];
+        const match = user ? await bcrypt.compare(normalizedPassword, user.password_hash) : false;
+        if (!match) {
+            // 登録されていないメールアドレスも同じように数える（ロックの有無で登録の有無がわからないように）
+            const lockedNow = await rateLimitStore.recordFailure(lockKey);
+            if (lockedNow) {
+                return sendTooManyRequests(res, secondsUntil(lockedNow), LOGIN_LOCKED_MESSAGE);
+            }
             return res.status(401).json({ error: 'メールアドレスまたはパスワードが正しくありません。' });
         }
 
+        // 2段階認証が有効なら、確認コードを受け取るまでトークンを発行しない
+        // ロックの失敗回数はコードの確認まで終わってから数え直す（パスワードの再入力でコードの総当たりを続けられないように）
+        if (user.totp_enabled_at) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: await issueLoginChallenge(user.id)
+            });
+        }
+
+        await rateLimitStore.clearFailures(lockKey);
+        return completeLogin(req, res, user);
+    } catch (error) {
+        console.error('Login failed:', error);
+        return res.status(500).json({ error: 'ログインに失敗しました。' });
+    }
+});
+
+// ログインの2段階目：パスワードの確認後に受け取った challengeToken と、認証アプリのコード（またはリカバリーコード）を確認する
+const LOGIN_CHALLENGE_EXPIRED_MESSAGE = 'ログインの有効期限が切れました。もう一度ログインしてください。';
+
+app.post('/api/auth/login/2fa', limitLoginByIp, async (req, res) => {
+    const { challengeToken, code } = req.body || {};
+    if (!code || typeof code !== 'string' || code.trim() === '') {
+        return res.status(400).json({ error: '確認コードは必須です。' });
+    }
+
+    const challenge = verifyAccountToken(challengeToken, 'loginChallenge');
+    if (!challenge) {
+        return res.status(401).json({ error: LOGIN_CHALLENGE_EXPIRED_MESSAGE });
+    }
+
+    try {
+        const { rows } = await query(
+            `
+            SELECT u.id, u.email, u.name, u.email_verified_at, u.totp_secret, u.totp_enabled_at, u.totp_last_used_step
+            FROM login_challenges c
+            JOIN users u ON u.id = c.user_id
+            WHERE c.id = $1 AND c.user_id = $2 AND c.used_at IS NULL AND c.expires_at > NOW()
+            `,
+            [challenge.jti, challenge.userId]
+        );
         const user = rows[0];
-        const match = await bcrypt.compare(normalizedPassword, user.password_hash);
-        if (!match) {
-            return res.status(401).json({ error: 'メールアドレスまたはパスワードが正しくありません。' });
+        if (!user || !user.totp_enabled_at) {
+            return res.status(401).json({ error: LOGIN_CHALLENGE_EXPIRED_MESSAGE });
         }
 
-        const sessionUser = {
-            id: user.id,
-            email: user.email,
-            name: user.name || null
-        };
+        // 確認コードの失敗もパスワードの失敗と同じロックで数える
+        const lockKey = `login:${normalizeEmailKey(user.email)}`;
+        const lockedUntil = await rateLimitStore.getLockedUntil(lockKey);
+        if (lockedUntil) {
+            return sendTooManyRequests(res, secondsUntil(lockedUntil), LOGIN_LOCKED_MESSAGE);
+        }
 
-        req.session.user = sessionUser;
+        const method = await verifySecondFactor(user, code);
+        if (!method) {
+            const lockedNow = await rateLimitStore.recordFailure(lockKey);
+            if (lockedNow) {
+                return sendTooManyRequests(res, secondsUntil(lockedNow), LOGIN_LOCKED_MESSAGE);
+            }
+            return res.status(401).json({ error: '確認コードが正しくありません。' });
+        }
+
+        const { rowCount } = await query(
+            'UPDATE login_challenges SET used_at = NOW() WHERE id = $1 AND used_at IS NULL',
+            [challenge.jti]
+        );
+        if (rowCount === 0) {
+            return res.status(401).json({ error: LOGIN_CHALLENGE_EXPIRED_MESSAGE });
+        }
+
+        await rateLimitStore.clearFailures(lockKey);
+        // リカバリーコードを使った場合は、残りの数を知らせる
+        const extra = method === 'recovery' ? { recoveryCodesRemaining: await countRecoveryCodes(user.id) } : {};
+        return completeLogin(req, res, user, extra);
+    } catch (error) {
+        console.error('Two-factor login failed:', error);
+        return res.status(500).json({ error: 'ログインに失敗しました。' });
+    }
+});
+
+// リフレッシュトークンでアクセストークンを更新する（使ったリフレッシュトークンは無効にして新しいものを発行）
+app.post('/api/auth/refresh', async (req, res) => {
+    const refreshToken = readCookie(req, REFRESH_TOKEN_COOKIE);
+    if (!refreshToken) {
+        // 読み取れない Cookie が残っていれば消しておく
+        clearAuthCookies(res);
+        return res.status(401).json({ error: 'ログインが必要です。' });
+    }
+
+    try {
+        const { rows } = await query(
+            `
+            SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.used_at,
+                   COALESCE(rt.revoked_at, s.revoked_at) AS revoked_at, u.email, u.name, u.email_verified_at
+            FROM refresh_tokens rt
+            JOIN users u ON u.id = rt.user_id
+            JOIN auth_sessions s ON s.id = rt.family_id
+            WHERE rt.token_hash = $1
+            `,
+            [hashRefreshToken(refreshToken)]
+        );
+        const stored = rows[0];
+
+        if (stored && !stored.revoked_at && stored.used_at) {
+            // 別のタブが同時に更新した直後なら、新しい Cookie は設定済みなのでそのまま使ってもらう
+            if (new Date() - new Date(stored.used_at) < REFRESH_REUSE_GRACE_SECONDS * 1000) {
+                return res.status(409).json({ error: '認証情報は既に更新されています。' });
+            }
+            // 使用済みのトークンの再利用は盗まれた可能性があるため、同じログインの系列をすべて無効にする
+            console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}, revoking family ${stored.family_id}`);
+            await revokeAuthSession(stored.family_id);
+        }
+
+        if (!stored || stored.revoked_at || stored.used_at || new Date(stored.expires_at) <= new Date()) {
+            clearAuthCookies(res);
+            return res.status(401).json({ error: 'ログインの有効期限が切れました。再度ログインしてください。' });
+        }
+
+        const nextRefreshToken = await rotateRefreshToken(stored);
+        if (!nextRefreshToken) {
+            return res.status(409).json({ error: '認証情報は既に更新されています。' });
+        }
+
+        const user = toAuthUser({ ...stored, id: stored.user_id });
+        setAuthCookies(res, generateToken(user, stored.family_id), nextRefreshToken);
+        res.json({ user });
+    } catch (error) {
+        console.error('Refresh token failed:', error);
+        res.status(500).json({ error: '認証情報の更新に失敗しました。' });
+    }
+});
 
-        // JWT トークン生成
-        const token = generateToken(sessionUser);
+// このログインを無効にする（アクセストークンも期限を待たずに使えなくなる）
+app.post('/api/auth/logout', async (req, res) => {
+    // リフレッシュトークン・アクセストークン・セッションのどれかからログインを特定する
+    try {
+        let sessionId = null;
+        const refreshToken = readCookie(req, REFRESH_TOKEN_COOKIE);
+        if (refreshToken) {
+            const { rows } = await query(
+                'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+                [hashRefreshToken(refreshToken)]
+            );
+            sessionId = rows[0]?.family_id || null;
+        }
+        if (!sessionId) {
+            const token = getTokenFromRequest(req);
+            sessionId = (token && verifyToken(token)?.sid) || req.session.authSessionId || null;
+        }
+        if (sessionId) {
+            await revokeAuthSession(sessionId);
+        }
+    } catch (error) {
+        console.error('Revoke auth session failed:', error);
+    }
+
+    finishLogout(req, res, 'ログアウトしました。');
+});
+
+// 利用者のすべてのログイン（他の端末を含む）を無効にする
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        await revokeAllAuthSessions(userId);
+    } catch (error) {
+        console.error('Logout all failed:', error);
+        return res.status(500).json({ error: 'ログアウトに失敗しました。' });
+    }
 
-        // デバッグ用ログ
-        console.log('🔐 Login successful - Session ID:', req.sessionID);
-        console.log('🔐 Session user set:', sessionUser);
-        console.log('🔐 Session cookie options:', req.session.cookie);
-        console.log('🔐 JWT token generated');
+    finishLogout(req, res, 'すべての端末からログアウトしました。');
+});
 
-        return res.json({ 
-            message: 'ログイン成功', 
-            user: sessionUser,
-            token: token  // トークンも返す
+// ログイン中の端末の一覧（最終利用から REFRESH_TOKEN_TTL_DAYS 日を過ぎたものは、再ログインが必要なため含めない）
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        const { rows } = await query(
+            `
+            SELECT id, user_agent, ip_address, created_at, last_seen_at
+            FROM auth_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND last_seen_at > $2
+            ORDER BY last_seen_at DESC
+            `,
+            [userId, new Date(Date.now() - REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)]
+        );
+        res.json({
+            sessions: rows.map(row => ({
+                id: row.id,
+                userAgent: row.user_agent,
+                ipAddress: row.ip_address,
+                createdAt: row.created_at,
+                lastSeenAt: row.last_seen_at,
+                current: row.id === req.authSessionId
+            }))
         });
     } catch (error) {
-        console.error('Login failed:', error);
-        return res.status(500).json({ error: 'ログインに失敗しました。' });
+        console.error('Fetch auth sessions failed:', error);
+        res.status(500).json({ error: 'ログイン中の端末の取得に失敗しました。' });
     }
 });
 
-app.post('/api/auth/logout', (req, res) => {
-    req.session.destroy(err => {
-        if (err) {
-            console.error('Logout failed:', err);
-            return res.status(500).json({ error: 'ログアウト失敗' });
+// 指定した端末のログインを無効にする
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        const revoked = await revokeAuthSession(req.params.id, userId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'ログインが見つかりません。' });
         }
-        res.clearCookie('kakeibo.sid', {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+        // この端末自身をログアウトした場合は Cookie も消す
+        if (req.params.id === req.authSessionId) {
+            clearAuthCookies(res);
+        }
+        res.json({ message: 'ログアウトしました。' });
+    } catch (error) {
+        console.error('Revoke auth session failed:', error);
+        res.status(500).json({ error: 'ログアウトに失敗しました。' });
+    }
+});
+
+// 確認メールのリンクからメールアドレスを確認済みにする（ログインしていない端末で開いてもよい）
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const userId = await consumeAccountToken(req.body?.token, 'verifyEmail');
+        if (!userId) {
+            return res.status(400).json({ error: 'リンクが無効か、有効期限が切れています。' });
+        }
+        await query(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+            [userId]
+        );
+        await syncAdminRoles(userId);
+        res.json({ message: 'メールアドレスを確認しました。' });
+    } catch (error) {
+        console.error('Verify email failed:', error);
+        res.status(500).json({ error: 'メールアドレスの確認に失敗しました。' });
+    }
+});
+
+// 確認メールを再送する
+app.post('/api/auth/verify-email/resend', requireAuth, limitVerificationResendByAccount, async (req, res) => {
+    try {
+        if (req.user.emailVerified) {
+            return res.status(409).json({ error: 'メールアドレスは確認済みです。' });
+        }
+        await sendVerificationMail(req.user);
+        res.json({ message: '確認メールを送信しました。' });
+    } catch (error) {
+        console.error('Resend verification mail failed:', error);
+        res.status(500).json({ error: '確認メールの送信に失敗しました。' });
+    }
+});
+
+// パスワード再設定のメールを送る
+// 登録されているかどうかを知られないよう、メールアドレスに関わらず同じ応答を返す
+app.post('/api/auth/password-reset/request', limitPasswordResetByIp, limitPasswordResetByAccount, async (req, res) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string' || email.trim() === '') {
+        return res.status(400).json({ error: 'メールアドレスは必須です。' });
+    }
+
+    try {
+        const { rows } = await query('SELECT id, email, name FROM users WHERE email = $1', [email.trim()]);
+        if (rows[0]) {
+            await sendPasswordResetMail(rows[0]);
+        }
+        res.json({ message: '登録されているメールアドレスであれば、パスワード再設定のメールを送信しました。' });
+    } catch (error) {
+        console.error('Password reset request failed:', error);
+        res.status(500).json({ error: 'パスワード再設定のメールの送信に失敗しました。' });
+    }
+});
+
+// メールのリンクから新しいパスワードを設定する（すべての端末からログアウトする）
+app.post('/api/auth/password-reset', async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!password || typeof password !== 'string' || password.trim() === '') {
+        return res.status(400).json({ error: 'パスワードは必須です。' });
+    }
+
+    try {
+        const userId = await consumeAccountToken(token, 'resetPassword');
+        if (!userId) {
+            return res.status(400).json({ error: 'リンクが無効か、有効期限が切れています。' });
+        }
+
+        const passwordHash = await bcrypt.hash(password.trim(), SALT_ROUNDS);
+        // メールのリンクを開けたので、メールアドレスも確認済みとする
+        await query(
+            'UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $2',
+            [passwordHash, userId]
+        );
+        await revokeAllAuthSessions(userId);
+        res.json({ message: 'パスワードを再設定しました。新しいパスワードでログインしてください。' });
+    } catch (error) {
+        console.error('Password reset failed:', error);
+        res.status(500).json({ error: 'パスワードの再設定に失敗しました。' });
+    }
+});
+
+// 2段階認証の状態
+app.get('/api/auth/2fa', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        const { rows } = await query('SELECT totp_enabled_at FROM users WHERE id = $1', [userId]);
+        const enabled = Boolean(rows[0]?.totp_enabled_at);
+        res.json({
+            enabled,
+            enabledAt: rows[0]?.totp_enabled_at || null,
+            recoveryCodesRemaining: enabled ? await countRecoveryCodes(userId) : 0
         });
-        return res.json({ message: 'ログアウトしました。' });
-    });
+    } catch (error) {
+        console.error('Fetch two-factor status failed:', error);
+        res.status(500).json({ error: '2段階認証の状態の取得に失敗しました。' });
+    }
+});
+
+// 2段階認証の設定を始める：秘密鍵を発行し、認証アプリに読み込ませる otpauth URI と QRコードを返す
+// コードを確認する（/enable）までは有効にならない
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+    try {
+        const userId = req.user?.id || req.session?.user?.id;
+        const { rows } = await query('SELECT email, totp_enabled_at FROM users WHERE id = $1', [userId]);
+        if (rows[0]?.totp_enabled_at) {
+            return res.status(409).json({ error: '2段階認証は既に有効です。' });
+        }
+
+        const secret = generateTotpSecret();
+        await query('UPDATE users SET totp_pending_secret = $1 WHERE id = $2', [secret, userId]);
+        const otpauthUri = buildOtpauthUri({ secret, accountName: rows[0].email });
+        res.json({
+            secret,
+            otpauthUri,
+            qrCode: await QRCode.toDataURL(otpauthUri)
+        });
+    } catch (error) {
+        console.error('Two-factor setup failed:', error);
+        res.status(500).json({ error: '2段階認証の設定に失敗しました。' });
+    }
+});
+
+// 認証アプリに表示されたコードを確認して2段階認証を有効にし、リカバリーコードを返す
+app.post('/api/auth/2fa/enable', requireAuth, limitTwoFactorByAccount, async (req, res) => {
+    const userId = req.user?.id || req.session?.user?.id;
+    const { code } = req.body || {};
+
+    let client;
+    try {
+        const { rows } = await query(
+            'SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1',
+            [userId]
+        );
+        if (rows[0]?.totp_enabled_at) {
+            return res.status(409).json({ error: '2段階認証は既に有効です。' });
+        }
+        if (!rows[0]?.totp_pending_secret) {
+            return res.status(400).json({ error: '先に2段階認証の設定を始めてください。' });
+        }
+        const step = verifyTotp(rows[0].totp_pending_secret, code);
+        if (step === null) {
+            return res.status(400).json({ error: '確認コードが正しくありません。' });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await client.query(
+            `
+            UPDATE users
+            SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+                totp_enabled_at = NOW(), totp_last_used_step = $1
+            WHERE id = $2
+            `,
+            [step, userId]
+        );
+        const recoveryCodes = await replaceRecoveryCodes(client, userId);
+        await client.query('COMMIT');
+
+        res.json({ message: '2段階認証を有効にしました。', recoveryCodes });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        console.error('Enable two-factor failed:', error);
+        res.status(500).json({ error: '2段階認証を有効にできませんでした。' });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// 2段階認証を無効にする（パスワードと、認証アプリのコードまたはリカバリーコードが必要）
+app.post('/api/auth/2fa/disable', requireAuth, limitTwoFactorByAccount, async (req, res) => {
+    const userId = req.user?.id || req.session?.user?.id;
+    const { password, code } = req.body || {};
+    if (!password || typeof password !== 'string' || !code || typeof code !== 'string') {
+        return res.status(400).json({ error: 'パスワードと確認コードは必須です。' });
+    }
+
+    try {
+        const { rows } = await query(
+            'SELECT id, password_hash, totp_secret, totp_enabled_at, totp_last_used_step FROM users WHERE id = $1',
+            [userId]
+        );
+        const user = rows[0];
+        if (!user?.totp_enabled_at) {
+            return res.status(409).json({ error: '2段階認証は有効になっていません。' });
+        }
+        // 401 は画面側でログイン切れとして扱われるため、誤りは 400 で返す
+        if (!(await bcrypt.compare(password.trim(), user.password_hash))) {
+            return res.status(400).json({ error: 'パスワードが正しくありません。' });
+        }
+        if (!(await verifySecondFactor(user, code))) {
+            return res.status(400).json({ error: '確認コードが正しくありません。' });
+        }
+
+        await query(
+            `
+            UPDATE users
+            SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+            WHERE id = $1
+            `,
+            [userId]
+        );
+        await query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+        res.json({ message: '2段階認証を無効にしました。' });
+    } catch (error) {
+        console.error('Disable two-factor failed:', error);
+        res.status(500).json({ error: '2段階認証を無効にできませんでした。' });
+    }
+});
+
+// リカバリーコードを作り直す（認証アプリのコードが必要。以前のコードは使えなくなる）
+app.post('/api/auth/2fa/recovery-codes', requireAuth, limitTwoFactorByAccount, async (req, res) => {
+    const userId = req.user?.id || req.session?.user?.id;
+
+    let client;
+    try {
+        const { rows } = await query(
+            'SELECT id, totp_secret, totp_enabled_at, totp_last_used_step FROM users WHERE id = $1',
+            [userId]
+        );
+        const user = rows[0];
+        if (!user?.totp_enabled_at) {
+            return res.status(409).json({ error: '2段階認証は有効になっていません。' });
+        }
+        if (!(await verifySecondFactor(user, req.body?.code, { allowRecovery: false }))) {
+            return res.status(400).json({ error: '確認コードが正しくありません。' });
+        }
+
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const recoveryCodes = await replaceRecoveryCodes(client, userId);
+        await client.query('COMMIT');
+        res.json({ recoveryCodes });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK');
+        console.error('Regenerate recovery codes failed:', error);
+        res.status(500).json({ error: 'リカバリーコードを作成できませんでした。' });
+    } finally {
+        if (client) client.release();
+    }
 });
 
-app.get('/api/auth/me', (req, res) => {
+app.get('/api/auth/me', async (req, res) => {
     console.log('👤 Auth check - Session ID:', req.sessionID);
-    console.log('👤 Auth check - Session user:', req.session.user);
     console.log('👤 Auth check - Cookies received:', req.headers.cookie);
-    console.log('👤 Auth check - Authorization header:', req.headers.authorization);
-    
-    // JWT認証を優先して試す
-    const token = getTokenFromRequest(req);
-    if (token) {
-        const user = verifyToken(token);
-        if (user) {
-            console.log('✅ JWT auth successful:', user);
-            return res.json({ user: user });
-        } else {
-            console.log('❌ JWT token invalid');
+
+    try {
+        const login = await authenticateRequest(req);
+        if (!login) {
+            console.log('❌ No active login found');
+            return res.status(401).json({ error: 'ログインしていません。' });
         }
+
+        console.log('✅ Auth successful:', login.user);
+        return res.json({ user: login.user });
+    } catch (error) {
+        console.error('Auth check failed:', error);
+        return res.status(500).json({ error: '認証の確認に失敗しました。' });
     }
-    
-    // フォールバックとしてセッション認証
-    if (!req.session.user) {
-        console.log('❌ No session user found');
-        return res.status(401).json({ error: 'ログインしていません。' });
-    }
-    
-    console.log('✅ Session user found:', req.session.user);
-    return res.json({ user: req.session.user });
 });
 
 // ヘルスチェックエンドポイント（Renderのため）
@@ -677,3 +3458,37 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString()
     });
 });
+
+// node server.js で起動した場合のみ待ち受ける（テストでは app を読み込んで使う）
+if (require.main === module) {
+    pool.connect()
+        .then(async client => {
+            console.log('✅ Connected to PostgreSQL');
+            client.release();
+            await initializeDatabase();
+            console.log('✅ Database schema ready');
+            if (CACHE_WARMER_ENABLED) {
+                cacheWarmer.start();
+            }
+            // 期限の過ぎたレート制限の記録を削除する
+            setInterval(() => {
+                rateLimitStore.prune().catch(error => console.error('Prune rate limits failed:', error));
+            }, RATE_LIMIT_PRUNE_INTERVAL_MS).unref();
+        })
+        .catch(err => {
+            console.error('❌ PostgreSQL connection error:', err);
+            process.exit(1);
+        });
+
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+    });
+}
+
+module.exports = {
+    app,
+    pool,
+    marketData,
+    mailer,
+    initializeDatabase
+};
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 送信したメールを記録する（送信先は変えずに mailer.send だけ差し替える）
+const captureMail = (t) => {
+    const sent = [];
+    t.mock.method(server.mailer, 'send', async (message) => {
+        sent.push(message);
+    });
+    return sent;
+};
+
+// メール本文のリンクからトークンを取り出す
+const tokenFrom = (message) => decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+
+test('registration sends a verification mail and the link verifies the email once', async (t) => {
+    const sent = captureMail(t);
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'verify@example.com');
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'verify@example.com');
+    assert.match(sent[0].text, /\/verify-email\?token=/);
+    assert.equal((await client.get('/api/auth/me')).body.user.emailVerified, false);
+
+    const token = tokenFrom(sent[0]);
+    const verified = await createClient(server.baseUrl).post('/api/auth/verify-email', { token });
+    assert.equal(verified.status, 200);
+    assert.equal((await client.get('/api/auth/me')).body.user.emailVerified, true);
+
+    // 同じリンクは2回使えない
+    assert.equal((await createClient(server.baseUrl).post('/api/auth/verify-email', { token })).status, 400);
+});
+
+test('rejects tampered, expired and wrong-purpose tokens', async (t) => {
+    const sent = captureMail(t);
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'tamper@example.com');
+    await client.post('/api/auth/password-reset/request', { email: 'tamper@example.com' });
+    const [verifyToken, resetToken] = sent.map(tokenFrom);
+
+    const anonymous = createClient(server.baseUrl);
+    assert.equal((await anonymous.post('/api/auth/verify-email', { token: `${verifyToken}x` })).status, 400);
+    assert.equal((await anonymous.post('/api/auth/verify-email', { token: resetToken })).status, 400);
+    assert.equal((await anonymous.post('/api/auth/verify-email', {})).status, 400);
+
+    await server.pool.query("UPDATE account_tokens SET expires_at = NOW() - INTERVAL '1 minute'");
+    assert.equal((await anonymous.post('/api/auth/verify-email', { token: verifyToken })).status, 400);
+    assert.equal((await client.get('/api/auth/me')).body.user.emailVerified, false);
+});
+
+test('resending replaces the previous verification link', async (t) => {
+    const sent = captureMail(t);
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'resend@example.com');
+
+    assert.equal((await client.post('/api/auth/verify-email/resend')).status, 200);
+    assert.equal(sent.length, 2);
+    const [oldToken, newToken] = sent.map(tokenFrom);
+
+    const anonymous = createClient(server.baseUrl);
+    assert.equal((await anonymous.post('/api/auth/verify-email', { token: oldToken })).status, 400);
+    assert.equal((await anonymous.post('/api/auth/verify-email', { token: newToken })).status, 200);
+    assert.equal((await client.post('/api/auth/verify-email/resend')).status, 409);
+    assert.equal((await anonymous.post('/api/auth/verify-email/resend')).status, 401);
+});
+
+test('password reset sets a new password once and signs out every device', async (t) => {
+    const sent = captureMail(t);
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'forgot@example.com', 'old-password');
+    sent.length = 0;
+
+    const anonymous = createClient(server.baseUrl);
+    const requested = await anonymous.post('/api/auth/password-reset/request', { email: 'forgot@example.com' });
+    assert.equal(requested.status, 200);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].text, /\/reset-password\?token=/);
+    const token = tokenFrom(sent[0]);
+
+    const reset = await anonymous.post('/api/auth/password-reset', { token, password: 'new-password' });
+    assert.equal(reset.status, 200);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+
+    const oldLogin = await anonymous.post('/api/auth/login', { email: 'forgot@example.com', password: 'old-password' });
+    assert.equal(oldLogin.status, 401);
+    const newLogin = await anonymous.post('/api/auth/login', { email: 'forgot@example.com', password: 'new-password' });
+    assert.equal(newLogin.status, 200);
+    assert.equal(newLogin.body.user.emailVerified, true);
+
+    const replay = await anonymous.post('/api/auth/password-reset', { token, password: 'another-password' });
+    assert.equal(replay.status, 400);
+});
+
+test('password reset request does not reveal whether the email is registered', async (t) => {
+    const sent = captureMail(t);
+    const client = createClient(server.baseUrl);
+
+    const unknown = await client.post('/api/auth/password-reset/request', { email: 'nobody@example.com' });
+    assert.equal(unknown.status, 200);
+    assert.equal(sent.length, 0);
+    assert.equal((await client.post('/api/auth/password-reset/request', {})).status, 400);
+    assert.equal((await client.post('/api/auth/password-reset', { token: 'invalid', password: 'x' })).status, 400);
+});
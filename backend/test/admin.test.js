@@ -0,0 +1,56 @@
+// 管理者のメールアドレスはサーバーの読み込み前に指定する
+process.env.ADMIN_EMAILS = 'Admin@Example.com,unverified-admin@example.com';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 送信した確認メールのリンクからトークンを取り出す
+const captureVerifyToken = (t) => {
+    const sent = [];
+    t.mock.method(server.mailer, 'send', async (message) => {
+        sent.push(message);
+    });
+    return () => decodeURIComponent(sent[0].text.match(/token=(\S+)/)[1]);
+};
+
+test('does not grant the admin role before the email is verified', async () => {
+    const impostor = createClient(server.baseUrl);
+    await registerAndLogin(impostor, 'unverified-admin@example.com');
+
+    assert.equal((await impostor.get('/api/admin/cache')).status, 403);
+    assert.equal((await impostor.post('/api/admin/cache/refresh', { target: 'SPY' })).status, 403);
+    assert.equal((await impostor.delete('/api/admin/cache?all=true')).status, 403);
+});
+
+test('grants the admin role to ADMIN_EMAILS once the email is verified', async (t) => {
+    const verifyToken = captureVerifyToken(t);
+    const admin = createClient(server.baseUrl);
+    await registerAndLogin(admin, 'admin@example.com');
+    assert.equal((await admin.get('/api/admin/cache')).status, 403);
+
+    assert.equal((await admin.post('/api/auth/verify-email', { token: verifyToken() })).status, 200);
+    assert.equal((await admin.get('/api/admin/cache')).status, 200);
+
+    const user = createClient(server.baseUrl);
+    await registerAndLogin(user, 'user@example.com');
+    assert.equal((await user.get('/api/admin/cache')).status, 403);
+});
+
+test('restores the admin role on login', async () => {
+    await server.pool.query("UPDATE users SET role = 'user' WHERE email = $1", ['admin@example.com']);
+
+    const admin = createClient(server.baseUrl);
+    assert.equal((await admin.post('/api/auth/login', { email: 'admin@example.com', password: 'password123' })).status, 200);
+    assert.equal((await admin.get('/api/admin/cache')).status, 200);
+});
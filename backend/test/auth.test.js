@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('register creates a user and rejects a duplicate email', async () => {
+    const client = createClient(server.baseUrl);
+
+    const created = await client.post('/api/auth/register', { email: 'hanako@example.com', password: 'password123', name: '花子' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.email, 'hanako@example.com');
+    assert.equal(created.body.user.password_hash, undefined);
+
+    const duplicate = await client.post('/api/auth/register', { email: 'hanako@example.com', password: 'password123' });
+    assert.equal(duplicate.status, 409);
+
+    const missing = await client.post('/api/auth/register', { email: 'taro@example.com' });
+    assert.equal(missing.status, 400);
+});
+
+test('login returns a JWT and rejects a wrong password', async () => {
+    const client = createClient(server.baseUrl);
+    await client.post('/api/auth/register', { email: 'jiro@example.com', password: 'password123' });
+
+    const wrong = await client.post('/api/auth/login', { email: 'jiro@example.com', password: 'wrong-password' });
+    assert.equal(wrong.status, 401);
+
+    const unknown = await client.post('/api/auth/login', { email: 'nobody@example.com', password: 'password123' });
+    assert.equal(unknown.status, 401);
+
+    const ok = await client.post('/api/auth/login', { email: 'jiro@example.com', password: 'password123' });
+    assert.equal(ok.status, 200);
+    assert.equal(typeof ok.body.token, 'string');
+    assert.equal(ok.body.user.email, 'jiro@example.com');
+});
+
+test('me accepts either the JWT or the session cookie', async () => {
+    const client = createClient(server.baseUrl);
+    const token = await registerAndLogin(client, 'saburo@example.com');
+
+    const bySession = await client.get('/api/auth/me');
+    assert.equal(bySession.status, 200);
+    assert.equal(bySession.body.user.email, 'saburo@example.com');
+
+    const tokenOnly = createClient(server.baseUrl);
+    const byToken = await tokenOnly.get('/api/auth/me', { token });
+    assert.equal(byToken.status, 200);
+    assert.equal(byToken.body.user.email, 'saburo@example.com');
+
+    const anonymous = await createClient(server.baseUrl).get('/api/auth/me');
+    assert.equal(anonymous.status, 401);
+});
+
+test('logout ends the session', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'shiro@example.com');
+
+    const logout = await client.post('/api/auth/logout');
+    assert.equal(logout.status, 200);
+
+    const me = await client.get('/api/auth/me');
+    assert.equal(me.status, 401);
+});
+
+test('requireAuth prefers the JWT and falls back to the session', async () => {
+    const client = createClient(server.baseUrl);
+    const token = await registerAndLogin(client, 'goro@example.com');
+
+    // JWT のみ（Cookie なし）
+    const tokenOnly = createClient(server.baseUrl);
+    assert.equal((await tokenOnly.get('/api/kakeibo', { token })).status, 200);
+
+    // 無効な JWT でもセッションがあれば通る
+    assert.equal((await client.get('/api/kakeibo', { token: 'not-a-valid-token' })).status, 200);
+
+    // 無効な JWT のみ・認証なしは 401
+    assert.equal((await tokenOnly.get('/api/kakeibo', { token: 'not-a-valid-token' })).status, 401);
+    assert.equal((await createClient(server.baseUrl).get('/api/kakeibo')).status, 401);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCacheWarmer } = require('../cache-warmer');
+
+const silentLogger = { log: () => {}, error: () => {} };
+
+// 取得対象ごとの結果を指定して事前取得を作る（待機は記録するだけで待たない）
+const buildWarmer = ({ results = {}, tasks = ['SPY', 'QQQ', 'VTI'], usedToday = 0, budget = 15 } = {}) => {
+    const calls = [];
+    const waits = [];
+    const attempts = new Map();
+    const warmer = createCacheWarmer({
+        listTasks: async () => tasks.map(target => ({ target, kind: 'daily' })),
+        runTask: async (task, options) => {
+            calls.push({ target: task.target, ...options });
+            const attempt = attempts.get(task.target) || 0;
+            attempts.set(task.target, attempt + 1);
+            const result = results[task.target];
+            return (Array.isArray(result) ? result[attempt] : result) || { requested: true, success: true };
+        },
+        countRequestsToday: async () => usedToday,
+        budget,
+        requestIntervalMs: 15000,
+        rateLimitWaitMs: 60000,
+        wait: async (ms) => {
+            waits.push(ms);
+        },
+        logger: silentLogger
+    });
+    return { warmer, calls, waits };
+};
+
+// 2026-10-19 は月曜日。ニューヨークは夏時間（UTC-4）
+test('tick runs once per trading day after 18:00 in New York', async () => {
+    const { warmer, calls } = buildWarmer();
+
+    assert.equal(await warmer.tick(new Date('2026-10-17T23:00:00Z')), null);
+    assert.equal(await warmer.tick(new Date('2026-10-19T21:30:00Z')), null);
+
+    const summary = await warmer.tick(new Date('2026-10-19T22:30:00Z'));
+    assert.equal(summary.tradingDate, '2026-10-19');
+    assert.equal(summary.succeeded, 3);
+    assert.equal(calls[0].maxAgeHours, 2.5);
+
+    assert.equal(await warmer.tick(new Date('2026-10-19T23:30:00Z')), null);
+    assert.equal((await warmer.tick(new Date('2026-10-20T22:30:00Z'))).tradingDate, '2026-10-20');
+});
+
+test('spaces requests and skips targets that are still fresh', async () => {
+    const { warmer, calls, waits } = buildWarmer({
+        tasks: ['SPY', 'QQQ', 'VTI', 'DIA'],
+        results: { QQQ: { requested: false }, VTI: { requested: false } }
+    });
+
+    const summary = await warmer.runOnce({ date: '2026-10-19', hour: 18, minute: 0 });
+    assert.equal(summary.requested, 2);
+    assert.equal(summary.skipped, 2);
+    assert.equal(calls.length, 4);
+    // 取得済みの対象の前後では待たない
+    assert.deepEqual(waits, [15000]);
+});
+
+test('stops at the daily budget', async () => {
+    const { warmer, calls } = buildWarmer({ tasks: ['SPY', 'QQQ', 'VTI', 'DIA', 'EWJ'], usedToday: 13 });
+
+    const summary = await warmer.runOnce({ date: '2026-10-19', hour: 18, minute: 0 });
+    assert.equal(calls.length, 2);
+    assert.equal(summary.stoppedReason, 'budget');
+    assert.equal(summary.remaining, 3);
+});
+
+test('waits out the per-minute limit and retries the same target', async () => {
+    const { warmer, calls, waits } = buildWarmer({
+        results: { QQQ: [{ requested: true, success: false, rateLimited: true }] }
+    });
+
+    const summary = await warmer.runOnce({ date: '2026-10-19', hour: 18, minute: 0 });
+    assert.deepEqual(calls.map(call => call.target), ['SPY', 'QQQ', 'QQQ', 'VTI']);
+    assert.deepEqual(waits, [15000, 60000, 15000]);
+    assert.equal(summary.succeeded, 3);
+    assert.equal(summary.failed, 0);
+    assert.equal(summary.stoppedReason, null);
+});
+
+test('stops when the limit continues after waiting or the daily quota is used up', async () => {
+    const perMinute = buildWarmer({
+        results: { QQQ: [{ requested: true, success: false, rateLimited: true }, { requested: true, success: false, rateLimited: true }] }
+    });
+    const stillLimited = await perMinute.warmer.runOnce({ date: '2026-10-19', hour: 18, minute: 0 });
+    assert.equal(stillLimited.stoppedReason, 'rate_limit');
+    assert.equal(stillLimited.remaining, 1);
+
+    const daily = buildWarmer({
+        results: { SPY: { requested: true, success: false, rateLimited: true, dailyLimit: true } }
+    });
+    const quotaUsed = await daily.warmer.runOnce({ date: '2026-10-19', hour: 18, minute: 0 });
+    assert.deepEqual(daily.calls.map(call => call.target), ['SPY']);
+    assert.deepEqual(daily.waits, []);
+    assert.equal(quotaUsed.stoppedReason, 'rate_limit');
+    assert.equal(quotaUsed.remaining, 2);
+});
@@ -0,0 +1,175 @@
+// テスト用のサーバー：使い捨ての pg-mem データベースに対して Express アプリを起動する
+process.env.NODE_ENV = 'test';
+process.env.CACHE_WARMER_ENABLED = 'false';
+process.env.MARKET_DATA_PROVIDER = 'fixture';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const { once } = require('events');
+const { newDb, DataType } = require('pg-mem');
+
+// サーバーのデバッグログはテスト結果が読みにくくなるため出さない（TEST_VERBOSE=true で表示）
+if (process.env.TEST_VERBOSE !== 'true') {
+    for (const method of ['log', 'warn', 'error']) {
+        console[method] = () => {};
+    }
+}
+
+// pg-mem にない PostgreSQL の関数・演算子を、テストで使う範囲だけ用意する
+function createTestDatabase() {
+    const db = newDb();
+    db.public.registerFunction({
+        name: 'pg_advisory_lock',
+        args: [DataType.integer],
+        returns: DataType.text,
+        implementation: () => ''
+    });
+    db.public.registerFunction({
+        name: 'pg_advisory_unlock',
+        args: [DataType.integer],
+        returns: DataType.bool,
+        implementation: () => true
+    });
+    // connect-pg-simple がセッションの期限の判定に使う（引数は UNIX 時刻の秒）
+    // session.expire と同じ TIMESTAMP(6) で返さないと比較できない
+    const sessionTimestamp = db.public.getType({ name: 'timestamp', config: [6] });
+    for (const argType of [DataType.text, DataType.float]) {
+        db.public.registerFunction({
+            name: 'to_timestamp',
+            args: [argType],
+            returns: sessionTimestamp,
+            implementation: (seconds) => new Date(Number(seconds) * 1000)
+        });
+    }
+    // 日付の書式化（サーバーで使っている YYYY / MM / DD のみ）
+    db.public.registerFunction({
+        name: 'to_char',
+        args: [DataType.date, DataType.text],
+        returns: DataType.text,
+        implementation: (date, format) => {
+            const value = new Date(date);
+            return format
+                .replace('YYYY', String(value.getUTCFullYear()))
+                .replace('MM', String(value.getUTCMonth() + 1).padStart(2, '0'))
+                .replace('DD', String(value.getUTCDate()).padStart(2, '0'));
+        }
+    });
+    db.public.registerOperator({
+        operator: '~',
+        left: DataType.text,
+        right: DataType.text,
+        returns: DataType.bool,
+        implementation: (value, pattern) => new RegExp(pattern).test(value)
+    });
+    return db;
+}
+
+// server.js が使う接続プールを pg-mem に差し替えてから読み込む
+async function startTestServer() {
+    const db = createTestDatabase();
+    const { Pool } = db.adapters.createPg();
+    const pool = new Pool();
+    const dbModulePath = require.resolve('../db');
+    require.cache[dbModulePath] = {
+        id: dbModulePath,
+        filename: dbModulePath,
+        loaded: true,
+        exports: { createPool: () => pool }
+    };
+
+    const server = require('../server');
+    await server.initializeDatabase();
+    // pg-mem はパラメーター（$1）を JSON 型の列に入れられないため、セッションは文字列で保存する
+    db.public.none('ALTER TABLE session ALTER COLUMN sess TYPE TEXT');
+
+    const listener = server.app.listen(0);
+    await once(listener, 'listening');
+    return {
+        ...server,
+        db,
+        baseUrl: `http://127.0.0.1:${listener.address().port}`,
+        close: () => new Promise(resolve => listener.close(resolve))
+    };
+}
+
+let clientCount = 0;
+
+// Cookie（セッション・認証トークン）を引き継いでリクエストする簡易クライアント
+// Cookie の Path は前方一致で判定し、期限切れの Set-Cookie（削除）は Cookie を消す
+// IP ごとのレート制限がテスト間で影響しないよう、クライアントごとに別の IP（X-Forwarded-For）から送る
+function createClient(baseUrl, { ip } = {}) {
+    clientCount += 1;
+    const clientIp = ip || `10.0.${Math.floor(clientCount / 256)}.${clientCount % 256}`;
+    const cookies = new Map();
+
+    const storeCookie = (header) => {
+        const [pair, ...attributes] = header.split(';').map(part => part.trim());
+        const index = pair.indexOf('=');
+        const name = pair.slice(0, index);
+        const options = Object.fromEntries(attributes.map(attribute => {
+            const [key, ...value] = attribute.split('=');
+            return [key.toLowerCase(), value.join('=')];
+        }));
+        const expired = options['max-age'] === '0' || (options.expires && new Date(options.expires) <= new Date());
+        if (expired) {
+            cookies.delete(name);
+        } else {
+            cookies.set(name, { value: pair.slice(index + 1), path: options.path || '/' });
+        }
+    };
+
+    const cookieHeader = (path) => [...cookies.entries()]
+        .filter(([, cookie]) => path.startsWith(cookie.path))
+        .map(([name, cookie]) => `${name}=${cookie.value}`)
+        .join('; ');
+
+    const request = async (method, path, { body, token } = {}) => {
+        const headers = { 'X-Forwarded-For': clientIp };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const cookie = cookieHeader(path);
+        if (cookie) headers.Cookie = cookie;
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        response.headers.getSetCookie().forEach(storeCookie);
+
+        const text = await response.text();
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = text;
+        }
+        return { status: response.status, headers: response.headers, body: data };
+    };
+
+    return {
+        request,
+        get: (path, options) => request('GET', path, options),
+        post: (path, body, options) => request('POST', path, { ...options, body }),
+        put: (path, body, options) => request('PUT', path, { ...options, body }),
+        delete: (path, options) => request('DELETE', path, options),
+        getCookie: (name) => cookies.get(name) || null,
+        setCookie: (name, cookie) => cookies.set(name, cookie),
+        deleteCookie: (name) => cookies.delete(name),
+        clearCookies: () => cookies.clear()
+    };
+}
+
+// ユーザーを登録してログインし、JWT を返す（クライアントにはセッションの Cookie も残る）
+async function registerAndLogin(client, email, password = 'password123') {
+    await client.post('/api/auth/register', { email, password, name: email.split('@')[0] });
+    const { body } = await client.post('/api/auth/login', { email, password });
+    return body.token;
+}
+
+module.exports = {
+    startTestServer,
+    createClient,
+    registerAndLogin
+};
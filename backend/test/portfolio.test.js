@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPositions, quoteCurrencyOf } = require('../portfolio');
+
+test('detects yen-denominated symbols', () => {
+    for (const symbol of ['7203.T', '7203.TYO', '1306', '130A', '0331418A']) {
+        assert.equal(quoteCurrencyOf(symbol), 'JPY', symbol);
+    }
+    for (const symbol of ['SPY', 'VTI', 'BRK.B', 'QQQ']) {
+        assert.equal(quoteCurrencyOf(symbol), 'USD', symbol);
+    }
+});
+
+test('converts only USD positions with the USD/JPY rate', () => {
+    const fxCloses = [{ date: '2026-01-31', close: 100 }, { date: '2026-09-30', close: 150 }];
+    const positions = buildPositions(
+        [
+            { symbol: 'SPY', date: '2026-01-31', amount: 100000 },
+            { symbol: '1306', date: '2026-01-31', amount: 100000 }
+        ],
+        {
+            SPY: [{ date: '2026-01-31', close: 500 }, { date: '2026-09-30', close: 550 }],
+            1306: [{ date: '2026-01-31', close: 2000 }, { date: '2026-09-30', close: 2200 }]
+        },
+        fxCloses
+    );
+    const bySymbol = Object.fromEntries(positions.map(position => [position.symbol, position]));
+
+    // 100,000円 ÷ 100円 ÷ $500 = 2口 → 2口 × $550 × 150円
+    assert.equal(bySymbol.SPY.units, 2);
+    assert.equal(bySymbol.SPY.value, 165000);
+    // 100,000円 ÷ 2,000円 = 50口 → 50口 × 2,200円（為替の影響を受けない）
+    assert.equal(bySymbol['1306'].units, 50);
+    assert.equal(bySymbol['1306'].value, 110000);
+    assert.equal(bySymbol['1306'].profit, 10000);
+});
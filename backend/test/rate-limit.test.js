@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+const login = (client, email, password) => client.post('/api/auth/login', { email, password });
+
+// ロックの解除時刻を過ぎたことにする
+const expireLocks = () => server.pool.query(
+    'UPDATE login_failures SET locked_until = $1',
+    [new Date(Date.now() - 1000)]
+);
+
+test('locks an account with exponential backoff after repeated failed logins', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'locked@example.com', 'correct-password');
+
+    for (let attempt = 1; attempt < 5; attempt += 1) {
+        assert.equal((await login(client, 'locked@example.com', 'wrong')).status, 401);
+    }
+    const locked = await login(client, 'locked@example.com', 'wrong');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get('retry-after'), '30');
+    assert.equal(locked.body.retryAfter, 30);
+    // 別ドメインのフロントエンドからも読めるように公開している
+    assert.match(locked.headers.get('access-control-expose-headers'), /Retry-After/);
+
+    // ロック中は正しいパスワードでもログインできない
+    assert.equal((await login(client, 'locked@example.com', 'correct-password')).status, 429);
+
+    // 解除後にまた失敗すると、ロック時間が倍になる
+    await expireLocks();
+    const relocked = await login(client, 'locked@example.com', 'wrong');
+    assert.equal(relocked.status, 429);
+    assert.equal(relocked.headers.get('retry-after'), '60');
+
+    // 成功すると失敗回数は数え直す
+    await expireLocks();
+    assert.equal((await login(client, 'locked@example.com', 'correct-password')).status, 200);
+    assert.equal((await login(client, 'locked@example.com', 'wrong')).status, 401);
+});
+
+test('lockout follows the account across IPs and covers unknown emails', async () => {
+    const owner = createClient(server.baseUrl);
+    await registerAndLogin(owner, 'target@example.com');
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        await login(createClient(server.baseUrl), 'Target@example.com', 'wrong');
+        await login(createClient(server.baseUrl), 'ghost@example.com', 'wrong');
+    }
+
+    assert.equal((await login(createClient(server.baseUrl), 'target@example.com', 'password123')).status, 429);
+    assert.equal((await login(createClient(server.baseUrl), 'ghost@example.com', 'wrong')).status, 429);
+
+    // 他のアカウントには影響しない
+    const other = createClient(server.baseUrl);
+    await other.post('/api/auth/register', { email: 'other@example.com', password: 'password123' });
+    assert.equal((await login(other, 'other@example.com', 'password123')).status, 200);
+});
+
+test('limits login and register requests per IP', async () => {
+    const ip = '192.0.2.10';
+    for (let attempt = 0; attempt < 20; attempt += 1) {
+        const response = await login(createClient(server.baseUrl, { ip }), `user${attempt}@example.com`, 'wrong');
+        assert.equal(response.status, 401);
+    }
+    const limited = await login(createClient(server.baseUrl, { ip }), 'user20@example.com', 'wrong');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await login(createClient(server.baseUrl), 'user20@example.com', 'wrong')).status, 401);
+
+    const registerIp = '192.0.2.20';
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        const client = createClient(server.baseUrl, { ip: registerIp });
+        const response = await client.post('/api/auth/register', { email: `new${attempt}@example.com`, password: 'password123' });
+        assert.equal(response.status, 201);
+    }
+    const client = createClient(server.baseUrl, { ip: registerIp });
+    const response = await client.post('/api/auth/register', { email: 'new5@example.com', password: 'password123' });
+    assert.equal(response.status, 429);
+});
+
+test('limits password reset mails per account', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const response = await createClient(server.baseUrl).post('/api/auth/password-reset/request', { email: 'flood@example.com' });
+        assert.equal(response.status, 200);
+    }
+    const response = await createClient(server.baseUrl).post('/api/auth/password-reset/request', { email: 'FLOOD@example.com' });
+    assert.equal(response.status, 429);
+});
+
+test('limits stock requests per IP', async () => {
+    const client = createClient(server.baseUrl);
+    for (let attempt = 0; attempt < 120; attempt += 1) {
+        assert.equal((await client.get('/api/stock?symbol=%21')).status, 400);
+    }
+    const limited = await client.get('/api/stock?symbol=SPY');
+    assert.equal(limited.status, 429);
+    assert.ok(limited.headers.get('retry-after'));
+    assert.equal((await createClient(server.baseUrl).get('/api/stock?symbol=%21')).status, 400);
+    // 同じ上限を株価 API 全体で共有する
+    assert.equal((await client.get('/api/prices/SPY')).status, 429);
+});
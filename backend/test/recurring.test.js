@@ -0,0 +1,42 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+let client;
+
+before(async () => {
+    server = await startTestServer();
+    client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'recurring@example.com');
+});
+
+after(async () => {
+    await server.close();
+});
+
+const rent = { title: '家賃', category: 'other', amount: 80000, frequency: 'monthly', dayOfMonth: 27, startDate: '2026-10-01' };
+
+test('changes the day without resending the frequency', async () => {
+    const { status, body } = await client.post('/api/recurring', rent);
+    assert.equal(status, 201);
+    const { id } = body.rule;
+
+    const moved = await client.put(`/api/recurring/${id}`, { dayOfMonth: 25 });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.rule.frequency, 'monthly');
+    assert.equal(moved.body.rule.day_of_month, 25);
+
+    // 登録済みの頻度に合わない指定は無視せずに拒否する
+    assert.equal((await client.put(`/api/recurring/${id}`, { dayOfMonth: 40 })).status, 400);
+    assert.equal((await client.put(`/api/recurring/${id}`, { dayOfWeek: 1 })).status, 400);
+
+    const weekly = await client.put(`/api/recurring/${id}`, { frequency: 'weekly', dayOfWeek: 5 });
+    assert.equal(weekly.status, 200);
+    const friday = await client.put(`/api/recurring/${id}`, { dayOfWeek: 1 });
+    assert.equal(friday.status, 200);
+    assert.equal(friday.body.rule.day_of_week, 1);
+    assert.equal(friday.body.rule.day_of_month, null);
+
+    assert.equal((await client.put('/api/recurring/999999', { dayOfMonth: 1 })).status, 404);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+const ACCESS = 'kakeibo.at';
+const REFRESH = 'kakeibo.rt';
+
+// セッションとアクセストークンを捨てて、リフレッシュトークンだけが残った状態にする
+const keepOnlyRefreshToken = (client) => {
+    client.deleteCookie('kakeibo.sid');
+    client.deleteCookie(ACCESS);
+};
+
+// ローテーション直後の猶予期間を過ぎたことにする
+const expireReuseGrace = () => server.pool.query(
+    'UPDATE refresh_tokens SET used_at = $1 WHERE used_at IS NOT NULL',
+    [new Date(Date.now() - 60 * 1000)]
+);
+
+test('login sets httpOnly access and refresh token cookies', async () => {
+    const client = createClient(server.baseUrl);
+    await client.post('/api/auth/register', { email: 'cookie@example.com', password: 'password123' });
+    const login = await client.post('/api/auth/login', { email: 'cookie@example.com', password: 'password123' });
+
+    const setCookies = login.headers.getSetCookie();
+    const access = setCookies.find(cookie => cookie.startsWith(`${ACCESS}=`));
+    const refresh = setCookies.find(cookie => cookie.startsWith(`${REFRESH}=`));
+    assert.match(access, /HttpOnly/);
+    assert.match(refresh, /HttpOnly/);
+    assert.match(refresh, /Path=\/api\/auth/);
+
+    // アクセストークンの Cookie だけで認証できる
+    client.deleteCookie('kakeibo.sid');
+    const me = await client.get('/api/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.email, 'cookie@example.com');
+});
+
+test('refresh issues new tokens and rotates the refresh token', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'rotate@example.com');
+    const firstRefresh = client.getCookie(REFRESH).value;
+
+    keepOnlyRefreshToken(client);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+
+    const refreshed = await client.post('/api/auth/refresh');
+    assert.equal(refreshed.status, 200);
+    assert.equal(refreshed.body.user.email, 'rotate@example.com');
+    assert.notEqual(client.getCookie(REFRESH).value, firstRefresh);
+    assert.equal((await client.get('/api/auth/me')).status, 200);
+});
+
+test('reusing a rotated refresh token revokes the whole login', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'reuse@example.com');
+    const stolen = client.getCookie(REFRESH);
+
+    assert.equal((await client.post('/api/auth/refresh')).status, 200);
+    const current = client.getCookie(REFRESH);
+
+    // 直後（別タブの同時更新）は再利用とはみなさない
+    const attacker = createClient(server.baseUrl);
+    attacker.setCookie(REFRESH, stolen);
+    assert.equal((await attacker.post('/api/auth/refresh')).status, 409);
+
+    await expireReuseGrace();
+    assert.equal((await attacker.post('/api/auth/refresh')).status, 401);
+
+    // 正規のユーザーの最新のトークンも無効になる
+    const victim = createClient(server.baseUrl);
+    victim.setCookie(REFRESH, current);
+    assert.equal((await victim.post('/api/auth/refresh')).status, 401);
+});
+
+test('logout revokes the refresh token', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'bye@example.com');
+    const refreshToken = client.getCookie(REFRESH);
+
+    assert.equal((await client.post('/api/auth/logout')).status, 200);
+    assert.equal(client.getCookie(REFRESH), null);
+    assert.equal(client.getCookie(ACCESS), null);
+
+    const replay = createClient(server.baseUrl);
+    replay.setCookie(REFRESH, refreshToken);
+    assert.equal((await replay.post('/api/auth/refresh')).status, 401);
+});
+
+test('refresh without a token is rejected', async () => {
+    const response = await createClient(server.baseUrl).post('/api/auth/refresh');
+    assert.equal(response.status, 401);
+});
+
+test('a malformed refresh cookie is treated as missing', async () => {
+    const client = createClient(server.baseUrl);
+    client.setCookie(REFRESH, { value: '%E0%A4%A', path: '/api/auth' });
+
+    const response = await client.post('/api/auth/refresh');
+    assert.equal(response.status, 401);
+    assert.equal(client.getCookie(REFRESH), null);
+
+    client.setCookie(REFRESH, { value: '%E0%A4%A', path: '/api/auth' });
+    client.setCookie(ACCESS, { value: '%E0%A4%A', path: '/' });
+    assert.equal((await client.post('/api/auth/logout')).status, 200);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+});
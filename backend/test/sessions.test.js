@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 同じユーザーで別の端末からログインする
+const loginFromAnotherDevice = async (email, password = 'password123') => {
+    const client = createClient(server.baseUrl);
+    const { body } = await client.post('/api/auth/login', { email, password });
+    return { client, token: body.token };
+};
+
+test('logout revokes the access token before it expires', async () => {
+    const client = createClient(server.baseUrl);
+    const token = await registerAndLogin(client, 'revoke@example.com');
+    assert.equal((await createClient(server.baseUrl).get('/api/auth/me', { token })).status, 200);
+
+    assert.equal((await client.post('/api/auth/logout')).status, 200);
+
+    // 盗まれたトークンもログアウト後は使えない
+    const attacker = createClient(server.baseUrl);
+    assert.equal((await attacker.get('/api/auth/me', { token })).status, 401);
+    assert.equal((await attacker.get('/api/kakeibo', { token })).status, 401);
+});
+
+test('logout-all signs out every device of the user', async () => {
+    const laptop = createClient(server.baseUrl);
+    await registerAndLogin(laptop, 'everywhere@example.com');
+    const phone = await loginFromAnotherDevice('everywhere@example.com');
+    const other = createClient(server.baseUrl);
+    await registerAndLogin(other, 'bystander@example.com');
+
+    const response = await laptop.post('/api/auth/logout-all');
+    assert.equal(response.status, 200);
+    assert.equal(laptop.getCookie('kakeibo.at'), null);
+
+    // Cookie（セッション・アクセストークン・リフレッシュトークン）もトークンも使えなくなる
+    assert.equal((await phone.client.get('/api/auth/me')).status, 401);
+    assert.equal((await phone.client.get('/api/auth/me', { token: phone.token })).status, 401);
+    assert.equal((await phone.client.post('/api/auth/refresh')).status, 401);
+
+    // 他のユーザーには影響しない
+    assert.equal((await other.get('/api/auth/me')).status, 200);
+});
+
+test('lists active sessions with the current device marked', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'devices@example.com');
+    const phone = await loginFromAnotherDevice('devices@example.com');
+    await phone.client.post('/api/auth/logout');
+    await loginFromAnotherDevice('devices@example.com');
+
+    const { status, body } = await client.get('/api/auth/sessions');
+    assert.equal(status, 200);
+    assert.equal(body.sessions.length, 2);
+    assert.equal(body.sessions.filter(session => session.current).length, 1);
+    for (const session of body.sessions) {
+        assert.ok(session.userAgent);
+        assert.ok(session.ipAddress);
+        assert.ok(session.lastSeenAt);
+    }
+
+    assert.equal((await createClient(server.baseUrl).get('/api/auth/sessions')).status, 401);
+});
+
+test('revokes a single session by id', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'single@example.com');
+    const phone = await loginFromAnotherDevice('single@example.com');
+
+    const { body } = await client.get('/api/auth/sessions');
+    const phoneSession = body.sessions.find(session => !session.current);
+    assert.equal((await client.delete(`/api/auth/sessions/${phoneSession.id}`)).status, 200);
+
+    assert.equal((await phone.client.get('/api/auth/me')).status, 401);
+    assert.equal((await phone.client.post('/api/auth/refresh')).status, 401);
+    assert.equal((await client.get('/api/auth/me')).status, 200);
+
+    // 無効にしたログインや、他のユーザーのログインは見つからない
+    assert.equal((await client.delete(`/api/auth/sessions/${phoneSession.id}`)).status, 404);
+    const intruder = createClient(server.baseUrl);
+    await registerAndLogin(intruder, 'intruder@example.com');
+    const current = body.sessions.find(session => session.current);
+    assert.equal((await intruder.delete(`/api/auth/sessions/${current.id}`)).status, 404);
+    assert.equal((await client.get('/api/auth/me')).status, 200);
+    // 他のユーザーのリフレッシュトークンも無効にならない
+    assert.equal((await client.post('/api/auth/refresh')).status, 200);
+});
+
+test('refreshed tokens stay tied to the same session', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'same@example.com');
+    const before = (await client.get('/api/auth/sessions')).body.sessions;
+
+    client.deleteCookie('kakeibo.sid');
+    client.deleteCookie('kakeibo.at');
+    assert.equal((await client.post('/api/auth/refresh')).status, 200);
+
+    const after = (await client.get('/api/auth/sessions')).body.sessions;
+    assert.deepEqual(after.map(session => session.id), before.map(session => session.id));
+    assert.equal(after[0].current, true);
+});
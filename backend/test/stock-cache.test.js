@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient } = require('./helpers');
+const { MarketDataError } = require('../market-data');
+
+let server;
+let client;
+
+before(async () => {
+    server = await startTestServer();
+    client = createClient(server.baseUrl);
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 市場データプロバイダーの日足の取得を差し替える（テストの終了時に元に戻る）
+const stubFetchDaily = (t, implementation) => t.mock.method(server.marketData, 'fetchDaily', implementation);
+const failWith = (code) => async () => {
+    throw new MarketDataError(code, `stubbed ${code}`);
+};
+
+// 前回の取得から時間が経ったことにして、次のリクエストで再取得させる
+const expireLoads = (symbol) => server.pool.query(
+    'UPDATE price_bar_loads SET loaded_at = $2 WHERE symbol = $1',
+    [symbol, new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)]
+);
+
+test('fetches bars once and serves them from the cache while fresh', async (t) => {
+    const fetchDaily = stubFetchDaily(t);
+
+    const first = await client.get('/api/stock?symbol=SPY');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, 'fresh');
+    assert.equal(first.body.cached, false);
+    assert.ok(Object.keys(first.body.data['Time Series (Daily)']).length > 0);
+
+    const second = await client.get('/api/stock?symbol=SPY');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.status, 'fresh');
+    assert.equal(second.body.cached, true);
+    assert.deepEqual(second.body.data, first.body.data);
+
+    assert.equal(fetchDaily.mock.callCount(), 1);
+});
+
+test('serves stored bars as "old" while rate limited', async (t) => {
+    await expireLoads('SPY');
+    stubFetchDaily(t, failWith('RATE_LIMITED'));
+
+    const response = await client.get('/api/stock?symbol=SPY');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'old');
+    assert.equal(response.body.cached, true);
+    assert.match(response.body.message, /API制限中/);
+    assert.ok(Object.keys(response.body.data['Time Series (Daily)']).length > 0);
+});
+
+test('serves stored bars as "backup" when the provider fails', async (t) => {
+    await expireLoads('SPY');
+    stubFetchDaily(t, failWith('UNAVAILABLE'));
+
+    const response = await client.get('/api/stock?symbol=SPY');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'backup');
+    assert.match(response.body.message, /APIエラー/);
+});
+
+test('returns 503 when rate limited with nothing stored', async (t) => {
+    stubFetchDaily(t, failWith('RATE_LIMITED'));
+
+    const response = await client.get('/api/stock?symbol=QQQ');
+    assert.equal(response.status, 503);
+});
+
+test('returns 500 when the provider fails with nothing stored', async (t) => {
+    stubFetchDaily(t, failWith('UNAVAILABLE'));
+
+    const response = await client.get('/api/stock?symbol=VTI');
+    assert.equal(response.status, 500);
+});
+
+test('returns 404 for an unknown symbol and 400 for an invalid one', async (t) => {
+    stubFetchDaily(t, failWith('NOT_FOUND'));
+
+    assert.equal((await client.get('/api/stock?symbol=NOPE')).status, 404);
+    assert.equal((await client.get('/api/stock?symbol=%24%24%24')).status, 400);
+});
+
+test('replaces a partial-month monthly bar with the month-end bar', async (t) => {
+    const bar = (date, close) => ({
+        date, open: close, high: close, low: close, close, volume: 1000, adjusted_close: null, dividend: null
+    });
+    // 月の途中は最新の取引日、月が終わると月末の日付の足が返る
+    const fetchMonthly = t.mock.method(server.marketData, 'fetchMonthly', async () => [
+        bar('2026-08-31', 100), bar('2026-09-30', 110), bar('2026-10-17', 115)
+    ]);
+
+    const first = await client.get('/api/prices/DIA?interval=monthly');
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.bars.map(item => item.date), ['2026-08-31', '2026-09-30', '2026-10-17']);
+
+    await expireLoads('DIA');
+    fetchMonthly.mock.mockImplementation(async () => [
+        bar('2026-08-31', 100), bar('2026-09-30', 110), bar('2026-10-31', 120)
+    ]);
+
+    const second = await client.get('/api/prices/DIA?interval=monthly');
+    assert.equal(second.status, 200);
+    assert.deepEqual(second.body.bars.map(item => item.date), ['2026-08-31', '2026-09-30', '2026-10-31']);
+    assert.equal(second.body.bars[2].close, 120);
+});
+
+test('does not serve stored bars older than the backup limit', async (t) => {
+    stubFetchDaily(t, failWith('RATE_LIMITED'));
+    await server.pool.query(
+        'UPDATE price_bar_loads SET loaded_at = $2 WHERE symbol = $1',
+        ['SPY', new Date(Date.now() - 8 * 24 * 60 * 60 * 1000)]
+    );
+
+    const response = await client.get('/api/stock?symbol=SPY');
+    assert.equal(response.status, 503);
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, registerAndLogin } = require('./helpers');
+const { generateTotp } = require('../two-factor');
+
+let server;
+
+before(async () => {
+    server = await startTestServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+// 使用済みのコードは受け付けないため、次のステップ（30秒後）のコードを使う
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+const nextCode = (secret, offset = 1) => generateTotp(secret, currentStep() + offset);
+
+// 登録してログインし、2段階認証を有効にする
+const enableTwoFactor = async (client, email) => {
+    await registerAndLogin(client, email);
+    const { body: setup } = await client.post('/api/auth/2fa/setup');
+    const { body } = await client.post('/api/auth/2fa/enable', { code: generateTotp(setup.secret, currentStep()) });
+    return { secret: setup.secret, recoveryCodes: body.recoveryCodes };
+};
+
+const passwordStep = (client, email) => client.post('/api/auth/login', { email, password: 'password123' });
+
+test('enrolment returns an otpauth URI and QR code and enables only after a valid code', async () => {
+    const client = createClient(server.baseUrl);
+    await registerAndLogin(client, 'enrol@example.com');
+
+    const setup = await client.post('/api/auth/2fa/setup');
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/Kakeibo-Invest%3Aenrol%40example\.com\?/);
+    assert.ok(setup.body.otpauthUri.includes(`secret=${setup.body.secret}`));
+    assert.match(setup.body.qrCode, /^data:image\/png;base64,/);
+
+    assert.equal((await client.post('/api/auth/2fa/enable', { code: '000000' })).status, 400);
+    assert.equal((await client.get('/api/auth/2fa')).body.enabled, false);
+
+    const enabled = await client.post('/api/auth/2fa/enable', { code: generateTotp(setup.body.secret, currentStep()) });
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+    assert.equal(new Set(enabled.body.recoveryCodes).size, 10);
+
+    const status = await client.get('/api/auth/2fa');
+    assert.equal(status.body.enabled, true);
+    assert.equal(status.body.recoveryCodesRemaining, 10);
+    assert.equal((await client.post('/api/auth/2fa/setup')).status, 409);
+});
+
+test('login issues tokens only after the second step', async () => {
+    const { secret } = await enableTwoFactor(createClient(server.baseUrl), 'second@example.com');
+
+    const client = createClient(server.baseUrl);
+    const first = await passwordStep(client, 'second@example.com');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.twoFactorRequired, true);
+    assert.equal(first.body.token, undefined);
+    assert.equal(client.getCookie('kakeibo.at'), null);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+
+    const { challengeToken } = first.body;
+    const wrong = await client.post('/api/auth/login/2fa', { challengeToken, code: '000000' });
+    assert.equal(wrong.status, 401);
+
+    const code = nextCode(secret);
+    const second = await client.post('/api/auth/login/2fa', { challengeToken, code });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.user.email, 'second@example.com');
+    assert.ok(second.body.token);
+    assert.equal((await client.get('/api/auth/me')).status, 200);
+
+    // 使ったログインの2段階目も、使ったコードも再利用できない
+    assert.equal((await client.post('/api/auth/login/2fa', { challengeToken, code: nextCode(secret, 0) })).status, 401);
+    const again = await passwordStep(client, 'second@example.com');
+    assert.equal((await client.post('/api/auth/login/2fa', { challengeToken: again.body.challengeToken, code })).status, 401);
+    assert.equal((await client.post('/api/auth/login/2fa', { challengeToken: 'invalid', code })).status, 401);
+});
+
+test('recovery codes work once each', async () => {
+    const { recoveryCodes } = await enableTwoFactor(createClient(server.baseUrl), 'recovery@example.com');
+
+    const client = createClient(server.baseUrl);
+    const first = await passwordStep(client, 'recovery@example.com');
+    const used = await client.post('/api/auth/login/2fa', {
+        challengeToken: first.body.challengeToken,
+        code: recoveryCodes[0].toUpperCase()
+    });
+    assert.equal(used.status, 200);
+    assert.equal(used.body.recoveryCodesRemaining, 9);
+
+    const replay = await passwordStep(client, 'recovery@example.com');
+    const rejected = await client.post('/api/auth/login/2fa', {
+        challengeToken: replay.body.challengeToken,
+        code: recoveryCodes[0]
+    });
+    assert.equal(rejected.status, 401);
+});
+
+test('wrong codes count toward the login lockout', async () => {
+    await enableTwoFactor(createClient(server.baseUrl), 'guess@example.com');
+
+    let last;
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+        // パスワードを入れ直しても失敗回数は数え直さない
+        const client = createClient(server.baseUrl);
+        const { body } = await passwordStep(client, 'guess@example.com');
+        last = await client.post('/api/auth/login/2fa', { challengeToken: body.challengeToken, code: '000000' });
+    }
+    assert.equal(last.status, 429);
+    assert.ok(last.headers.get('retry-after'));
+
+    const client = createClient(server.baseUrl);
+    assert.equal((await passwordStep(client, 'guess@example.com')).status, 429);
+});
+
+test('disabling requires the password and a code, and regenerating replaces recovery codes', async () => {
+    const client = createClient(server.baseUrl);
+    const { secret, recoveryCodes } = await enableTwoFactor(client, 'disable@example.com');
+
+    const regenerated = await client.post('/api/auth/2fa/recovery-codes', { code: nextCode(secret) });
+    assert.equal(regenerated.status, 200);
+    assert.equal(regenerated.body.recoveryCodes.length, 10);
+
+    // 作り直す前のリカバリーコードは使えない
+    const stale = await client.post('/api/auth/2fa/disable', { password: 'password123', code: recoveryCodes[0] });
+    assert.equal(stale.status, 400);
+    const wrongPassword = await client.post('/api/auth/2fa/disable', {
+        password: 'wrong',
+        code: regenerated.body.recoveryCodes[0]
+    });
+    assert.equal(wrongPassword.status, 400);
+
+    const disabled = await client.post('/api/auth/2fa/disable', {
+        password: 'password123',
+        code: regenerated.body.recoveryCodes[0]
+    });
+    assert.equal(disabled.status, 200);
+    assert.equal((await client.get('/api/auth/2fa')).body.enabled, false);
+
+    const login = await passwordStep(createClient(server.baseUrl), 'disable@example.com');
+    assert.equal(login.status, 200);
+    assert.equal(login.body.twoFactorRequired, undefined);
+    assert.ok(login.body.token);
+});
@@ -0,0 +1,105 @@
+// TOTP（RFC 6238）による2段階認証と、認証アプリを使えないときのリカバリーコード
+// Google Authenticator などの認証アプリと同じ既定値（HMAC-SHA1・6桁・30秒）を使う
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// 端末の時計のずれを考慮して、前後1ステップ（±30秒）のコードも受け付ける
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = 'Kakeibo-Invest';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let index = 0; index < bits.length; index += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/[\s=]/g, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value < 0) throw new Error(`Invalid base32 character: ${char}`);
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let index = 0; index + 8 <= bits.length; index += 8) {
+        bytes.push(parseInt(bits.slice(index, index + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// 認証アプリに登録する秘密鍵（160ビット、Base32）
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTotpStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+
+// 指定したステップ（30秒ごとの通し番号）のコード
+function generateTotp(secret, step = getTotpStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// コードが合っていればそのステップを返す（合わなければ null）
+// 同じコードを2回使わせないよう、afterStep 以前のステップは受け付けない
+function verifyTotp(secret, code, { now = new Date(), afterStep = null } = {}) {
+    const normalized = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+    const current = getTotpStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step += 1) {
+        if (afterStep !== null && step <= afterStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// 認証アプリに読み込ませる otpauth:// URI（QRコードにして表示する）
+function buildOtpauthUri({ secret, accountName, issuer = TOTP_ISSUER }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// リカバリーコード（例: 3f9a-c21b-07de）。DBには正規化した値の SHA-256 だけを保存する
+const normalizeRecoveryCode = (code) => (typeof code === 'string' ? code.replace(/[\s-]/g, '').toLowerCase() : '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+const isRecoveryCodeFormat = (code) => /^[0-9a-f]{12}$/.test(normalizeRecoveryCode(code));
+
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () => crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+}
+
+module.exports = {
+    TOTP_ISSUER,
+    RECOVERY_CODE_COUNT,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    hashRecoveryCode,
+    isRecoveryCodeFormat,
+    generateRecoveryCodes
+};
@@ -0,0 +1,257 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { authFetch, useAuth } from "../hooks/useAuth";
+import styles from "./page.module.css";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+// 2段階認証の API を呼び出す（失敗したらサーバーのメッセージで例外を投げる）
+const postTwoFactor = async (path, body) => {
+  const response = await authFetch(`${API_BASE}/api/auth/2fa${path}`, {
+    method: "POST",
+    headers: JSON_HEADERS,
+    body: JSON.stringify(body ?? {})
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "2段階認証の設定に失敗しました。");
+  }
+  return data;
+};
+
+export default function AccountPage() {
+  const { user, loading } = useAuth();
+  const [twoFactor, setTwoFactor] = useState(null); //{ enabled, recoveryCodesRemaining }
+  const [setup, setSetup] = useState(null); //設定中の QRコードと秘密鍵
+  const [recoveryCodes, setRecoveryCodes] = useState(null); //作成直後のリカバリーコード（この画面でだけ表示）
+  const [code, setCode] = useState("");
+  const [disableForm, setDisableForm] = useState({ password: "", code: "" });
+  const [status, setStatus] = useState({ type: "idle", message: "" });
+
+  const fetchTwoFactor = useCallback(async () => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/auth/2fa`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "2段階認証の状態の取得に失敗しました。");
+      }
+      setTwoFactor(data);
+    } catch (error) {
+      console.error("Fetch two-factor status failed:", error);
+      setStatus({ type: "error", message: error.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchTwoFactor();
+    }
+  }, [user, fetchTwoFactor]);
+
+  //操作を実行し、結果のメッセージを表示する
+  const run = async (action, successMessage) => {
+    setStatus({ type: "loading", message: "" });
+    try {
+      await action();
+      setStatus({ type: "success", message: successMessage });
+      setCode("");
+      fetchTwoFactor();
+    } catch (error) {
+      setStatus({ type: "error", message: error.message });
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await postTwoFactor("/setup"));
+  }, "認証アプリで QRコードを読み取り、表示されたコードを入力してください。");
+
+  const enableTwoFactor = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const data = await postTwoFactor("/enable", { code });
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+    }, "2段階認証を有効にしました。");
+  };
+
+  const regenerateRecoveryCodes = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const data = await postTwoFactor("/recovery-codes", { code });
+      setRecoveryCodes(data.recoveryCodes);
+    }, "リカバリーコードを作り直しました。以前のコードは使えません。");
+  };
+
+  const disableTwoFactor = (event) => {
+    event.preventDefault();
+    if (!window.confirm("2段階認証を無効にしますか？")) return;
+    run(async () => {
+      await postTwoFactor("/disable", disableForm);
+      setDisableForm({ password: "", code: "" });
+      setRecoveryCodes(null);
+    }, "2段階認証を無効にしました。");
+  };
+
+  const handleDisableChange = (event) => {
+    const { name, value } = event.target;
+    setDisableForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  if (loading) {
+    return (
+      <div className={styles.page}>
+        <p className={styles.notice}>読み込み中...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className={styles.page}>
+        <p className={styles.notice}>
+          アカウント設定を開くには<Link href="/login">ログイン</Link>してください。
+        </p>
+      </div>
+    );
+  }
+
+  const busy = status.type === "loading";
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.container}>
+        <div className={styles.header}>
+          <h1 className={styles.heading}>アカウント設定</h1>
+          <Link href="/" className={styles.backLink}>← 家計簿に戻る</Link>
+        </div>
+
+        {status.type === "error" && <p className={styles.error}>{status.message}</p>}
+        {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+
+        <section className={styles.panel}>
+          <h2 className={styles.panelTitle}>👤 アカウント</h2>
+          <dl className={styles.details}>
+            <dt>メールアドレス</dt>
+            <dd>
+              {user.email}
+              {user.emailVerified
+                ? <span className={styles.badge}>確認済み</span>
+                : <span className={styles.warningBadge}>未確認</span>}
+            </dd>
+            <dt>名前</dt>
+            <dd>{user.name || "未設定"}</dd>
+          </dl>
+          <Link href="/sessions" className={styles.inlineLink}>🔐 ログイン中の端末を確認する</Link>
+        </section>
+
+        <section className={styles.panel}>
+          <h2 className={styles.panelTitle}>🛡️ 2段階認証</h2>
+          <p className={styles.description}>
+            ログイン時に、パスワードに加えて認証アプリ（Google Authenticator など）に表示されるコードを入力します。
+          </p>
+
+          {recoveryCodes && (
+            <div className={styles.recoveryBox}>
+              <p>
+                リカバリーコードです。スマートフォンをなくしたときに、確認コードの代わりに1回ずつ使えます。
+                <strong>この画面を閉じると二度と表示できないため</strong>、安全な場所に保存してください。
+              </p>
+              <ul className={styles.recoveryCodes}>
+                {recoveryCodes.map((recoveryCode) => (
+                  <li key={recoveryCode}>{recoveryCode}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {twoFactor && !twoFactor.enabled && !setup && (
+            <button type="button" className={styles.button} onClick={startSetup} disabled={busy}>
+              2段階認証を設定する
+            </button>
+          )}
+
+          {twoFactor && !twoFactor.enabled && setup && (
+            <form className={styles.form} onSubmit={enableTwoFactor}>
+              {/* eslint-disable-next-line @next/next/no-img-element -- サーバーが返す data URL の QRコード */}
+              <img className={styles.qrCode} src={setup.qrCode} alt="認証アプリで読み取る QRコード" />
+              <p className={styles.description}>
+                読み取れない場合は、次のキーを認証アプリに入力してください。
+                <code className={styles.secret}>{setup.secret}</code>
+              </p>
+              <label className={styles.label}>
+                認証アプリに表示されたコード
+                <input
+                  className={styles.input}
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(event) => setCode(event.target.value)}
+                  required
+                />
+              </label>
+              <button type="submit" className={styles.button} disabled={busy}>確認して有効にする</button>
+            </form>
+          )}
+
+          {twoFactor?.enabled && (
+            <>
+              <p className={styles.enabled}>
+                ✅ 有効（未使用のリカバリーコード: 残り{twoFactor.recoveryCodesRemaining}個）
+              </p>
+
+              <form className={styles.form} onSubmit={regenerateRecoveryCodes}>
+                <h3 className={styles.formTitle}>リカバリーコードを作り直す</h3>
+                <label className={styles.label}>
+                  認証アプリに表示されたコード
+                  <input
+                    className={styles.input}
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(event) => setCode(event.target.value)}
+                    required
+                  />
+                </label>
+                <button type="submit" className={styles.button} disabled={busy}>作り直す</button>
+              </form>
+
+              <form className={styles.form} onSubmit={disableTwoFactor}>
+                <h3 className={styles.formTitle}>2段階認証を無効にする</h3>
+                <label className={styles.label}>
+                  パスワード
+                  <input
+                    className={styles.input}
+                    type="password"
+                    name="password"
+                    value={disableForm.password}
+                    onChange={handleDisableChange}
+                    required
+                  />
+                </label>
+                <label className={styles.label}>
+                  確認コードまたはリカバリーコード
+                  <input
+                    className={styles.input}
+                    type="text"
+                    name="code"
+                    autoComplete="one-time-code"
+                    value={disableForm.code}
+                    onChange={handleDisableChange}
+                    required
+                  />
+                </label>
+                <button type="submit" className={styles.dangerButton} disabled={busy}>無効にする</button>
+              </form>
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
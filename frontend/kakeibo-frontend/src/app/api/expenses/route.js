@@ -72,8 +72,10 @@ export async function GET(request) {
         }
         
         // 【STEP 5】投資カテゴリーのデータのみを抽出
-        // カテゴリーが 'investment' のレコードのみフィルタリング
-        const investmentExpenses = allExpenses.filter(expense => expense.category === 'investment');
+        // カテゴリーが 'investment' の支出レコードのみフィルタリング (収入は除外)
+        const investmentExpenses = allExpenses.filter(
+            expense => expense.category === 'investment' && expense.entry_type !== 'income'
+        );
         
         // 【STEP 6】月別データのグループ化処理
         const monthlyInvestments = investmentExpenses.reduce((acc, expense) => {
@@ -1,13 +1,13 @@
 /**
- * 📈 Stock API Route - S&P500株価データ取得API (キャッシュ対応版)
+ * 📈 Stock API Route - 株価データ取得API (キャッシュ対応版)
  * 
  * 【ファイルの役割】
- * - バックエンドのキャッシュ機能を経由してS&P500 (SPY ETF) の月次株価データを取得
+ * - バックエンドのキャッシュ機能を経由して指定銘柄（?symbol=、省略時は S&P500 の SPY ETF）の月次株価データを取得
  * - Alpha Vantage APIの制限回避のためMySQLキャッシュを使用
  * - フロントエンドからのリクエストに対して株価データをJSONで返却
  * 
  * 【処理の流れ】
- * 1. バックエンドのキャッシュAPIエンドポイントを呼び出し
+ * 1. クエリの銘柄コードを検証し、バックエンドのキャッシュAPIエンドポイントを呼び出し
  * 2. キャッシュヒット時は高速レスポンス、ミス時は新データ取得
  * 3. Alpha Vantage形式のデータをフロントエンドに返却
  * 
@@ -19,15 +19,30 @@
 
 const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
 
+const DEFAULT_SYMBOL = "SPY"; // S&P500を追跡するETF
+// バックエンドと同じティッカー形式（英大文字・数字・ピリオド・ハイフン、15文字以内）
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,14}$/;
+
 // Next.js App Router API Route
 // GETリクエストを処理する関数をエクスポート
 export async function GET(request) {
-    const symbol = "SPY"; // S&P500を追跡するETF
+    const requested = new URL(request.url).searchParams.get("symbol");
+    const symbol = requested ? requested.trim().toUpperCase() : DEFAULT_SYMBOL;
+
+    if (!SYMBOL_PATTERN.test(symbol)) {
+        return new Response(JSON.stringify({
+            error: "Invalid symbol",
+            message: "銘柄コードが不正です。"
+        }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
     
     try {
         // 【STEP 1】バックエンドのキャッシュAPIを呼び出し
         console.log("🔄 Fetching stock data with cache for:", symbol);
-        const backendUrl = `${API_BASE}/api/stock-cached/${symbol}`;
+        const backendUrl = `${API_BASE}/api/stock-cached/${encodeURIComponent(symbol)}`;
         console.log("📡 Backend URL:", backendUrl);
         const cookie = request.headers.get("cookie");
         
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import styles from "./BudgetPanel.module.css";
+
+// 予算の消化率がこの割合を超えたら注意表示にする
+const WARNING_RATIO = 0.8;
+
+const BudgetPanel = ({ month, budgets, categoryLabels, onMonthChange, onSave, onDelete }) => {
+    const [form, setForm] = useState({ category: "", amount: "" });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave(form.category, form.amount);
+        setForm({ category: "", amount: "" });
+    };
+
+    // 予算状態の判定（超過 / 注意 / 通常）
+    const getStatus = (budget) => {
+        if (budget.overBudget) return "over";
+        if (budget.budget > 0 && budget.spent / budget.budget >= WARNING_RATIO) return "warning";
+        return "ok";
+    };
+
+    const statusClasses = {
+        over: styles.statusOver,
+        warning: styles.statusWarning,
+        ok: styles.statusOk
+    };
+
+    const overBudgets = budgets.filter((budget) => budget.overBudget);
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.header}>
+                <h2 className={styles.title}>🎯 月間予算</h2>
+                <input
+                    type="month"
+                    value={month}
+                    onChange={(e) => onMonthChange(e.target.value)}
+                    className={styles.monthInput}
+                />
+            </div>
+
+            {overBudgets.length > 0 && (
+                <div className={styles.alert}>
+                    ⚠️ 予算超過: {overBudgets.map((budget) => categoryLabels[budget.category] || budget.category).join("、")}
+                </div>
+            )}
+
+            {budgets.length === 0 ? (
+                <p className={styles.emptyText}>この月の予算はまだ設定されていません</p>
+            ) : (
+                <div className={styles.budgetList}>
+                    {budgets.map((budget) => {
+                        const status = getStatus(budget);
+                        const barWidth = Math.min(budget.percentUsed ?? 100, 100);
+                        return (
+                            <div key={budget.id} className={`${styles.budgetItem} ${statusClasses[status]}`}>
+                                <div className={styles.budgetRow}>
+                                    <span className={styles.budgetCategory}>
+                                        {categoryLabels[budget.category] || budget.category}
+                                    </span>
+                                    <span className={styles.budgetAmounts}>
+                                        ¥{budget.spent.toLocaleString()} / ¥{budget.budget.toLocaleString()}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        onClick={() => onDelete(budget.id)}
+                                        className={styles.deleteButton}
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                                <div className={styles.progressTrack}>
+                                    <div className={styles.progressBar} style={{ width: `${barWidth}%` }} />
+                                </div>
+                                <div className={styles.budgetRow}>
+                                    <span className={styles.budgetMeta}>
+                                        {budget.percentUsed !== null ? `${budget.percentUsed}% 使用` : "予算 ¥0"}
+                                    </span>
+                                    <span className={styles.budgetMeta}>
+                                        {budget.remaining >= 0
+                                            ? `残り ¥${budget.remaining.toLocaleString()}`
+                                            : `¥${Math.abs(budget.remaining).toLocaleString()} 超過`}
+                                    </span>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className={styles.form}>
+                <select
+                    value={form.category}
+                    onChange={(e) => setForm({ ...form, category: e.target.value })}
+                    required
+                    className={styles.input}
+                >
+                    <option value="">カテゴリ</option>
+                    {Object.entries(categoryLabels).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="0"
+                    placeholder="予算額"
+                    value={form.amount}
+                    onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                    required
+                    className={styles.input}
+                />
+                <button type="submit" className={styles.submitButton}>
+                    設定
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default BudgetPanel;
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import styles from "./CategoryManager.module.css";
+
+const EMPTY_FORM = { type: "expense", icon: "📁", label: "", color: "#a29bfe" };
+
+const CategoryManager = ({ categories, onAdd, onDelete }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onAdd(form);
+        setForm({ ...EMPTY_FORM, type: form.type });
+    };
+
+    const renderGroup = (type, title) => (
+        <div className={styles.group}>
+            <h3 className={styles.groupTitle}>{title}</h3>
+            <div className={styles.chipList}>
+                {categories
+                    .filter((category) => category.entry_type === type)
+                    .map((category) => (
+                        <span
+                            key={category.id}
+                            className={styles.chip}
+                            style={{ borderColor: category.color }}
+                        >
+                            <span className={styles.swatch} style={{ background: category.color }} />
+                            {category.icon} {category.label}
+                            <button
+                                type="button"
+                                onClick={() => onDelete(category.id)}
+                                className={styles.deleteButton}
+                                aria-label={`${category.label}を削除`}
+                            >
+                                ✕
+                            </button>
+                        </span>
+                    ))}
+            </div>
+        </div>
+    );
+
+    return (
+        <div className={styles.container}>
+            {renderGroup("expense", "支出カテゴリ")}
+            {renderGroup("income", "収入カテゴリ")}
+
+            <form onSubmit={handleSubmit} className={styles.form}>
+                <select
+                    value={form.type}
+                    onChange={(e) => setForm({ ...form, type: e.target.value })}
+                    className={styles.input}
+                >
+                    <option value="expense">支出</option>
+                    <option value="income">収入</option>
+                </select>
+                <input
+                    type="text"
+                    value={form.icon}
+                    onChange={(e) => setForm({ ...form, icon: e.target.value })}
+                    maxLength={16}
+                    required
+                    className={`${styles.input} ${styles.iconInput}`}
+                />
+                <input
+                    type="text"
+                    placeholder="例: 光熱費"
+                    value={form.label}
+                    onChange={(e) => setForm({ ...form, label: e.target.value })}
+                    maxLength={50}
+                    required
+                    className={styles.input}
+                />
+                <input
+                    type="color"
+                    value={form.color}
+                    onChange={(e) => setForm({ ...form, color: e.target.value })}
+                    className={styles.colorInput}
+                />
+                <button type="submit" className={styles.submitButton}>
+                    ➕ 追加
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default CategoryManager;
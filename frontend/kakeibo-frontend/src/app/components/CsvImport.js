@@ -0,0 +1,211 @@
+import React, { useState } from "react";
+import styles from "./CsvImport.module.css";
+
+const DEFAULT_OPTIONS = {
+    encoding: "auto",
+    hasHeader: true,
+    dateColumn: "日付",
+    titleColumn: "摘要",
+    amountColumn: "金額",
+    depositColumn: ""
+};
+
+// 取り込み行の初期カテゴリ（種別ごと）
+const DEFAULT_CATEGORY = { expense: "other", income: "other_income" };
+
+const CsvImport = ({ categories, onPreview, onImport }) => {
+    const [file, setFile] = useState(null);
+    const [options, setOptions] = useState(DEFAULT_OPTIONS);
+    const [previewRows, setPreviewRows] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const categoriesByType = (type) => categories.filter((category) => category.entry_type === type);
+
+    // 初期カテゴリが削除されている場合は同じ種別の先頭カテゴリを使う
+    const getDefaultCategory = (type) => {
+        const candidates = categoriesByType(type);
+        const preferred = candidates.find((category) => category.key === DEFAULT_CATEGORY[type]);
+        return (preferred || candidates[0])?.key ?? "";
+    };
+
+    const handlePreview = async (e) => {
+        e.preventDefault();
+        if (!file) return;
+
+        setIsLoading(true);
+        const result = await onPreview(file, options);
+        setIsLoading(false);
+        if (!result) return;
+
+        // 重複候補・エラー行は初期状態で取り込み対象から外す
+        setPreviewRows(result.rows.map((row) => ({
+            ...row,
+            selected: !row.error && !row.duplicate,
+            category: getDefaultCategory(row.type)
+        })));
+    };
+
+    const updateRow = (rowNumber, changes) => {
+        setPreviewRows((prev) => prev.map((row) => (row.rowNumber === rowNumber ? { ...row, ...changes } : row)));
+    };
+
+    const handleImport = async () => {
+        const rows = previewRows
+            .filter((row) => row.selected)
+            .map(({ title, amount, date, category, type }) => ({ title, amount, date, category, type }));
+        if (rows.length === 0) return;
+
+        setIsLoading(true);
+        const success = await onImport(rows);
+        setIsLoading(false);
+        if (success) {
+            setPreviewRows([]);
+            setFile(null);
+        }
+    };
+
+    const selectedCount = previewRows.filter((row) => row.selected).length;
+
+    return (
+        <div className={styles.container}>
+            <form onSubmit={handlePreview} className={styles.optionsGrid}>
+                <label className={styles.field}>
+                    CSVファイル
+                    <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        onChange={(e) => setFile(e.target.files?.[0] || null)}
+                        required
+                        className={styles.input}
+                    />
+                </label>
+                <label className={styles.field}>
+                    文字コード
+                    <select
+                        value={options.encoding}
+                        onChange={(e) => setOptions({ ...options, encoding: e.target.value })}
+                        className={styles.input}
+                    >
+                        <option value="auto">自動判定</option>
+                        <option value="utf-8">UTF-8</option>
+                        <option value="shift_jis">Shift_JIS</option>
+                    </select>
+                </label>
+                <label className={styles.field}>
+                    日付の列
+                    <input
+                        type="text"
+                        value={options.dateColumn}
+                        onChange={(e) => setOptions({ ...options, dateColumn: e.target.value })}
+                        required
+                        className={styles.input}
+                    />
+                </label>
+                <label className={styles.field}>
+                    内容の列
+                    <input
+                        type="text"
+                        value={options.titleColumn}
+                        onChange={(e) => setOptions({ ...options, titleColumn: e.target.value })}
+                        required
+                        className={styles.input}
+                    />
+                </label>
+                <label className={styles.field}>
+                    金額（出金）の列
+                    <input
+                        type="text"
+                        value={options.amountColumn}
+                        onChange={(e) => setOptions({ ...options, amountColumn: e.target.value })}
+                        required
+                        className={styles.input}
+                    />
+                </label>
+                <label className={styles.field}>
+                    入金の列（任意）
+                    <input
+                        type="text"
+                        placeholder="例: お預入れ"
+                        value={options.depositColumn}
+                        onChange={(e) => setOptions({ ...options, depositColumn: e.target.value })}
+                        className={styles.input}
+                    />
+                </label>
+                <label className={styles.checkboxField}>
+                    <input
+                        type="checkbox"
+                        checked={options.hasHeader}
+                        onChange={(e) => setOptions({ ...options, hasHeader: e.target.checked })}
+                    />
+                    1行目は見出し（列は見出し名または0始まりの列番号で指定）
+                </label>
+                <button type="submit" className={styles.button} disabled={isLoading || !file}>
+                    🔍 プレビュー
+                </button>
+            </form>
+
+            {previewRows.length > 0 && (
+                <>
+                    <div className={styles.tableWrapper}>
+                        <table className={styles.table}>
+                            <thead>
+                                <tr>
+                                    <th></th>
+                                    <th>行</th>
+                                    <th>日付</th>
+                                    <th>内容</th>
+                                    <th>金額</th>
+                                    <th>カテゴリ</th>
+                                    <th>状態</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {previewRows.map((row) => (
+                                    <tr key={row.rowNumber} className={row.error ? styles.rowError : row.duplicate ? styles.rowDuplicate : ""}>
+                                        <td>
+                                            <input
+                                                type="checkbox"
+                                                checked={row.selected}
+                                                disabled={!!row.error}
+                                                onChange={(e) => updateRow(row.rowNumber, { selected: e.target.checked })}
+                                            />
+                                        </td>
+                                        <td>{row.rowNumber}</td>
+                                        <td>{row.date || "—"}</td>
+                                        <td>{row.title}</td>
+                                        <td>{row.type === "income" ? "+" : ""}¥{row.amount.toLocaleString()}</td>
+                                        <td>
+                                            <select
+                                                value={row.category}
+                                                disabled={!!row.error}
+                                                onChange={(e) => updateRow(row.rowNumber, { category: e.target.value })}
+                                                className={styles.input}
+                                            >
+                                                {categoriesByType(row.type).map((category) => (
+                                                    <option key={category.key} value={category.key}>
+                                                        {category.icon} {category.label}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td>{row.error || (row.duplicate ? "重複の可能性" : "OK")}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={handleImport}
+                        className={styles.button}
+                        disabled={isLoading || selectedCount === 0}
+                    >
+                        📥 {selectedCount}件を取り込む
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default CsvImport;
@@ -4,41 +4,21 @@ import{Pie}from"react-chartjs-2";
 
 ChartJS.register(ArcElement,Tooltip,Legend,Title);
 
-const CycleChart=({data})=>{
+const CycleChart=({totals, categories})=>{
 
-  // page.jsから渡されたデータを基に、カテゴリーごと円グラフを作成
+  // page.jsから渡されたカテゴリ別の合計金額（サーバー側で全期間を集計済み）を基に、カテゴリーごと円グラフを作成
     
-//page.jsで既にカテゴリ毎の合計金額を計算しているので、それを利用する
-//page.jsからどうやって持ってきているのかというと、CycleChartコンポーネントのpropsとしてdataを渡している。
+// カテゴリの一覧（表示名・色）もpage.jsからpropsで受け取り、支出カテゴリのみを対象にする
 // propsを使うことで、親コンポーネント（page.js）から子コンポーネント（CycleChart.js）にデータを渡すことができる。
-const categoryTotals = {
-    food: data.filter(item => item.category === 'food').reduce((sum, item) => sum + parseInt(item.amount), 0),
-    transport: data.filter(item => item.category === 'transport').reduce((sum, item) => sum + parseInt(item.amount), 0),
-    clothing: data.filter(item => item.category === 'clothing').reduce((sum, item) => sum + parseInt(item.amount), 0),
-    entertainment: data.filter(item => item.category === 'entertainment').reduce((sum, item) => sum + parseInt(item.amount), 0),
-    investment: data.filter(item => item.category === 'investment').reduce((sum, item) => sum + parseInt(item.amount), 0),
-    others: data.filter(item => item.category === 'others').reduce((sum, item) => sum + parseInt(item.amount), 0),
-};
+const expenseCategories = categories.filter(category => category.entry_type === 'expense');
+
+const categoryTotals = expenseCategories.map(category => totals[category.key] || 0);
 
 const chartData = {
-    labels: ['食費', '交通費', '衣服・美容費', '娯楽費', '投資', 'その他'],
+    labels: expenseCategories.map(category => category.label),
     datasets: [{
-        data: [
-            categoryTotals.food,
-            categoryTotals.transport,
-            categoryTotals.clothing,
-            categoryTotals.entertainment,
-            categoryTotals.investment,
-            categoryTotals.others
-        ],
-        backgroundColor: [
-            '#ffeaa7',
-            '#74b9ff',
-            '#fd79a8',
-            '#fdcb6e',
-            '#00b894',
-            '#a29bfe'
-        ],
+        data: categoryTotals,
+        backgroundColor: expenseCategories.map(category => category.color),
         hoverOffset: 30
     }]
 };
@@ -63,4 +43,4 @@ const options = {
 };
 
 export default CycleChart;  
-//CycleChart.jsでは、page.jsから渡されたデータを基に、カテゴリーごとの合計金額を計算し、それを使って円グラフを作成しています。
\ No newline at end of file
+//CycleChart.jsでは、page.jsから渡されたカテゴリ別の合計金額とカテゴリ一覧を基に、円グラフを作成しています。
\ No newline at end of file
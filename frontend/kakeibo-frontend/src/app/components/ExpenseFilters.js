@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import styles from "./ExpenseFilters.module.css";
+
+export const EMPTY_FILTERS = {
+    q: "",
+    type: "",
+    category: "",
+    from: "",
+    to: "",
+    minAmount: "",
+    maxAmount: "",
+    sort: "date_desc"
+};
+
+// 入力中の条件は手元で保持し、「絞り込む」を押したときだけ親に渡して再検索する
+const ExpenseFilters = ({ categories, filters, onChange }) => {
+    const [draft, setDraft] = useState(filters);
+
+    const visibleCategories = draft.type
+        ? categories.filter((category) => category.entry_type === draft.type)
+        : categories;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onChange(draft);
+    };
+
+    const handleReset = () => {
+        setDraft(EMPTY_FILTERS);
+        onChange(EMPTY_FILTERS);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className={styles.form}>
+            <label className={`${styles.field} ${styles.keyword}`}>
+                キーワード
+                <input
+                    type="search"
+                    placeholder="項目名で検索"
+                    value={draft.q}
+                    onChange={(e) => setDraft({ ...draft, q: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <label className={styles.field}>
+                種別
+                <select
+                    value={draft.type}
+                    onChange={(e) => setDraft({ ...draft, type: e.target.value, category: "" })}
+                    className={styles.input}
+                >
+                    <option value="">すべて</option>
+                    <option value="expense">支出</option>
+                    <option value="income">収入</option>
+                </select>
+            </label>
+            <label className={styles.field}>
+                カテゴリ
+                <select
+                    value={draft.category}
+                    onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                    className={styles.input}
+                >
+                    <option value="">すべて</option>
+                    {visibleCategories.map((category) => (
+                        <option key={category.key} value={category.key}>
+                            {category.icon} {category.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <label className={styles.field}>
+                並び順
+                <select
+                    value={draft.sort}
+                    onChange={(e) => setDraft({ ...draft, sort: e.target.value })}
+                    className={styles.input}
+                >
+                    <option value="date_desc">日付が新しい順</option>
+                    <option value="date_asc">日付が古い順</option>
+                    <option value="amount_desc">金額が高い順</option>
+                    <option value="amount_asc">金額が低い順</option>
+                </select>
+            </label>
+            <label className={styles.field}>
+                開始日
+                <input
+                    type="date"
+                    value={draft.from}
+                    onChange={(e) => setDraft({ ...draft, from: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <label className={styles.field}>
+                終了日
+                <input
+                    type="date"
+                    value={draft.to}
+                    onChange={(e) => setDraft({ ...draft, to: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <label className={styles.field}>
+                最小金額
+                <input
+                    type="number"
+                    min="0"
+                    value={draft.minAmount}
+                    onChange={(e) => setDraft({ ...draft, minAmount: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <label className={styles.field}>
+                最大金額
+                <input
+                    type="number"
+                    min="0"
+                    value={draft.maxAmount}
+                    onChange={(e) => setDraft({ ...draft, maxAmount: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <div className={styles.actions}>
+                <button type="submit" className={styles.button}>
+                    🔍 絞り込む
+                </button>
+                <button type="button" onClick={handleReset} className={styles.resetButton}>
+                    クリア
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ExpenseFilters;
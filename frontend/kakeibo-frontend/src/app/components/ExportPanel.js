@@ -0,0 +1,68 @@
+import React, { useState } from "react";
+import styles from "./ExportPanel.module.css";
+
+const ExportPanel = ({ categories, onExport }) => {
+    const [options, setOptions] = useState({ format: "csv", from: "", to: "", category: "" });
+    const [isExporting, setIsExporting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsExporting(true);
+        await onExport(options);
+        setIsExporting(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className={styles.form}>
+            <label className={styles.field}>
+                開始日
+                <input
+                    type="date"
+                    value={options.from}
+                    onChange={(e) => setOptions({ ...options, from: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <label className={styles.field}>
+                終了日
+                <input
+                    type="date"
+                    value={options.to}
+                    onChange={(e) => setOptions({ ...options, to: e.target.value })}
+                    className={styles.input}
+                />
+            </label>
+            <label className={styles.field}>
+                カテゴリ
+                <select
+                    value={options.category}
+                    onChange={(e) => setOptions({ ...options, category: e.target.value })}
+                    className={styles.input}
+                >
+                    <option value="">すべて</option>
+                    {categories.map((category) => (
+                        <option key={category.key} value={category.key}>
+                            {category.icon} {category.label}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <label className={styles.field}>
+                形式
+                <select
+                    value={options.format}
+                    onChange={(e) => setOptions({ ...options, format: e.target.value })}
+                    className={styles.input}
+                >
+                    <option value="csv">CSV（Excel対応）</option>
+                    <option value="json">JSON（バックアップ用）</option>
+                </select>
+            </label>
+            <button type="submit" className={styles.button} disabled={isExporting}>
+                {isExporting ? "書き出し中..." : "📤 エクスポート"}
+            </button>
+        </form>
+    );
+};
+
+export default ExportPanel;
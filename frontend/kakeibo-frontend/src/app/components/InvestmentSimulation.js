@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState } from "react";
 import {
     Chart as ChartJS,
     CategoryScale,
@@ -13,6 +13,10 @@ import {
 } from "chart.js";
 import { Line } from "react-chartjs-2";
 import styles from "./InvestmentSimulation.module.css";
+import { getSymbolLabel } from "./SymbolSelector";
+import { buildMonthlyRates, getRateForMonth, splitReturn } from "../lib/currency";
+import { buildDividendMap, reinvestDividends } from "../lib/dividends";
+import { TAX_RATE, calculateTax } from "../lib/nisa";
 
 ChartJS.register(
     CategoryScale,
@@ -26,7 +30,9 @@ ChartJS.register(
     Filler
 );
 
-const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
+const InvestmentSimulation = ({ stockData, expenseData, fxData, adjustedData, showTitle = true }) => {
+    const [returnMode, setReturnMode] = useState("price"); // price（株価のみ） | total（配当再投資）
+
     if (
         !stockData ||
         !expenseData ||
@@ -42,6 +48,7 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
     }
 
     const stockTimeSeries = stockData["Monthly Time Series"];
+    const symbolLabel = getSymbolLabel(stockData["Meta Data"]?.["2. Symbol"] || "SPY");
     const stockPrices = Object.entries(stockTimeSeries)
         .map(([date, values]) => ({
             date,
@@ -53,30 +60,57 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
         acc[monthData.month] = monthData.totalAmount;
         return acc;
     }, {});
+    // 課税口座での投資額（口座区分のないデータはすべて課税口座として扱う）
+    const taxableByMonth = expenseData.monthlyData.reduce((acc, monthData) => {
+        acc[monthData.month] = monthData.taxableAmount ?? monthData.totalAmount;
+        return acc;
+    }, {});
 
     console.log('📊 InvestmentSimulation Debug Info:');
     console.log('📈 Stock prices (first 3):', stockPrices.slice(0, 3));
     console.log('💰 Investments by month:', investmentsByMonth);
     console.log('📅 Stock dates available:', Object.keys(stockTimeSeries).slice(0, 5));
 
+    // 株価はドル建てのため、毎月の投資額はその月の為替レートでドルに換算して購入する
+    const rates = buildMonthlyRates(fxData);
+    // 配当再投資モードでは、保有中に支払われた配当をその月の終値で買い増す
+    const dividends = buildDividendMap(adjustedData);
+    const useDividends = returnMode === "total" && !!dividends;
+
     const simulationData = [];
     let totalInvested = 0;
-    let totalShares = 0;
+    let priceOnlyShares = 0;
+    let totalReturnShares = 0;
+    let totalCostUsd = 0;
+    let taxableShares = 0;
+    let taxableInvested = 0;
 
     stockPrices.forEach((stockPoint) => {
         const monthKey = stockPoint.date.substring(0, 7);
         const monthlyInvestment = investmentsByMonth[monthKey] || 0;
+        const rate = getRateForMonth(rates, monthKey);
 
-        console.log(`📅 Processing ${monthKey}: investment=${monthlyInvestment}, stock price=${stockPoint.price}`);
+        console.log(`📅 Processing ${monthKey}: investment=${monthlyInvestment}, stock price=${stockPoint.price}, rate=${rate}`);
+
+        totalReturnShares = reinvestDividends(totalReturnShares, stockPoint.date, dividends);
 
         if (monthlyInvestment > 0) {
-            const sharesCanBuy = monthlyInvestment / stockPoint.price;
-            totalShares += sharesCanBuy;
+            const usdAmount = monthlyInvestment / rate;
+            const sharesCanBuy = usdAmount / stockPoint.price;
+            priceOnlyShares += sharesCanBuy;
+            totalReturnShares += sharesCanBuy;
             totalInvested += monthlyInvestment;
-            console.log(`💰 Invested ${monthlyInvestment} yen, bought ${sharesCanBuy.toFixed(4)} shares, total shares: ${totalShares.toFixed(4)}`);
+            totalCostUsd += usdAmount;
+
+            const taxableAmount = taxableByMonth[monthKey] || 0;
+            taxableShares += taxableAmount / rate / stockPoint.price;
+            taxableInvested += taxableAmount;
+            console.log(`💰 Invested ${monthlyInvestment} yen ($${usdAmount.toFixed(2)}), bought ${sharesCanBuy.toFixed(4)} shares, total shares: ${priceOnlyShares.toFixed(4)}`);
         }
 
-        const currentValue = totalShares * stockPoint.price;
+        // 評価額はその時点の株価 × 為替レートで円換算
+        const totalShares = useDividends ? totalReturnShares : priceOnlyShares;
+        const currentValue = totalShares * stockPoint.price * rate;
         const profit = currentValue - totalInvested;
         const profitPercent =
             totalInvested > 0 ? (profit / totalInvested) * 100 : 0;
@@ -87,7 +121,15 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
             currentValue,
             profit,
             profitPercent,
-            shares: totalShares
+            shares: totalShares,
+            costUsd: totalCostUsd,
+            valueUsd: totalShares * stockPoint.price,
+            rate,
+            priceOnlyValue: priceOnlyShares * stockPoint.price * rate,
+            totalReturnValue: totalReturnShares * stockPoint.price * rate,
+            // 配当の再投資は保有口数に比例して増えるため、課税口座分の評価額は購入口数の比率で按分する
+            taxableValue: priceOnlyShares > 0 ? currentValue * (taxableShares / priceOnlyShares) : 0,
+            taxableInvested
         });
     });
 
@@ -122,10 +164,10 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
                 pointRadius: 4
             },
             {
-                label: "評価額",
+                label: dividends ? "評価額（株価のみ）" : "評価額",
                 data: simulationData
                     .filter((_, index) => index % 2 === 0)
-                    .map((item) => item.currentValue),
+                    .map((item) => item.priceOnlyValue),
                 borderColor: "#4ECDC4",
                 backgroundColor: "rgba(78, 205, 196, 0.15)",
                 borderWidth: 3,
@@ -135,7 +177,25 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
                 pointBorderColor: "#ffffff",
                 pointBorderWidth: 2,
                 pointRadius: 4
-            }
+            },
+            // 配当データがある場合は、配当再投資した場合の評価額を重ねて比較する
+            ...(dividends
+                ? [{
+                      label: "評価額（配当再投資）",
+                      data: simulationData
+                          .filter((_, index) => index % 2 === 0)
+                          .map((item) => item.totalReturnValue),
+                      borderColor: "#00B894",
+                      backgroundColor: "rgba(0, 184, 148, 0.1)",
+                      borderWidth: 3,
+                      fill: false,
+                      tension: 0.35,
+                      pointBackgroundColor: "#00B894",
+                      pointBorderColor: "#ffffff",
+                      pointBorderWidth: 2,
+                      pointRadius: 4
+                  }]
+                : [])
         ]
     };
 
@@ -145,7 +205,7 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
         plugins: {
             title: {
                 display: true,
-                text: "S&P500 投資シミュレーション（家計簿ベース）",
+                text: `${symbolLabel} 投資シミュレーション（家計簿ベース）`,
                 font: {
                     size: 18,
                     weight: "bold"
@@ -212,6 +272,17 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
     const totalProfit = latestData ? latestData.profit : 0;
     const finalValue = latestData ? latestData.currentValue : 0;
     const totalInvestmentAmount = latestData ? latestData.totalInvested : 0;
+    const { stockProfit, currencyProfit } = latestData
+        ? splitReturn({
+              investedJpy: latestData.totalInvested,
+              costUsd: latestData.costUsd,
+              valueUsd: latestData.valueUsd,
+              currentRate: latestData.rate
+          })
+        : { stockProfit: 0, currencyProfit: 0 };
+    // 税金は課税口座の利益にだけかかる（NISA口座の利益は非課税）
+    const tax = latestData ? calculateTax(latestData.taxableValue - latestData.taxableInvested) : 0;
+    const hasNisaInvestment = latestData ? latestData.taxableInvested < latestData.totalInvested : false;
 
     const totalRecordedAmount =
         expenseData?.totalAmount ??
@@ -225,6 +296,23 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
         <div className={styles.container}>
             {showTitle && <h3 className={styles.detailTitle}>💼 家計簿連携投資シミュレーション</h3>}
 
+            <div className={styles.toggleGroup}>
+                <button
+                    type="button"
+                    className={`${styles.toggleButton} ${returnMode === "price" ? styles.activeToggle : ""}`}
+                    onClick={() => setReturnMode("price")}
+                >
+                    📉 株価のみ
+                </button>
+                <button
+                    type="button"
+                    className={`${styles.toggleButton} ${returnMode === "total" ? styles.activeToggle : ""}`}
+                    onClick={() => setReturnMode("total")}
+                >
+                    💵 配当再投資
+                </button>
+            </div>
+
             <div className={styles.summaryGrid}>
                 <div className={styles.metricCard}>
                     <div className={styles.metricLabel}>総投資額</div>
@@ -286,6 +374,42 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
                             {expenseData.monthlyData.length} 回
                         </div>
                     </div>
+                    <div className={styles.detailItem}>
+                        <div className={styles.detailLabel}>株価要因の損益</div>
+                        <div className={`${styles.detailValue} ${stockProfit >= 0 ? styles.metricPositive : styles.metricNegative}`}>
+                            {stockProfit >= 0 ? "+" : ""}¥{Math.round(stockProfit).toLocaleString()}
+                        </div>
+                    </div>
+                    <div className={styles.detailItem}>
+                        <div className={styles.detailLabel}>為替要因の損益</div>
+                        <div className={`${styles.detailValue} ${currencyProfit >= 0 ? styles.metricPositive : styles.metricNegative}`}>
+                            {currencyProfit >= 0 ? "+" : ""}¥{Math.round(currencyProfit).toLocaleString()}
+                        </div>
+                    </div>
+                    <div className={styles.detailItem}>
+                        <div className={styles.detailLabel}>現在の為替レート</div>
+                        <div className={styles.detailValue}>
+                            {rates && latestData ? `1ドル = ¥${latestData.rate.toFixed(2)}` : "—"}
+                        </div>
+                    </div>
+                    <div className={styles.detailItem}>
+                        <div className={styles.detailLabel}>課税口座での投資額</div>
+                        <div className={styles.detailValue}>
+                            ¥{latestData ? latestData.taxableInvested.toLocaleString() : 0}
+                        </div>
+                    </div>
+                    <div className={styles.detailItem}>
+                        <div className={styles.detailLabel}>税金（{(TAX_RATE * 100).toFixed(3)}%）</div>
+                        <div className={`${styles.detailValue} ${tax > 0 ? styles.metricNegative : ""}`}>
+                            {tax > 0 ? "-" : ""}¥{Math.round(tax).toLocaleString()}
+                        </div>
+                    </div>
+                    <div className={styles.detailItem}>
+                        <div className={styles.detailLabel}>税引後の評価額</div>
+                        <div className={`${styles.detailValue} ${styles.detailAccent}`}>
+                            ¥{Math.round(finalValue - tax).toLocaleString()}
+                        </div>
+                    </div>
                     <div className={styles.detailItem}>
                         <div className={styles.detailLabel}>平均投資額 / 月</div>
                         <div className={styles.detailValue}>
@@ -298,6 +422,21 @@ const InvestmentSimulation = ({ stockData, expenseData, showTitle = true }) => {
                         </div>
                     </div>
                 </div>
+                {hasNisaInvestment && (
+                    <p className={styles.note}>
+                        🛡️ NISA口座での投資分の利益は非課税として計算しています。
+                    </p>
+                )}
+                {returnMode === "total" && !dividends && (
+                    <p className={styles.note}>
+                        ⚠️ 配当データを取得できなかったため、株価のみで計算しています。
+                    </p>
+                )}
+                {!rates && (
+                    <p className={styles.note}>
+                        ⚠️ 為替データを取得できなかったため、為替の影響を含まない概算です。
+                    </p>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,48 @@
+import React from "react";
+import styles from "./MonthlySummary.module.css";
+
+// 直近何ヶ月分を表示するか
+const VISIBLE_MONTHS = 6;
+
+const MonthlySummary = ({ months }) => {
+    if (!months || months.length === 0) {
+        return <p className={styles.emptyText}>収入を記録すると月別の貯蓄率が表示されます</p>;
+    }
+
+    const recentMonths = months.slice(-VISIBLE_MONTHS).reverse();
+
+    return (
+        <div className={styles.tableWrapper}>
+            <table className={styles.table}>
+                <thead>
+                    <tr>
+                        <th>月</th>
+                        <th>収入</th>
+                        <th>生活費</th>
+                        <th>投資</th>
+                        <th>貯蓄</th>
+                        <th>貯蓄率</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {recentMonths.map((month) => (
+                        <tr key={month.month}>
+                            <td>{month.month}</td>
+                            <td className={styles.income}>¥{month.income.toLocaleString()}</td>
+                            <td>¥{month.spending.toLocaleString()}</td>
+                            <td>¥{month.investment.toLocaleString()}</td>
+                            <td className={month.savings >= 0 ? styles.positive : styles.negative}>
+                                {month.savings >= 0 ? "" : "-"}¥{Math.abs(month.savings).toLocaleString()}
+                            </td>
+                            <td className={month.savingsRate !== null && month.savingsRate < 0 ? styles.negative : styles.positive}>
+                                {month.savingsRate !== null ? `${month.savingsRate}%` : "—"}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default MonthlySummary;
@@ -0,0 +1,239 @@
+import React, { useEffect, useState } from "react";
+import styles from "./PortfolioPanel.module.css";
+import { getSymbolLabel } from "./SymbolSelector";
+
+const formatYen = (value) => `¥${Math.round(value).toLocaleString()}`;
+
+// NISA非課税枠の利用状況（1行ずつ使用額 / 上限と進捗バーを表示）
+const NisaQuotaRow = ({ label, quota }) => {
+    const percent = Math.min(100, (quota.used / quota.limit) * 100);
+    return (
+        <div className={styles.quotaRow}>
+            <div className={styles.quotaHeader}>
+                <span>{label}</span>
+                <span className={quota.used > quota.limit ? styles.negative : ""}>
+                    {formatYen(quota.used)} / {formatYen(quota.limit)}
+                </span>
+            </div>
+            <div className={styles.quotaBar}>
+                <div
+                    className={`${styles.quotaFill} ${quota.used > quota.limit ? styles.quotaOver : ""}`}
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+        </div>
+    );
+};
+
+// 保有銘柄の一覧・目標配分の編集・次回積立の配分提案
+const PortfolioPanel = ({ portfolio, onSaveTargets, onContributionChange }) => {
+    const [targets, setTargets] = useState([]);
+    const [contribution, setContribution] = useState("");
+
+    // サーバーの目標配分が更新されたら編集中の値を揃える（目標が未設定なら保有銘柄を初期候補にする）
+    useEffect(() => {
+        if (!portfolio) return;
+        setTargets(
+            portfolio.targets.length > 0
+                ? portfolio.targets.map((target) => ({ symbol: target.symbol, percent: String(target.percent) }))
+                : portfolio.positions.map((position) => ({ symbol: position.symbol, percent: "" }))
+        );
+        setContribution(String(portfolio.contribution));
+    }, [portfolio]);
+
+    if (!portfolio) {
+        return (
+            <div className={styles.stateCard}>
+                <span className={styles.stateIcon}>📂</span>
+                <p>ポートフォリオを表示するにはログインが必要です。</p>
+            </div>
+        );
+    }
+
+    const targetTotal = targets.reduce((sum, target) => sum + (Number(target.percent) || 0), 0);
+
+    const updateTarget = (index, changes) => {
+        setTargets((prev) => prev.map((target, i) => (i === index ? { ...target, ...changes } : target)));
+    };
+
+    const handleSaveTargets = (e) => {
+        e.preventDefault();
+        onSaveTargets(
+            targets
+                .filter((target) => target.symbol.trim() !== "")
+                .map((target) => ({ symbol: target.symbol.trim().toUpperCase(), percent: Number(target.percent) }))
+        );
+    };
+
+    const handleContributionSubmit = (e) => {
+        e.preventDefault();
+        onContributionChange(contribution);
+    };
+
+    return (
+        <div className={styles.container}>
+            <div className={styles.summaryGrid}>
+                <div className={styles.metricCard}>
+                    <div className={styles.metricLabel}>投資元本</div>
+                    <div className={styles.metricValue}>{formatYen(portfolio.totals.invested)}</div>
+                </div>
+                <div className={styles.metricCard}>
+                    <div className={styles.metricLabel}>評価額</div>
+                    <div className={styles.metricValue}>{formatYen(portfolio.totals.value)}</div>
+                </div>
+                <div className={styles.metricCard}>
+                    <div className={styles.metricLabel}>損益</div>
+                    <div
+                        className={`${styles.metricValue} ${
+                            portfolio.totals.profit >= 0 ? styles.positive : styles.negative
+                        }`}
+                    >
+                        {portfolio.totals.profit >= 0 ? "+" : ""}
+                        {formatYen(portfolio.totals.profit)}
+                    </div>
+                </div>
+            </div>
+
+            {portfolio.positions.length === 0 ? (
+                <p className={styles.empty}>
+                    家計簿で「投資」カテゴリーの記録に銘柄を指定すると、ここに保有状況が表示されます。
+                </p>
+            ) : (
+                <table className={styles.table}>
+                    <thead>
+                        <tr>
+                            <th>銘柄</th>
+                            <th>投資元本</th>
+                            <th>保有口数</th>
+                            <th>評価額</th>
+                            <th>損益</th>
+                            <th>構成比</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {portfolio.positions.map((position) => (
+                            <tr key={position.symbol}>
+                                <td>
+                                    <strong>{position.symbol}</strong>
+                                    <span className={styles.symbolLabel}>{getSymbolLabel(position.symbol)}</span>
+                                </td>
+                                <td>{formatYen(position.invested)}</td>
+                                <td>{position.units !== null ? position.units.toFixed(4) : "—"}</td>
+                                <td>{position.value !== null ? formatYen(position.value) : "価格未取得"}</td>
+                                <td className={position.profit >= 0 ? styles.positive : styles.negative}>
+                                    {position.profit !== null
+                                        ? `${position.profit >= 0 ? "+" : ""}${formatYen(position.profit)}`
+                                        : "—"}
+                                </td>
+                                <td>{position.percent !== null ? `${position.percent}%` : "—"}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {portfolio.missingPrices.length > 0 && (
+                <p className={styles.note}>
+                    ⚠️ {portfolio.missingPrices.join(", ")} は株価データが未取得のため評価額に含まれていません。
+                    基準価額タブで銘柄を表示すると取得されます。
+                </p>
+            )}
+
+            {portfolio.nisa && (
+                <div className={styles.card}>
+                    <h4 className={styles.cardTitle}>🛡️ NISA 非課税投資枠（{portfolio.nisa.year}年）</h4>
+                    <NisaQuotaRow label="つみたて投資枠（年間）" quota={portfolio.nisa.annual.nisa_tsumitate} />
+                    <NisaQuotaRow label="成長投資枠（年間）" quota={portfolio.nisa.annual.nisa_growth} />
+                    <NisaQuotaRow label="生涯投資枠" quota={portfolio.nisa.lifetime} />
+                    <NisaQuotaRow label="うち成長投資枠" quota={portfolio.nisa.growthLifetime} />
+                    <p className={styles.note}>
+                        家計簿の投資記録で口座区分を「NISA」にした金額を集計しています（売却による枠の復活は含みません）。
+                    </p>
+                </div>
+            )}
+
+            <div className={styles.columns}>
+                <form onSubmit={handleSaveTargets} className={styles.card}>
+                    <h4 className={styles.cardTitle}>🎯 目標配分</h4>
+                    {targets.map((target, index) => (
+                        <div key={index} className={styles.targetRow}>
+                            <input
+                                type="text"
+                                placeholder="銘柄"
+                                value={target.symbol}
+                                onChange={(e) => updateTarget(index, { symbol: e.target.value })}
+                                className={styles.input}
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="0.1"
+                                placeholder="%"
+                                value={target.percent}
+                                onChange={(e) => updateTarget(index, { percent: e.target.value })}
+                                className={styles.input}
+                            />
+                            <button
+                                type="button"
+                                className={styles.removeButton}
+                                onClick={() => setTargets((prev) => prev.filter((_, i) => i !== index))}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    ))}
+                    <div className={styles.targetFooter}>
+                        <button
+                            type="button"
+                            className={styles.addButton}
+                            onClick={() => setTargets((prev) => [...prev, { symbol: "", percent: "" }])}
+                        >
+                            ＋ 銘柄を追加
+                        </button>
+                        <span className={Math.abs(targetTotal - 100) < 0.01 ? styles.positive : styles.negative}>
+                            合計 {Number(targetTotal.toFixed(2))}%
+                        </span>
+                    </div>
+                    <button type="submit" className={styles.button}>
+                        💾 保存
+                    </button>
+                </form>
+
+                <div className={styles.card}>
+                    <h4 className={styles.cardTitle}>⚖️ 次回の積立配分</h4>
+                    <form onSubmit={handleContributionSubmit} className={styles.contributionForm}>
+                        <input
+                            type="number"
+                            min="0"
+                            value={contribution}
+                            onChange={(e) => setContribution(e.target.value)}
+                            className={styles.input}
+                        />
+                        <button type="submit" className={styles.button}>
+                            再計算
+                        </button>
+                    </form>
+                    {portfolio.suggestion.length === 0 ? (
+                        <p className={styles.empty}>目標配分を設定すると、積立額の振り分け方を提案します。</p>
+                    ) : (
+                        <ul className={styles.suggestionList}>
+                            {portfolio.suggestion.map((item) => (
+                                <li key={item.symbol} className={styles.suggestionItem}>
+                                    <div>
+                                        <strong>{item.symbol}</strong>
+                                        <span className={styles.symbolLabel}>
+                                            現在 {item.currentPercent}% / 目標 {item.targetPercent}%
+                                        </span>
+                                    </div>
+                                    <span className={styles.suggestionAmount}>{formatYen(item.amount)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PortfolioPanel;
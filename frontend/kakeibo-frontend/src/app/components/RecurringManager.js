@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import styles from "./RecurringManager.module.css";
+
+const WEEKDAY_LABELS = ["日", "月", "火", "水", "木", "金", "土"];
+
+const EMPTY_FORM = {
+    title: "",
+    category: "",
+    amount: "",
+    frequency: "monthly",
+    dayOfMonth: "25",
+    dayOfWeek: "1",
+    startDate: "",
+    endDate: ""
+};
+
+// スケジュールを「毎月25日」「毎週月曜日」のような表示に変換
+const describeSchedule = (rule) => (
+    rule.frequency === "weekly"
+        ? `毎週${WEEKDAY_LABELS[rule.day_of_week]}曜日`
+        : `毎月${rule.day_of_month}日`
+);
+
+const RecurringManager = ({ rules, categories, onAdd, onTogglePause, onDelete }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+
+    const categoryLabel = (key) => {
+        const category = categories.find((item) => item.key === key);
+        return category ? `${category.icon} ${category.label}` : key;
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onAdd({
+            title: form.title,
+            category: form.category,
+            amount: Number(form.amount),
+            frequency: form.frequency,
+            dayOfMonth: form.frequency === "monthly" ? Number(form.dayOfMonth) : undefined,
+            dayOfWeek: form.frequency === "weekly" ? Number(form.dayOfWeek) : undefined,
+            startDate: form.startDate,
+            endDate: form.endDate || null
+        });
+        setForm(EMPTY_FORM);
+    };
+
+    return (
+        <div className={styles.container}>
+            {rules.length === 0 ? (
+                <p className={styles.emptyText}>家賃やサブスク、毎月の積立投資を登録すると自動で記録されます</p>
+            ) : (
+                <div className={styles.ruleList}>
+                    {rules.map((rule) => (
+                        <div key={rule.id} className={`${styles.ruleItem} ${rule.paused ? styles.rulePaused : ""}`}>
+                            <div className={styles.ruleContent}>
+                                <div className={styles.ruleTitle}>
+                                    🔁 {rule.title}
+                                    <span className={styles.ruleCategory}>{categoryLabel(rule.category)}</span>
+                                </div>
+                                <div className={styles.ruleDetails}>
+                                    <span>{rule.entry_type === "income" ? "+" : ""}¥{rule.amount.toLocaleString()}</span>
+                                    <span>{describeSchedule(rule)}</span>
+                                    <span>
+                                        {rule.start_date} 〜 {rule.end_date || "終了日なし"}
+                                    </span>
+                                </div>
+                                <div className={styles.upcoming}>
+                                    {rule.paused
+                                        ? "⏸️ 一時停止中"
+                                        : rule.upcoming.length > 0
+                                            ? `次回: ${rule.upcoming.join(" / ")}`
+                                            : "今後の予定はありません"}
+                                </div>
+                            </div>
+                            <div className={styles.ruleActions}>
+                                <button
+                                    type="button"
+                                    onClick={() => onTogglePause(rule.id, !rule.paused)}
+                                    className={styles.secondaryButton}
+                                >
+                                    {rule.paused ? "▶️ 再開" : "⏸️ 停止"}
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => onDelete(rule.id)}
+                                    className={styles.deleteButton}
+                                >
+                                    🗑️ 削除
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <form onSubmit={handleSubmit} className={styles.form}>
+                <input
+                    type="text"
+                    placeholder="例: 家賃"
+                    value={form.title}
+                    onChange={(e) => setForm({ ...form, title: e.target.value })}
+                    required
+                    className={styles.input}
+                />
+                <select
+                    value={form.category}
+                    onChange={(e) => setForm({ ...form, category: e.target.value })}
+                    required
+                    className={styles.input}
+                >
+                    <option value="">カテゴリ</option>
+                    {categories.map((category) => (
+                        <option key={category.key} value={category.key}>
+                            {category.icon} {category.label}
+                        </option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min="1"
+                    placeholder="金額"
+                    value={form.amount}
+                    onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                    required
+                    className={styles.input}
+                />
+                <select
+                    value={form.frequency}
+                    onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+                    className={styles.input}
+                >
+                    <option value="monthly">毎月</option>
+                    <option value="weekly">毎週</option>
+                </select>
+                {form.frequency === "monthly" ? (
+                    <select
+                        value={form.dayOfMonth}
+                        onChange={(e) => setForm({ ...form, dayOfMonth: e.target.value })}
+                        className={styles.input}
+                    >
+                        {Array.from({ length: 31 }, (_, index) => index + 1).map((day) => (
+                            <option key={day} value={day}>{day === 31 ? "月末" : `${day}日`}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <select
+                        value={form.dayOfWeek}
+                        onChange={(e) => setForm({ ...form, dayOfWeek: e.target.value })}
+                        className={styles.input}
+                    >
+                        {WEEKDAY_LABELS.map((label, index) => (
+                            <option key={label} value={index}>{label}曜日</option>
+                        ))}
+                    </select>
+                )}
+                <label className={styles.dateField}>
+                    開始日
+                    <input
+                        type="date"
+                        value={form.startDate}
+                        onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                        required
+                        className={styles.input}
+                    />
+                </label>
+                <label className={styles.dateField}>
+                    終了日（任意）
+                    <input
+                        type="date"
+                        value={form.endDate}
+                        onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                        className={styles.input}
+                    />
+                </label>
+                <button type="submit" className={styles.submitButton}>
+                    ➕ 登録
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default RecurringManager;
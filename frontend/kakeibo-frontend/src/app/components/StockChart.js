@@ -12,6 +12,7 @@ import {
 } from "chart.js";
 import { Line } from "react-chartjs-2";
 import styles from "./StockChart.module.css";
+import { getSymbolLabel } from "./SymbolSelector";
 
 ChartJS.register(
     CategoryScale,
@@ -48,6 +49,7 @@ const StockChart = ({ stockData, showSummary = true }) => {
     const timeSeries =
         stockData["Monthly Time Series"] || stockData["Time Series (Daily)"];
     const isMonthlyData = !!stockData["Monthly Time Series"];
+    const symbolLabel = getSymbolLabel(stockData["Meta Data"]?.["2. Symbol"] || "SPY");
     
     console.log("📈 Data processing:", {
         hasTimeSeries: !!timeSeries,
@@ -127,7 +129,7 @@ const StockChart = ({ stockData, showSummary = true }) => {
         plugins: {
             title: {
                 display: true,
-                text: `S&P500 株価推移（過去${isMonthlyData ? "24ヶ月" : "30日"}）`,
+                text: `${symbolLabel} 株価推移（過去${isMonthlyData ? "24ヶ月" : "30日"}）`,
                 font: {
                     size: 17,
                     weight: "bold"
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import styles from "./SymbolSelector.module.css";
+
+// よく使う銘柄（日本株はAlpha Vantageで扱える米国上場ETFで代用）
+export const SYMBOL_PRESETS = [
+    { symbol: "SPY", label: "S&P500" },
+    { symbol: "VTI", label: "米国株式全体" },
+    { symbol: "QQQ", label: "NASDAQ100" },
+    { symbol: "VT", label: "全世界株式" },
+    { symbol: "EWJ", label: "日本株式（MSCI Japan）" }
+];
+
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,14}$/;
+
+export const getSymbolLabel = (symbol) => {
+    const preset = SYMBOL_PRESETS.find((item) => item.symbol === symbol);
+    return preset ? preset.label : symbol;
+};
+
+// プリセットから選ぶか、ティッカーを直接入力して銘柄を切り替える
+const SymbolSelector = ({ symbol, onChange }) => {
+    const [customSymbol, setCustomSymbol] = useState("");
+    const [inputError, setInputError] = useState(null);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const normalized = customSymbol.trim().toUpperCase();
+        if (!SYMBOL_PATTERN.test(normalized)) {
+            setInputError("英数字・ピリオド・ハイフンで入力してください");
+            return;
+        }
+        setInputError(null);
+        setCustomSymbol("");
+        onChange(normalized);
+    };
+
+    return (
+        <div className={styles.selector}>
+            <div className={styles.presets}>
+                {SYMBOL_PRESETS.map((preset) => (
+                    <button
+                        key={preset.symbol}
+                        type="button"
+                        className={`${styles.presetButton} ${symbol === preset.symbol ? styles.activePreset : ""}`}
+                        onClick={() => onChange(preset.symbol)}
+                    >
+                        <span className={styles.presetSymbol}>{preset.symbol}</span>
+                        <span className={styles.presetLabel}>{preset.label}</span>
+                    </button>
+                ))}
+            </div>
+            <form onSubmit={handleSubmit} className={styles.customForm}>
+                <input
+                    type="text"
+                    placeholder="ティッカーを入力（例: VOO）"
+                    value={customSymbol}
+                    onChange={(e) => setCustomSymbol(e.target.value)}
+                    className={styles.input}
+                />
+                <button type="submit" className={styles.button}>
+                    表示
+                </button>
+            </form>
+            {inputError && <p className={styles.error}>{inputError}</p>}
+        </div>
+    );
+};
+
+export default SymbolSelector;
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import {
     Chart as ChartJS,
     CategoryScale,
@@ -13,6 +13,10 @@ import {
 } from "chart.js";
 import { Line } from "react-chartjs-2";
 import styles from "./VirtualInvestmentSimulator.module.css";
+import { buildMonthlyRates, getRateForMonth, splitReturn } from "../lib/currency";
+import { buildDividendMap, reinvestDividends } from "../lib/dividends";
+import { estimateReturnStats, runMonteCarlo } from "../lib/projection";
+import { TAX_RATE, calculateTax } from "../lib/nisa";
 
 ChartJS.register(
     CategoryScale,
@@ -26,18 +30,69 @@ ChartJS.register(
     Filler
 );
 
-const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
+// 過去データから推計できない場合の将来予測の既定値（年率%）
+const DEFAULT_RETURN = 5;
+const DEFAULT_VOLATILITY = 15;
+const PROJECTION_TRIALS = 1000;
+
+const formatDuration = (months) => {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    if (years === 0) return `${rest}か月`;
+    return rest > 0 ? `${years}年${rest}か月` : `${years}年`;
+};
+
+const VirtualInvestmentSimulator = ({ stockData, fxData, adjustedData, showTitle = true }) => {
     const [investmentAmount, setInvestmentAmount] = useState(1000000);
     const [yearsAgo, setYearsAgo] = useState(5);
     const [investmentType, setInvestmentType] = useState("lump");
+    const [returnMode, setReturnMode] = useState("price"); // price（株価のみ） | total（配当再投資）
     const [simulationResult, setSimulationResult] = useState(null);
+    const [simulationMode, setSimulationMode] = useState("backtest"); // backtest（過去の検証） | projection（将来予測）
+    const [monthlyContribution, setMonthlyContribution] = useState(30000);
+    const [horizonYears, setHorizonYears] = useState(20);
+    const [targetAmount, setTargetAmount] = useState(10000000);
+    const [expectedReturn, setExpectedReturn] = useState(""); // 空欄なら過去データからの推計値を使う
+    const [volatility, setVolatility] = useState("");
+    const [accountType, setAccountType] = useState("nisa"); // nisa（非課税） | taxable（利益に課税）
 
     useEffect(() => {
         if (stockData && stockData["Monthly Time Series"]) {
             calculateSimulation();
         }
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [investmentAmount, yearsAgo, investmentType, stockData]);
+    }, [investmentAmount, yearsAgo, investmentType, returnMode, stockData, fxData, adjustedData]);
+
+    // 将来予測の期待リターン・ボラティリティの初期値は、表示中の銘柄の過去データ（円換算）から推計する
+    const historicalStats = useMemo(
+        () => estimateReturnStats(stockData, buildMonthlyRates(fxData)),
+        [stockData, fxData]
+    );
+    const estimatedReturn = historicalStats?.annualReturn ?? DEFAULT_RETURN;
+    const estimatedVolatility = historicalStats?.annualVolatility ?? DEFAULT_VOLATILITY;
+    // 入力途中の値（「-」など）は数値にならないため、数値として読めるまで予測しない
+    const projectionReturn = expectedReturn !== "" ? Number(expectedReturn) : estimatedReturn;
+    const projectionVolatility = volatility !== "" ? Number(volatility) : estimatedVolatility;
+
+    const projection = useMemo(() => {
+        if (
+            simulationMode !== "projection" ||
+            !Number.isFinite(projectionReturn) ||
+            !Number.isFinite(projectionVolatility) ||
+            projectionReturn <= -100 ||
+            projectionVolatility < 0
+        ) {
+            return null;
+        }
+        return runMonteCarlo({
+            monthlyContribution,
+            years: horizonYears,
+            annualReturn: projectionReturn,
+            annualVolatility: projectionVolatility,
+            targetAmount,
+            trials: PROJECTION_TRIALS
+        });
+    }, [simulationMode, monthlyContribution, horizonYears, targetAmount, projectionReturn, projectionVolatility]);
 
     const calculateSimulation = () => {
         if (!stockData || !stockData["Monthly Time Series"]) return;
@@ -66,57 +121,81 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
 
         if (!startPoint || !currentPoint) return;
 
-        let result;
+        // 円で投資した金額は各月の為替レートでドルに換算し、現在の評価額は現在のレートで円に戻す
+        const rates = buildMonthlyRates(fxData);
+        const rateAt = (item) => getRateForMonth(rates, item.date.substring(0, 7));
+        const startRate = rateAt(startPoint);
+        const currentRate = rateAt(currentPoint);
+        const dividends = buildDividendMap(adjustedData);
 
-        if (investmentType === "lump") {
-            const shares = investmentAmount / startPoint.price;
-            const currentValue = shares * currentPoint.price;
-            const profit = currentValue - investmentAmount;
-            const profitPercent =
-                investmentAmount > 0 ? (profit / investmentAmount) * 100 : 0;
-            const annualReturn =
-                investmentAmount > 0
-                    ? Math.pow(currentValue / investmentAmount, 1 / yearsAgo) - 1
-                    : 0;
+        const relevantData = sortedData.filter(
+            (item) => new Date(item.date) >= new Date(startPoint.date)
+        );
+
+        // reinvest=true の場合は、保有中に支払われた配当をその月の終値で買い増す
+        const runSimulation = (reinvest) => {
+            if (investmentType === "lump") {
+                const costUsd = investmentAmount / startRate;
+                let shares = costUsd / startPoint.price;
+                const growth = relevantData.map((item, index) => {
+                    if (reinvest && index > 0) {
+                        shares = reinvestDividends(shares, item.date, dividends);
+                    }
+                    return { date: item.date, value: shares * item.price * rateAt(item) };
+                });
+
+                const valueUsd = shares * currentPoint.price;
+                const currentValue = valueUsd * currentRate;
+                const profit = currentValue - investmentAmount;
+                const profitPercent =
+                    investmentAmount > 0 ? (profit / investmentAmount) * 100 : 0;
+                const annualReturn =
+                    investmentAmount > 0
+                        ? Math.pow(currentValue / investmentAmount, 1 / yearsAgo) - 1
+                        : 0;
+
+                return {
+                    type: "lump",
+                    startDate: startPoint.date,
+                    startPrice: startPoint.price,
+                    currentPrice: currentPoint.price,
+                    shares,
+                    investedAmount: investmentAmount,
+                    currentValue,
+                    profit,
+                    profitPercent,
+                    annualReturn: annualReturn * 100,
+                    startRate,
+                    currentRate,
+                    hasFxData: !!rates,
+                    ...splitReturn({ investedJpy: investmentAmount, costUsd, valueUsd, currentRate }),
+                    growth,
+                    chartData: generateLumpSumChart(growth, investmentAmount)
+                };
+            }
 
-            result = {
-                type: "lump",
-                startDate: startPoint.date,
-                startPrice: startPoint.price,
-                currentPrice: currentPoint.price,
-                shares,
-                investedAmount: investmentAmount,
-                currentValue,
-                profit,
-                profitPercent,
-                annualReturn: annualReturn * 100,
-                chartData: generateLumpSumChart(
-                    sortedData,
-                    startPoint,
-                    investmentAmount
-                )
-            };
-        } else {
             const monthlyAmount = investmentAmount / (yearsAgo * 12);
             let totalShares = 0;
             let totalInvested = 0;
+            let totalCostUsd = 0;
             const investmentHistory = [];
 
-            const relevantData = sortedData.filter(
-                (item) => new Date(item.date) >= new Date(startPoint.date)
-            );
-
             for (
                 let i = 0;
                 i < relevantData.length && i < yearsAgo * 12;
                 i += 1
             ) {
                 const monthData = relevantData[i];
-                const shares = monthlyAmount / monthData.price;
+                if (reinvest) {
+                    totalShares = reinvestDividends(totalShares, monthData.date, dividends);
+                }
+                const usdAmount = monthlyAmount / rateAt(monthData);
+                const shares = usdAmount / monthData.price;
                 totalShares += shares;
                 totalInvested += monthlyAmount;
+                totalCostUsd += usdAmount;
 
-                const currentValue = totalShares * currentPoint.price;
+                const currentValue = totalShares * currentPoint.price * currentRate;
 
                 investmentHistory.push({
                     date: monthData.date,
@@ -124,11 +203,13 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
                     totalInvested,
                     shares: totalShares,
                     currentValue,
+                    marketValue: totalShares * monthData.price * rateAt(monthData),
                     profit: currentValue - totalInvested
                 });
             }
 
-            const finalCurrentValue = totalShares * currentPoint.price;
+            const finalValueUsd = totalShares * currentPoint.price;
+            const finalCurrentValue = finalValueUsd * currentRate;
             const finalProfit = finalCurrentValue - totalInvested;
             const finalProfitPercent =
                 totalInvested > 0 ? (finalProfit / totalInvested) * 100 : 0;
@@ -137,7 +218,7 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
                     ? Math.pow(finalCurrentValue / totalInvested, 1 / yearsAgo) - 1
                     : 0;
 
-            result = {
+            return {
                 type: "monthly",
                 startDate: startPoint.date,
                 monthlyAmount,
@@ -148,34 +229,44 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
                 profit: finalProfit,
                 profitPercent: finalProfitPercent,
                 annualReturn: annualReturn * 100,
+                startRate,
+                currentRate,
+                hasFxData: !!rates,
+                ...splitReturn({
+                    investedJpy: totalInvested,
+                    costUsd: totalCostUsd,
+                    valueUsd: finalValueUsd,
+                    currentRate
+                }),
                 investmentHistory,
+                growth: investmentHistory.map((item) => ({ date: item.date, value: item.marketValue })),
                 chartData: generateMonthlyChart(investmentHistory)
             };
-        }
+        };
 
-        setSimulationResult(result);
+        // 株価のみと配当再投資の両方を計算し、比較グラフを作る（配当データがなければ株価のみ）
+        const priceOnly = runSimulation(false);
+        const totalReturn = dividends ? runSimulation(true) : null;
+        const selected = returnMode === "total" && totalReturn ? totalReturn : priceOnly;
+
+        setSimulationResult({
+            ...selected,
+            hasDividendData: !!dividends,
+            dividendGain: totalReturn ? totalReturn.currentValue - priceOnly.currentValue : 0,
+            comparisonChart: totalReturn
+                ? generateComparisonChart(priceOnly.growth, totalReturn.growth)
+                : null
+        });
     };
 
-    const generateLumpSumChart = (sortedData, startPoint, amount) => {
-        const startIndex = sortedData.findIndex(
-            (item) => item.date === startPoint.date
-        );
-        const relevantData = sortedData.slice(startIndex);
-        const shares = amount / startPoint.price;
-
-        const labels = relevantData
-            .filter((_, index) => index % 3 === 0)
-            .map((item) => {
-                const date = new Date(item.date);
-                return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(
-                    2,
-                    "0"
-                )}`;
-            });
+    const formatMonthLabel = (value) => {
+        const date = new Date(value);
+        return `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, "0")}`;
+    };
 
-        const valueData = relevantData
-            .filter((_, index) => index % 3 === 0)
-            .map((item) => shares * item.price);
+    const generateLumpSumChart = (growth, amount) => {
+        const sampled = growth.filter((_, index) => index % 3 === 0);
+        const labels = sampled.map((item) => formatMonthLabel(item.date));
 
         return {
             labels,
@@ -192,7 +283,7 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
                 },
                 {
                     label: "評価額",
-                    data: valueData,
+                    data: sampled.map((item) => item.value),
                     borderColor: "#4ECDC4",
                     backgroundColor: "rgba(78, 205, 196, 0.18)",
                     borderWidth: 3,
@@ -203,6 +294,99 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
         };
     };
 
+    // 株価のみ・配当再投資それぞれの評価額の推移（その時点の株価と為替で評価）
+    const generateComparisonChart = (priceGrowth, totalGrowth) => {
+        const step = investmentType === "lump" ? 3 : 6;
+        const sample = (growth) => growth.filter((_, index) => index % step === 0);
+
+        return {
+            labels: sample(priceGrowth).map((item) => formatMonthLabel(item.date)),
+            datasets: [
+                {
+                    label: "株価のみ",
+                    data: sample(priceGrowth).map((item) => item.value),
+                    borderColor: "#A29BFE",
+                    backgroundColor: "rgba(162, 155, 254, 0.1)",
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.35
+                },
+                {
+                    label: "配当再投資（トータルリターン）",
+                    data: sample(totalGrowth).map((item) => item.value),
+                    borderColor: "#00B894",
+                    backgroundColor: "rgba(0, 184, 148, 0.12)",
+                    borderWidth: 3,
+                    fill: false,
+                    tension: 0.35
+                }
+            ]
+        };
+    };
+
+    // 中央値と上位・下位10%の帯、累計積立額、目標額を重ねる
+    const generateProjectionChart = (months) => {
+        const step = horizonYears <= 5 ? 3 : 12;
+        const sampled = months.filter((item) => item.month % step === 0 || item.month === months.length);
+        const labels = sampled.map((item) => formatDuration(item.month));
+
+        const datasets = [
+            {
+                label: "累計積立額",
+                data: sampled.map((item) => item.invested),
+                borderColor: "#FF6B6B",
+                backgroundColor: "rgba(255, 107, 107, 0.08)",
+                borderWidth: 2,
+                borderDash: [6, 6],
+                fill: false,
+                tension: 0.3
+            },
+            {
+                label: "下位10%",
+                data: sampled.map((item) => Math.round(item.p10)),
+                borderColor: "rgba(78, 205, 196, 0.6)",
+                backgroundColor: "rgba(78, 205, 196, 0.18)",
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.35
+            },
+            {
+                label: "中央値",
+                data: sampled.map((item) => Math.round(item.p50)),
+                borderColor: "#4ECDC4",
+                backgroundColor: "rgba(78, 205, 196, 0.18)",
+                borderWidth: 3,
+                fill: false,
+                tension: 0.35
+            },
+            {
+                label: "上位10%",
+                data: sampled.map((item) => Math.round(item.p90)),
+                borderColor: "rgba(78, 205, 196, 0.6)",
+                backgroundColor: "rgba(78, 205, 196, 0.18)",
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: 1, // 下位10%との間を塗りつぶして予測レンジを表す
+                tension: 0.35
+            }
+        ];
+
+        if (targetAmount > 0) {
+            datasets.push({
+                label: "目標額",
+                data: new Array(labels.length).fill(targetAmount),
+                borderColor: "#F39C12",
+                borderWidth: 2,
+                borderDash: [2, 4],
+                pointRadius: 0,
+                fill: false
+            });
+        }
+
+        return { labels, datasets };
+    };
+
     const generateMonthlyChart = (history) => {
         const labels = history
             .filter((_, index) => index % 6 === 0)
@@ -291,6 +475,35 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
         }
     };
 
+    const comparisonOptions = {
+        ...chartOptions,
+        plugins: {
+            ...chartOptions.plugins,
+            title: {
+                ...chartOptions.plugins.title,
+                text: "株価のみ vs 配当再投資（評価額の推移）"
+            }
+        }
+    };
+
+    const projectionOptions = {
+        ...chartOptions,
+        plugins: {
+            ...chartOptions.plugins,
+            title: {
+                ...chartOptions.plugins.title,
+                text: `将来予測（モンテカルロ法・${PROJECTION_TRIALS.toLocaleString()}回試行）`
+            }
+        },
+        scales: {
+            ...chartOptions.scales,
+            x: { ...chartOptions.scales.x, title: { display: true, text: "経過期間" } }
+        }
+    };
+
+    // 課税口座を選んだ場合のみ、利益に税金がかかる
+    const taxFor = (gain) => (accountType === "taxable" ? calculateTax(gain) : 0);
+
     if (!stockData || !stockData["Monthly Time Series"]) {
         return (
             <div className={styles.stateCard}>
@@ -312,69 +525,227 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
                     <button
                         type="button"
                         className={`${styles.toggleButton} ${
-                            investmentType === "lump" ? styles.activeToggle : ""
+                            simulationMode === "backtest" ? styles.activeToggle : ""
                         }`}
-                        onClick={() => setInvestmentType("lump")}
+                        onClick={() => setSimulationMode("backtest")}
                     >
-                        💰 一括投資
+                        ⏪ 過去の検証
                     </button>
                     <button
                         type="button"
                         className={`${styles.toggleButton} ${
-                            investmentType === "monthly" ? styles.activeToggle : ""
+                            simulationMode === "projection" ? styles.activeToggle : ""
                         }`}
-                        onClick={() => setInvestmentType("monthly")}
+                        onClick={() => setSimulationMode("projection")}
                     >
-                        📈 積立投資
+                        🔮 将来予測
                     </button>
                 </div>
 
-                <div className={styles.sliderGroup}>
-                    <label className={styles.sliderLabel}>
-                        {investmentType === "lump" ? "投資金額" : "総投資予算"}:
-                        ¥{investmentAmount.toLocaleString()}
-                        {investmentType === "monthly" && (
-                            <span className={styles.sliderAnnotation}>
-                                (月額: ¥{monthlyBudget.toLocaleString()})
-                            </span>
-                        )}
-                    </label>
-                    <input
-                        type="range"
-                        min="100000"
-                        max="10000000"
-                        step="100000"
-                        value={investmentAmount}
-                        onChange={(e) => setInvestmentAmount(parseInt(e.target.value, 10))}
-                        className={styles.range}
-                    />
-                    <div className={styles.sliderScale}>
-                        <span>¥10万</span>
-                        <span>¥1,000万</span>
-                    </div>
+                <div className={styles.toggleGroup}>
+                    <button
+                        type="button"
+                        className={`${styles.toggleButton} ${
+                            accountType === "nisa" ? styles.activeToggle : ""
+                        }`}
+                        onClick={() => setAccountType("nisa")}
+                    >
+                        🛡️ NISA口座
+                    </button>
+                    <button
+                        type="button"
+                        className={`${styles.toggleButton} ${
+                            accountType === "taxable" ? styles.activeToggle : ""
+                        }`}
+                        onClick={() => setAccountType("taxable")}
+                    >
+                        🏦 課税口座
+                    </button>
                 </div>
 
-                <div className={styles.sliderGroup}>
-                    <label className={styles.sliderLabel}>
-                        投資期間: {yearsAgo}年前から現在まで
-                    </label>
-                    <input
-                        type="range"
-                        min="1"
-                        max="20"
-                        step="1"
-                        value={yearsAgo}
-                        onChange={(e) => setYearsAgo(parseInt(e.target.value, 10))}
-                        className={styles.range}
-                    />
-                    <div className={styles.sliderScale}>
-                        <span>1年前</span>
-                        <span>20年前</span>
+                {simulationMode === "backtest" ? (
+                    <>
+                    <div className={styles.toggleGroup}>
+                        <button
+                            type="button"
+                            className={`${styles.toggleButton} ${
+                                investmentType === "lump" ? styles.activeToggle : ""
+                            }`}
+                            onClick={() => setInvestmentType("lump")}
+                        >
+                            💰 一括投資
+                        </button>
+                        <button
+                            type="button"
+                            className={`${styles.toggleButton} ${
+                                investmentType === "monthly" ? styles.activeToggle : ""
+                            }`}
+                            onClick={() => setInvestmentType("monthly")}
+                        >
+                            📈 積立投資
+                        </button>
                     </div>
-                </div>
+
+                    <div className={styles.toggleGroup}>
+                        <button
+                            type="button"
+                            className={`${styles.toggleButton} ${
+                                returnMode === "price" ? styles.activeToggle : ""
+                            }`}
+                            onClick={() => setReturnMode("price")}
+                        >
+                            📉 株価のみ
+                        </button>
+                        <button
+                            type="button"
+                            className={`${styles.toggleButton} ${
+                                returnMode === "total" ? styles.activeToggle : ""
+                            }`}
+                            onClick={() => setReturnMode("total")}
+                        >
+                            💵 配当再投資
+                        </button>
+                    </div>
+
+                    <div className={styles.sliderGroup}>
+                        <label className={styles.sliderLabel}>
+                            {investmentType === "lump" ? "投資金額" : "総投資予算"}:
+                            ¥{investmentAmount.toLocaleString()}
+                            {investmentType === "monthly" && (
+                                <span className={styles.sliderAnnotation}>
+                                    (月額: ¥{monthlyBudget.toLocaleString()})
+                                </span>
+                            )}
+                        </label>
+                        <input
+                            type="range"
+                            min="100000"
+                            max="10000000"
+                            step="100000"
+                            value={investmentAmount}
+                            onChange={(e) => setInvestmentAmount(parseInt(e.target.value, 10))}
+                            className={styles.range}
+                        />
+                        <div className={styles.sliderScale}>
+                            <span>¥10万</span>
+                            <span>¥1,000万</span>
+                        </div>
+                    </div>
+
+                    <div className={styles.sliderGroup}>
+                        <label className={styles.sliderLabel}>
+                            投資期間: {yearsAgo}年前から現在まで
+                        </label>
+                        <input
+                            type="range"
+                            min="1"
+                            max="20"
+                            step="1"
+                            value={yearsAgo}
+                            onChange={(e) => setYearsAgo(parseInt(e.target.value, 10))}
+                            className={styles.range}
+                        />
+                        <div className={styles.sliderScale}>
+                            <span>1年前</span>
+                            <span>20年前</span>
+                        </div>
+                    </div>
+                    </>
+                ) : (
+                    <>
+                        <div className={styles.sliderGroup}>
+                            <label className={styles.sliderLabel}>
+                                毎月の積立額: ¥{monthlyContribution.toLocaleString()}
+                            </label>
+                            <input
+                                type="range"
+                                min="5000"
+                                max="300000"
+                                step="5000"
+                                value={monthlyContribution}
+                                onChange={(e) => setMonthlyContribution(parseInt(e.target.value, 10))}
+                                className={styles.range}
+                            />
+                            <div className={styles.sliderScale}>
+                                <span>¥5,000</span>
+                                <span>¥30万</span>
+                            </div>
+                        </div>
+
+                        <div className={styles.sliderGroup}>
+                            <label className={styles.sliderLabel}>予測期間: 今後{horizonYears}年</label>
+                            <input
+                                type="range"
+                                min="1"
+                                max="40"
+                                step="1"
+                                value={horizonYears}
+                                onChange={(e) => setHorizonYears(parseInt(e.target.value, 10))}
+                                className={styles.range}
+                            />
+                            <div className={styles.sliderScale}>
+                                <span>1年</span>
+                                <span>40年</span>
+                            </div>
+                        </div>
+
+                        <div className={styles.sliderGroup}>
+                            <label className={styles.sliderLabel}>
+                                目標額: ¥{targetAmount.toLocaleString()}
+                            </label>
+                            <input
+                                type="range"
+                                min="1000000"
+                                max="100000000"
+                                step="1000000"
+                                value={targetAmount}
+                                onChange={(e) => setTargetAmount(parseInt(e.target.value, 10))}
+                                className={styles.range}
+                            />
+                            <div className={styles.sliderScale}>
+                                <span>¥100万</span>
+                                <span>¥1億</span>
+                            </div>
+                        </div>
+
+                        <div className={styles.paramGrid}>
+                            <label className={styles.paramField}>
+                                <span className={styles.sliderLabel}>期待リターン（年率%）</span>
+                                <input
+                                    type="number"
+                                    min="-50"
+                                    max="50"
+                                    step="0.1"
+                                    placeholder={estimatedReturn.toFixed(1)}
+                                    value={expectedReturn}
+                                    onChange={(e) => setExpectedReturn(e.target.value)}
+                                    className={styles.input}
+                                />
+                            </label>
+                            <label className={styles.paramField}>
+                                <span className={styles.sliderLabel}>ボラティリティ（年率%）</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    step="0.1"
+                                    placeholder={estimatedVolatility.toFixed(1)}
+                                    value={volatility}
+                                    onChange={(e) => setVolatility(e.target.value)}
+                                    className={styles.input}
+                                />
+                            </label>
+                        </div>
+                        <p className={styles.paramHint}>
+                            {historicalStats
+                                ? `空欄の場合は過去データ（${historicalStats.startDate.substring(0, 7)}〜${historicalStats.endDate.substring(0, 7)}）からの推計値を使います: リターン ${historicalStats.annualReturn.toFixed(1)}% / ボラティリティ ${historicalStats.annualVolatility.toFixed(1)}%`
+                                : `過去データから推計できないため、空欄の場合はリターン ${DEFAULT_RETURN}% / ボラティリティ ${DEFAULT_VOLATILITY}% を使います`}
+                        </p>
+                    </>
+                )}
             </div>
 
-            {simulationResult && (
+            {simulationMode === "backtest" && simulationResult && (
                 <>
                     <div className={styles.metricsGrid}>
                         <div className={styles.metricCard}>
@@ -417,9 +788,150 @@ const VirtualInvestmentSimulator = ({ stockData, showTitle = true }) => {
                         </div>
                     </div>
 
+                    <div className={styles.metricsGrid}>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>株価要因</div>
+                            <div
+                                className={`${styles.metricValue} ${
+                                    simulationResult.stockProfit >= 0
+                                        ? styles.metricPositive
+                                        : styles.metricNegative
+                                }`}
+                            >
+                                {simulationResult.stockProfit >= 0 ? "+" : ""}
+                                ¥{Math.round(simulationResult.stockProfit).toLocaleString()}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>為替要因</div>
+                            <div
+                                className={`${styles.metricValue} ${
+                                    simulationResult.currencyProfit >= 0
+                                        ? styles.metricPositive
+                                        : styles.metricNegative
+                                }`}
+                            >
+                                {simulationResult.currencyProfit >= 0 ? "+" : ""}
+                                ¥{Math.round(simulationResult.currencyProfit).toLocaleString()}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>
+                                {accountType === "taxable" ? "税引後の損益" : "損益（NISA・非課税）"}
+                            </div>
+                            <div
+                                className={`${styles.metricValue} ${
+                                    simulationResult.profit >= 0
+                                        ? styles.metricPositive
+                                        : styles.metricNegative
+                                }`}
+                            >
+                                {simulationResult.profit >= 0 ? "+" : ""}
+                                ¥{Math.round(simulationResult.profit - taxFor(simulationResult.profit)).toLocaleString()}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>為替レート（開始時 → 現在）</div>
+                            <div className={styles.metricValue}>
+                                {simulationResult.hasFxData
+                                    ? `¥${simulationResult.startRate.toFixed(1)} → ¥${simulationResult.currentRate.toFixed(1)}`
+                                    : "—"}
+                            </div>
+                        </div>
+                    </div>
+                    {!simulationResult.hasFxData && (
+                        <p className={styles.note}>
+                            ⚠️ 為替データを取得できなかったため、為替の影響を含まない概算です。
+                        </p>
+                    )}
+
                     <div className={styles.chartCard}>
                         <Line data={simulationResult.chartData} options={chartOptions} />
                     </div>
+
+                    {simulationResult.comparisonChart ? (
+                        <>
+                            <p className={styles.note}>
+                                💵 配当を再投資した場合、株価のみの場合より
+                                ¥{Math.round(simulationResult.dividendGain).toLocaleString()} 多くなります。
+                            </p>
+                            <div className={styles.chartCard}>
+                                <Line data={simulationResult.comparisonChart} options={comparisonOptions} />
+                            </div>
+                        </>
+                    ) : (
+                        returnMode === "total" && (
+                            <p className={styles.note}>
+                                ⚠️ 配当データを取得できなかったため、株価のみで計算しています。
+                            </p>
+                        )
+                    )}
+                </>
+            )}
+
+            {simulationMode === "projection" && projection && (
+                <>
+                    <div className={styles.metricsGrid}>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>累計積立額</div>
+                            <div className={styles.metricValue}>
+                                ¥{projection.final.invested.toLocaleString()}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>{horizonYears}年後の評価額（中央値）</div>
+                            <div className={`${styles.metricValue} ${styles.metricPositive}`}>
+                                ¥{Math.round(projection.final.p50).toLocaleString()}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>
+                                {accountType === "taxable" ? "税引後の評価額（中央値）" : "非課税の評価額（中央値）"}
+                            </div>
+                            <div className={styles.metricValue}>
+                                ¥
+                                {Math.round(
+                                    projection.final.p50 - taxFor(projection.final.p50 - projection.final.invested)
+                                ).toLocaleString()}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>下位10% 〜 上位10%</div>
+                            <div className={styles.metricValue}>
+                                ¥{Math.round(projection.final.p10 / 10000).toLocaleString()}万 〜 ¥
+                                {Math.round(projection.final.p90 / 10000).toLocaleString()}万
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className={styles.metricsGrid}>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>目標額到達までの期間（中央値）</div>
+                            <div className={styles.metricValue}>
+                                {projection.medianMonthsToTarget !== null
+                                    ? `約${formatDuration(projection.medianMonthsToTarget)}`
+                                    : `${horizonYears}年以内は困難`}
+                            </div>
+                        </div>
+                        <div className={styles.metricCard}>
+                            <div className={styles.metricLabel}>{horizonYears}年以内に目標額に届く確率</div>
+                            <div
+                                className={`${styles.metricValue} ${
+                                    projection.targetReachRate >= 0.5 ? styles.metricPositive : styles.metricNegative
+                                }`}
+                            >
+                                {(projection.targetReachRate * 100).toFixed(0)}%
+                            </div>
+                        </div>
+                    </div>
+                    <p className={styles.note}>
+                        ⚠️ 毎月の値動きを対数正規分布と仮定した試算です。将来の運用成果を保証するものではありません。
+                        {accountType === "taxable" && `税引後の金額は利益に${(TAX_RATE * 100).toFixed(3)}%の税金がかかるものとして計算しています。`}
+                    </p>
+
+                    <div className={styles.chartCard}>
+                        <Line data={generateProjectionChart(projection.months)} options={projectionOptions} />
+                    </div>
                 </>
             )}
         </div>
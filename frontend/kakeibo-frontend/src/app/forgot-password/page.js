@@ -0,0 +1,71 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+// ログイン画面と同じフォームの見た目を使う
+import styles from "../login/page.module.css";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
+
+export default function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [status, setStatus] = useState({ type: "idle", message: "" });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setStatus({ type: "loading", message: "送信中..." });
+
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/password-reset/request`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || "送信に失敗しました。");
+      }
+
+      setStatus({ type: "success", message: result.message });
+      setEmail("");
+    } catch (error) {
+      setStatus({ type: "error", message: error.message });
+    }
+  };
+
+  return (
+    <div className={styles.page}>
+      <form className={styles.form} onSubmit={handleSubmit}>
+        <h1 className={styles.heading}>パスワードの再設定</h1>
+        <p className={styles.description}>
+          登録したメールアドレスに、新しいパスワードを設定するためのリンクを送ります。
+        </p>
+
+        <label className={styles.label}>
+          メールアドレス
+          <input
+            className={styles.input}
+            type="email"
+            name="email"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            required
+          />
+        </label>
+
+        <button className={styles.button} type="submit" disabled={status.type === "loading"}>
+          {status.type === "loading" ? "送信中..." : "再設定のメールを送る"}
+        </button>
+
+        {status.type === "error" && <p className={styles.error}>{status.message}</p>}
+        {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+
+        <Link href="/login" className={styles.link}>ログインに戻る</Link>
+      </form>
+    </div>
+  );
+}
@@ -2,33 +2,40 @@ import { useState, useEffect } from 'react';
 
 const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
 
-// トークン管理
-const getToken = () => {
-    if (typeof window !== 'undefined') {
-        const token = localStorage.getItem('authToken');
-        console.log('🔍 getToken() called, result:', !!token);
-        return token;
+// 認証トークンはバックエンドが httpOnly Cookie で管理する（JavaScript からは読めない）
+// アクセストークンは短命のため、401 が返ったらリフレッシュトークンで更新して再送する
+let refreshPromise = null;
+
+// アクセストークンを更新する。同時に複数のリクエストが 401 になっても更新は1回だけ送る
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_BASE}/api/auth/refresh`, {
+            method: 'POST',
+            credentials: 'include'
+        })
+            // 409: 別のタブが同時に更新済み（新しい Cookie は設定されている）
+            .then((response) => response.ok || response.status === 409)
+            .catch(() => false)
+            .finally(() => {
+                refreshPromise = null;
+            });
     }
-    console.log('🔍 getToken() called on server side, returning null');
-    return null;
+    return refreshPromise;
 };
 
-const setToken = (token) => {
-    if (typeof window !== 'undefined') {
-        console.log('🔐 setToken() called with token:', token ? token.substring(0, 20) + '...' : 'null');
-        localStorage.setItem('authToken', token);
-        
-        // 保存確認
-        const saved = localStorage.getItem('authToken');
-        console.log('🔐 Token save verification:', !!saved, saved === token ? 'MATCH' : 'MISMATCH');
-    } else {
-        console.log('🔐 setToken() called on server side, ignoring');
+// 認証が必要な API 用の fetch（Cookie を送り、401 ならトークンを更新して1回だけ再送）
+export const authFetch = async (url, options = {}) => {
+    const send = () => fetch(url, { ...options, credentials: 'include' });
+    const response = await send();
+    if (response.status !== 401) {
+        return response;
     }
+    return (await refreshSession()) ? send() : response;
 };
 
-const removeToken = () => {
+// 以前のバージョンが localStorage に保存していた JWT を消す
+const removeLegacyToken = () => {
     if (typeof window !== 'undefined') {
-        console.log('🗑️ removeToken() called');
         localStorage.removeItem('authToken');
     }
 };
@@ -41,28 +48,11 @@ export function useAuth() {
     const checkAuth = async () => {
         try {
             console.log('🔍 Checking auth with API_BASE:', API_BASE);
-            
-            const token = getToken();
-            console.log('🔍 Retrieved token from localStorage:', !!token);
-            console.log('🔍 Token preview:', token ? token.substring(0, 20) + '...' : 'null');
-            
-            const headers = {
-                'Content-Type': 'application/json',
-            };
-            
-            if (token) {
-                headers['Authorization'] = `Bearer ${token}`;
-                console.log('🔍 Using JWT token for auth, header set');
-            } else {
-                console.log('🔍 No JWT token found, using session');
-            }
-            
-            console.log('🔍 Request headers:', headers);
-            
-            const response = await fetch(`${API_BASE}/api/auth/me`, {
+            removeLegacyToken();
+
+            const response = await authFetch(`${API_BASE}/api/auth/me`, {
                 method: 'GET',
-                credentials: 'include',
-                headers: headers
+                headers: { 'Content-Type': 'application/json' }
             });
 
             console.log('🔍 Auth response status:', response.status);
@@ -76,7 +66,6 @@ export function useAuth() {
             } else {
                 console.log('❌ Auth failed:', response.status);
                 setUser(null);
-                removeToken(); // 無効なトークンを削除
                 if (response.status !== 401) {
                     setError('認証確認に失敗しました');
                 }
@@ -84,49 +73,44 @@ export function useAuth() {
         } catch (err) {
             console.error('Auth check failed:', err);
             setUser(null);
-            removeToken();
             setError('認証確認でエラーが発生しました');
         } finally {
             setLoading(false);
         }
     };
 
-    const login = async (email, password) => {
+    // ログイン・2段階認証の送信（どちらも成功するとバックエンドが httpOnly Cookie を設定する）
+    const submitLogin = async (path, body) => {
         try {
             console.log('🔐 Starting login process...');
-            const response = await fetch(`${API_BASE}/api/auth/login`, {
+            const response = await fetch(`${API_BASE}${path}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 credentials: 'include',
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify(body)
             });
 
             console.log('🔐 Login response status:', response.status);
             
             if (response.ok) {
                 const data = await response.json();
-                console.log('🔐 Login response data:', data);
-                
-                if (data.token) {
-                    console.log('🔐 Saving JWT token to localStorage...');
-                    setToken(data.token);
-                    
-                    // 保存されたか確認
-                    const savedToken = getToken();
-                    console.log('🔐 Token saved successfully:', !!savedToken);
-                    console.log('🔐 Token preview:', savedToken ? savedToken.substring(0, 20) + '...' : 'null');
-                } else {
-                    console.warn('⚠️ No token in login response');
+
+                // 2段階認証が有効な場合は、確認コードを送るまでログインしていない
+                if (data.twoFactorRequired) {
+                    return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
                 }
-                
+
+                console.log('🔐 Login response data:', data.user);
                 setUser(data.user);
                 setError(null);
-                return { success: true };
+                return { success: true, recoveryCodesRemaining: data.recoveryCodesRemaining };
             } else {
                 const data = await response.json();
                 console.log('❌ Login failed with response:', data);
                 setError(data.error || 'ログインに失敗しました');
-                return { success: false, error: data.error };
+                // 429（試行回数の制限・ロック中）は再試行できるまでの秒数が返る
+                const retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || null;
+                return { success: false, error: data.error, retryAfter };
             }
         } catch (err) {
             console.error('❌ Login failed:', err);
@@ -135,15 +119,45 @@ export function useAuth() {
         }
     };
 
-    const logout = () => {
-        removeToken();
+    const login = (email, password) => submitLogin('/api/auth/login', { email, password });
+
+    // ログインの2段階目（認証アプリのコード、またはリカバリーコード）
+    const verifyTwoFactor = (challengeToken, code) => submitLogin('/api/auth/login/2fa', { challengeToken, code });
+
+    // バックエンドでリフレッシュトークンを無効にし、認証 Cookie を削除してもらう
+    const logout = async () => {
+        try {
+            await fetch(`${API_BASE}/api/auth/logout`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+        } catch (err) {
+            console.error('Logout failed:', err);
+        }
+        setUser(null);
+        setError(null);
+    };
+
+    // 他の端末を含め、このユーザーのすべてのログインを無効にする
+    const logoutAll = async () => {
+        try {
+            const response = await authFetch(`${API_BASE}/api/auth/logout-all`, { method: 'POST' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                return { success: false, error: data.error || 'ログアウトに失敗しました' };
+            }
+        } catch (err) {
+            console.error('Logout all failed:', err);
+            return { success: false, error: 'ログアウトでエラーが発生しました' };
+        }
         setUser(null);
         setError(null);
+        return { success: true };
     };
 
     useEffect(() => {
         checkAuth();
     }, []);
 
-    return { user, loading, error, checkAuth, login, logout };
+    return { user, loading, error, checkAuth, login, verifyTwoFactor, logout, logoutAll };
 }
\ No newline at end of file
@@ -1,40 +1,35 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import StockChart from "../components/StockChart";
 import InvestmentSimulation from "../components/InvestmentSimulation";
 import VirtualInvestmentSimulator from "../components/VirtualInvestmentSimulator";
+import SymbolSelector, { getSymbolLabel } from "../components/SymbolSelector";
+import PortfolioPanel from "../components/PortfolioPanel";
+import { isTaxableAccount } from "../lib/nisa";
+import { authFetch } from "../hooks/useAuth";
 import styles from "./page.module.css";
 
 export default function Invest() {
     const [stockData, setStockData] = useState(null);
+    const [fxData, setFxData] = useState(null); // ドル円の月次レート（円換算用）
+    const [adjustedData, setAdjustedData] = useState(null); // 配当込みの月次株価（配当再投資用）
+    const [selectedSymbol, setSelectedSymbol] = useState("SPY"); // 表示・シミュレーションに使う銘柄
     const [expenseData, setExpenseData] = useState(null);
+    const [monthlySummary, setMonthlySummary] = useState(null);
+    const [linkedSource, setLinkedSource] = useState("investment"); // investment | surplus
     const [isLoading, setIsLoading] = useState(true);
     const [isMounted, setIsMounted] = useState(false);
-    const [activeView, setActiveView] = useState("monitor"); // monitor | virtual | linked
+    const [activeView, setActiveView] = useState("monitor"); // monitor | virtual | linked | portfolio
+    const [portfolio, setPortfolio] = useState(null); // 保有銘柄・目標配分・積立配分の提案
+    const [portfolioError, setPortfolioError] = useState(null);
+    const requestIdRef = useRef(0); //銘柄の切り替え前の古いレスポンスを捨てるための連番
 
     const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "https://kakeibo-backend-7c1q.onrender.com";
 
-    // トークン取得関数
-    const getToken = () => {
-        if (typeof window !== 'undefined') {
-            return localStorage.getItem('authToken');
-        }
-        return null;
-    };
-
-    // APIリクエスト用のヘッダー生成
-    const getAuthHeaders = () => {
-        const token = getToken();
-        const headers = {
-            'Content-Type': 'application/json',
-        };
-        
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        return headers;
+    // APIリクエスト用のヘッダー（認証はバックエンドが設定する httpOnly Cookie で行う）
+    const JSON_HEADERS = {
+        'Content-Type': 'application/json',
     };
 
     useEffect(() => {
@@ -45,15 +40,28 @@ export default function Invest() {
             console.log("🔄 Using API_BASE:", API_BASE);
             console.log("🔄 isLoading state:", isLoading);
             setIsLoading(true); // 明示的にローディング状態を設定
+            const requestId = ++requestIdRef.current;
+            // 前の銘柄の応答が後から届いても、表示中の銘柄のデータを上書きしない
+            const isStale = () => requestId !== requestIdRef.current;
 
             try {
-                const [stockRes, expenseRes] = await Promise.all([
-                    fetch(`${API_BASE}/api/stock`),
-                    fetch(`${API_BASE}/api/kakeibo`, {
+                const [stockRes, expenseRes, summaryRes, fxRes, adjustedRes] = await Promise.all([
+                    fetch(`${API_BASE}/api/stock?symbol=${encodeURIComponent(selectedSymbol)}`),
+                    // 投資カテゴリの支出だけをサーバー側で絞り込んで取得
+                    authFetch(`${API_BASE}/api/kakeibo?type=expense&category=${encodeURIComponent('investment,投資')}`, {
+                        credentials: 'include',
+                        headers: JSON_HEADERS
+                    }),
+                    authFetch(`${API_BASE}/api/kakeibo/summary`, {
                         credentials: 'include',
-                        headers: getAuthHeaders()
-                    })
+                        headers: JSON_HEADERS
+                    }),
+                    // 為替データが取れなくてもシミュレーション自体は表示する（換算なしの概算）
+                    fetch(`${API_BASE}/api/fx?from=USD&to=JPY`).catch(() => null),
+                    // 配当データも同様に、取れなければ株価のみで計算する
+                    fetch(`${API_BASE}/api/stock/adjusted?symbol=${encodeURIComponent(selectedSymbol)}`).catch(() => null)
                 ]);
+                if (isStale()) return;
 
                 console.log("📊 Stock API response status:", stockRes.status);
                 console.log("💰 Expense API response status:", expenseRes.status);
@@ -65,6 +73,7 @@ export default function Invest() {
                 }
 
                 const stockJson = await stockRes.json();
+                if (isStale()) return;
                 console.log("📈 Stock data received:", stockJson ? "✅ Success" : "❌ Empty");
                 console.log("📈 Full stock response:", stockJson);
 
@@ -117,18 +126,46 @@ export default function Invest() {
                     setExpenseData(null);
                 } else if (expenseRes.ok) {
                     const expenseJson = await expenseRes.json();
+                    if (isStale()) return;
                     console.log("💾 Expense data received:", expenseJson ? "✅ Success" : "❌ Empty");
                     setExpenseData(expenseJson);
                 } else {
                     console.warn("⚠️ Expense API error:", expenseRes.status);
                     setExpenseData(null);
                 }
+
+                if (fxRes && fxRes.ok) {
+                    const fxJson = await fxRes.json();
+                    if (isStale()) return;
+                    setFxData(fxJson.data || null);
+                } else {
+                    console.warn("⚠️ FX API unavailable:", fxRes?.status);
+                    setFxData(null);
+                }
+
+                if (adjustedRes && adjustedRes.ok) {
+                    const adjustedJson = await adjustedRes.json();
+                    if (isStale()) return;
+                    setAdjustedData(adjustedJson.data || null);
+                } else {
+                    console.warn("⚠️ Adjusted stock API unavailable:", adjustedRes?.status);
+                    setAdjustedData(null);
+                }
+
+                if (summaryRes.ok) {
+                    const summaryJson = await summaryRes.json();
+                    if (isStale()) return;
+                    setMonthlySummary(Array.isArray(summaryJson.months) ? summaryJson.months : null);
+                } else {
+                    setMonthlySummary(null);
+                }
                 
                 console.log("✅ Data fetch completed successfully");
                 console.log("🔄 About to set isLoading to false (success path)");
                 setIsLoading(false);
                 
             } catch (err) {
+                if (isStale()) return;
                 console.error("🚨 Error loading data:", err);
                 console.error("🔍 Error details:", err.message);
                 setStockData({ error: err.message });
@@ -138,7 +175,55 @@ export default function Invest() {
         };
 
         fetchData();
-    }, []); // 空の依存配列にして初回のみ実行
+    }, [selectedSymbol]); // 初回と銘柄の切り替え時に実行
+
+    // ポートフォリオ取得（contribution を指定すると次回の積立額を変えて再計算）
+    const fetchPortfolio = async (contribution) => {
+        try {
+            const params = contribution !== undefined ? `?contribution=${encodeURIComponent(contribution)}` : "";
+            const response = await authFetch(`${API_BASE}/api/portfolio${params}`, {
+                credentials: 'include',
+                headers: JSON_HEADERS
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                setPortfolio(null);
+                setPortfolioError(response.status === 401 ? null : result?.error ?? 'ポートフォリオの取得に失敗しました。');
+                return;
+            }
+
+            setPortfolio(result);
+            setPortfolioError(null);
+        } catch (error) {
+            console.error("🚨 Error loading portfolio:", error);
+            setPortfolioError('ポートフォリオの取得に失敗しました。');
+        }
+    };
+
+    // 目標配分の保存（保存後は提案を再計算）
+    const savePortfolioTargets = async (targets) => {
+        try {
+            const response = await authFetch(`${API_BASE}/api/portfolio/targets`, {
+                method: "PUT",
+                credentials: 'include',
+                headers: JSON_HEADERS,
+                body: JSON.stringify({ targets })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                setPortfolioError(result?.error ?? '目標配分の保存に失敗しました。');
+                return;
+            }
+
+            setPortfolioError(null);
+            fetchPortfolio(portfolio?.contribution);
+        } catch (error) {
+            console.error("🚨 Error saving portfolio targets:", error);
+            setPortfolioError('目標配分の保存に失敗しました。');
+        }
+    };
 
     if (!isMounted) {
         return null;
@@ -148,9 +233,11 @@ export default function Invest() {
     const convertToMonthlyInvestmentData = (rawExpenseData) => {
         if (!Array.isArray(rawExpenseData)) return null;
 
-        // 投資カテゴリのデータのみフィルタリング
+        // 投資カテゴリのうち、表示中の銘柄を購入した記録のみフィルタリング（銘柄未指定は SPY 扱い）
         const investmentExpenses = rawExpenseData.filter(
-            expense => expense.category === 'investment' || expense.category === '投資'
+            expense => expense.entry_type !== 'income' &&
+                (expense.category === 'investment' || expense.category === '投資') &&
+                (expense.asset_symbol || "SPY") === selectedSymbol
         );
 
         if (investmentExpenses.length === 0) return null;
@@ -169,11 +256,15 @@ export default function Invest() {
                 monthlyGroups[monthKey] = {
                     month: monthKey,
                     totalAmount: 0,
+                    taxableAmount: 0, // 課税口座（NISA以外）での投資額
                     entries: []
                 };
             }
             
             monthlyGroups[monthKey].totalAmount += expense.amount;
+            if (isTaxableAccount(expense.account_type)) {
+                monthlyGroups[monthKey].taxableAmount += expense.amount;
+            }
             monthlyGroups[monthKey].entries.push(expense);
         });
 
@@ -187,8 +278,29 @@ export default function Invest() {
         };
     };
 
+    // 月別収支から「収入 - 生活費」の余剰資金を毎月投資した場合の月次データを作成
+    const convertToMonthlySurplusData = (months) => {
+        if (!Array.isArray(months)) return null;
+
+        const monthlyData = months
+            .filter(month => month.savings > 0)
+            .map(month => ({
+                month: month.month,
+                totalAmount: month.savings
+            }));
+
+        if (monthlyData.length === 0) return null;
+
+        return {
+            monthlyData,
+            totalAmount: monthlyData.reduce((sum, month) => sum + month.totalAmount, 0)
+        };
+    };
+
     // 変換された投資データ
-    const processedExpenseData = expenseData ? convertToMonthlyInvestmentData(expenseData) : null;
+    const processedExpenseData = linkedSource === "surplus"
+        ? convertToMonthlySurplusData(monthlySummary)
+        : expenseData ? convertToMonthlyInvestmentData(expenseData) : null;
 
     const hasStockTimeSeries =
         stockData &&
@@ -247,15 +359,19 @@ export default function Invest() {
             <div className={styles.page}>
                 {renderStateCard(
                     "❌",
-                    "株価データの取得に失敗しました。",
-                    <details>
-                        <summary>トラブルシューティング</summary>
-                        <ul>
-                            <li>Alpha Vantage API キーの設定を確認してください。</li>
-                            <li>API 制限（1分1回 / 1日20回）を超えていないか確認してください。</li>
-                            <li>インターネット接続をご確認ください。</li>
-                        </ul>
-                    </details>
+                    `${selectedSymbol} の株価データの取得に失敗しました。`,
+                    <>
+                        <SymbolSelector symbol={selectedSymbol} onChange={setSelectedSymbol} />
+                        <details>
+                            <summary>トラブルシューティング</summary>
+                            <ul>
+                                <li>Alpha Vantage API キーの設定を確認してください。</li>
+                                <li>API 制限（1分1回 / 1日20回）を超えていないか確認してください。</li>
+                                <li>インターネット接続をご確認ください。</li>
+                                <li>銘柄コード（ティッカー）が正しいか確認してください。</li>
+                            </ul>
+                        </details>
+                    </>
                 )}
             </div>
         );
@@ -310,7 +426,8 @@ export default function Invest() {
             : 0;
 
     const meta = stockData["Meta Data"];
-    const symbol = meta?.["2. Symbol"] || "SPY";
+    const symbol = meta?.["2. Symbol"] || selectedSymbol;
+    const symbolLabel = getSymbolLabel(symbol);
     const lastRefreshed =
         meta?.["3. Last Refreshed"] ||
         meta?.["4. Last Refreshed"] ||
@@ -340,13 +457,24 @@ export default function Invest() {
                 >
                     💼 家計簿連携
                 </button>
+                <button
+                    type="button"
+                    className={`${styles.viewTab} ${activeView === "portfolio" ? styles.activeViewTab : ""}`}
+                    onClick={() => {
+                        setActiveView("portfolio");
+                        fetchPortfolio();
+                    }}
+                >
+                    📂 ポートフォリオ
+                </button>
             </div>
 
             {activeView === "monitor" && (
                 <>
                     <section className={styles.heroCard}>
                         <div className={styles.heroHeader}>
-                            <h1 className={styles.heroTitle}>📈 S&P500 基準価額</h1>
+                            <h1 className={styles.heroTitle}>📈 {symbolLabel} 基準価額</h1>
+                            <SymbolSelector symbol={symbol} onChange={setSelectedSymbol} />
                             {stockData._dataStatus && (
                                 <div className={styles.dataStatus}>
                                     {stockData._dataStatus.status === 'fresh' ? (
@@ -413,27 +541,57 @@ export default function Invest() {
             {activeView === "virtual" && (
                 <section className={styles.simulationCard}>
                     <h2 className={styles.sectionTitle}>🚀 仮想投資シミュレーション</h2>
-                    <VirtualInvestmentSimulator stockData={stockData} showTitle={false} />
+                    <VirtualInvestmentSimulator
+                        stockData={stockData}
+                        fxData={fxData}
+                        adjustedData={adjustedData}
+                        showTitle={false}
+                    />
                 </section>
             )}
 
             {activeView === "linked" && (
                 <section className={styles.simulationCard}>
                     <h2 className={styles.sectionTitle}>💼 家計簿連携シミュレーション</h2>
+                    <div className={styles.viewTabs}>
+                        <button
+                            type="button"
+                            className={`${styles.viewTab} ${linkedSource === "investment" ? styles.activeViewTab : ""}`}
+                            onClick={() => setLinkedSource("investment")}
+                        >
+                            💰 投資の記録
+                        </button>
+                        <button
+                            type="button"
+                            className={`${styles.viewTab} ${linkedSource === "surplus" ? styles.activeViewTab : ""}`}
+                            onClick={() => setLinkedSource("surplus")}
+                        >
+                            💴 余剰資金（収入 − 生活費）
+                        </button>
+                    </div>
                     {hasExpenseSeries ? (
                         <InvestmentSimulation
                             stockData={stockData}
                             expenseData={processedExpenseData}
+                            fxData={fxData}
+                            adjustedData={adjustedData}
                             showTitle={false}
                         />
                     ) : (
                         <div className={styles.emptyState}>
                             <div className={styles.emptyIcon}>💡</div>
                             <div className={styles.emptyTitle}>家計簿データが必要です</div>
-                            <p>
-                                家計簿アプリで「投資」カテゴリーの支出を記録すると、
-                                S&P500 を用いた実績シミュレーションが表示されます。
-                            </p>
+                            {linkedSource === "surplus" ? (
+                                <p>
+                                    家計簿アプリで収入を記録すると、
+                                    毎月の余剰資金を {symbolLabel} に投資した場合のシミュレーションが表示されます。
+                                </p>
+                            ) : (
+                                <p>
+                                    家計簿アプリで「投資」カテゴリーの支出を記録すると、
+                                    {symbolLabel} を用いた実績シミュレーションが表示されます。
+                                </p>
+                            )}
                             <p className={styles.emptyNote}>
                                 まずは仮想投資シミュレーションでイメージをつかんでみましょう。
                             </p>
@@ -441,6 +599,18 @@ export default function Invest() {
                     )}
                 </section>
             )}
+
+            {activeView === "portfolio" && (
+                <section className={styles.simulationCard}>
+                    <h2 className={styles.sectionTitle}>📂 ポートフォリオ</h2>
+                    {portfolioError && <p className={styles.emptyNote}>⚠️ {portfolioError}</p>}
+                    <PortfolioPanel
+                        portfolio={portfolio}
+                        onSaveTargets={savePortfolioTargets}
+                        onContributionChange={fetchPortfolio}
+                    />
+                </section>
+            )}
         </div>
     );
 }
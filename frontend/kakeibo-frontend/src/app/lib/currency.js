@@ -0,0 +1,37 @@
+// 円建ての投資額をドル建ての株価で計算するための為替ヘルパー
+// 為替データは Alpha Vantage FX_MONTHLY 形式（/api/fx のレスポンスの data）を想定
+
+const FX_SERIES_KEY = "Time Series FX (Monthly)";
+
+// { "YYYY-MM": 月末終値 } の形に変換。為替データがなければ null
+export const buildMonthlyRates = (fxData) => {
+    const series = fxData?.[FX_SERIES_KEY];
+    if (!series) return null;
+
+    const rates = {};
+    Object.entries(series).forEach(([date, values]) => {
+        const rate = parseFloat(values["4. close"]);
+        if (rate > 0) rates[date.substring(0, 7)] = rate;
+    });
+    return Object.keys(rates).length > 0 ? rates : null;
+};
+
+// 指定月のレート。データがない月は直前の月（それもなければ最も古い月）のレートを使う
+// 為替データ自体がない場合は 1（換算なし）を返す
+export const getRateForMonth = (rates, monthKey) => {
+    if (!rates) return 1;
+    if (rates[monthKey]) return rates[monthKey];
+
+    const months = Object.keys(rates).sort();
+    const previous = months.filter((month) => month < monthKey).pop();
+    return rates[previous || months[0]];
+};
+
+// 損益を「株価要因」と「為替要因」に分解する
+// 株価要因: ドル建ての値上がり分を現在のレートで円換算したもの
+// 為替要因: ドル建ての元本が、購入時から現在までの為替変動で増減した分
+export const splitReturn = ({ investedJpy, costUsd, valueUsd, currentRate }) => {
+    const stockProfit = (valueUsd - costUsd) * currentRate;
+    const currencyProfit = costUsd * currentRate - investedJpy;
+    return { stockProfit, currencyProfit };
+};
@@ -0,0 +1,29 @@
+// ログイン中の端末一覧の表示用に、User-Agent からブラウザと OS を大まかに判定する
+// 判定の順番に意味がある（Edge・Chrome の User-Agent には "Safari" も含まれる）
+const BROWSERS = [
+    [/Edg\//, "Edge"],
+    [/OPR\//, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\//, "Chrome"],
+    [/Safari\//, "Safari"]
+];
+
+const OPERATING_SYSTEMS = [
+    [/iPhone|iPad/, "iOS"],
+    [/Android/, "Android"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"]
+];
+
+const findLabel = (patterns, userAgent) => patterns.find(([pattern]) => pattern.test(userAgent))?.[1] ?? null;
+
+// 例: "Chrome（Windows）"。判定できない場合は "不明な端末"
+export const describeUserAgent = (userAgent) => {
+    if (!userAgent) return "不明な端末";
+
+    const browser = findLabel(BROWSERS, userAgent);
+    const os = findLabel(OPERATING_SYSTEMS, userAgent);
+    if (browser && os) return `${browser}（${os}）`;
+    return browser || os || userAgent.slice(0, 40);
+};
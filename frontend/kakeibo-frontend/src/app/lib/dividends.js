@@ -0,0 +1,29 @@
+// 配当再投資（トータルリターン）計算のヘルパー
+// 配当データは Alpha Vantage TIME_SERIES_MONTHLY_ADJUSTED 形式（/api/stock/adjusted のレスポンスの data）を想定
+
+const ADJUSTED_SERIES_KEY = "Monthly Adjusted Time Series";
+
+// { "YYYY-MM": { close, dividend } } の形に変換。配当データがなければ null
+export const buildDividendMap = (adjustedData) => {
+    const series = adjustedData?.[ADJUSTED_SERIES_KEY];
+    if (!series) return null;
+
+    const dividends = {};
+    Object.entries(series).forEach(([date, values]) => {
+        const close = parseFloat(values["4. close"]);
+        if (close > 0) {
+            dividends[date.substring(0, 7)] = {
+                close,
+                dividend: parseFloat(values["7. dividend amount"]) || 0
+            };
+        }
+    });
+    return Object.keys(dividends).length > 0 ? dividends : null;
+};
+
+// その月に支払われた配当でその月の終値で買い増した後の口数
+export const reinvestDividends = (shares, date, dividends) => {
+    const month = dividends?.[date.substring(0, 7)];
+    if (!month || month.dividend <= 0) return shares;
+    return shares * (1 + month.dividend / month.close);
+};
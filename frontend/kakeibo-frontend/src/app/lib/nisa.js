@@ -0,0 +1,19 @@
+// NISA口座区分と、課税口座の利益にかかる税金の計算
+// 口座区分の値はバックエンドの kakeibo_data.account_type と同じ（未指定は課税口座扱い）
+
+export const ACCOUNT_TYPE_OPTIONS = [
+    { value: "nisa_tsumitate", label: "NISA つみたて投資枠", shortLabel: "NISAつみたて" },
+    { value: "nisa_growth", label: "NISA 成長投資枠", shortLabel: "NISA成長" },
+    { value: "taxable", label: "課税口座（特定・一般）", shortLabel: "課税" }
+];
+
+// 上場株式等の譲渡益・配当にかかる税率（所得税15.315% + 住民税5%）
+export const TAX_RATE = 0.20315;
+
+export const isTaxableAccount = (accountType) => !accountType || accountType === "taxable";
+
+export const getAccountLabel = (accountType) =>
+    ACCOUNT_TYPE_OPTIONS.find((option) => option.value === (accountType || "taxable"))?.shortLabel ?? accountType;
+
+// 利益にかかる税額（損失の場合は0）
+export const calculateTax = (gain) => Math.max(0, gain) * TAX_RATE;
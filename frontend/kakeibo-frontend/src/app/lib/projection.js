@@ -0,0 +1,116 @@
+// 将来予測（モンテカルロ法）のヘルパー
+// 株価データは Alpha Vantage TIME_SERIES_MONTHLY 形式（"Monthly Time Series"）を想定
+import { getRateForMonth } from "./currency";
+
+const MONTHLY_SERIES_KEY = "Monthly Time Series";
+const PERCENTILES = [10, 50, 90];
+
+// 過去の月次終値から年率の期待リターンとボラティリティ（%）を推計する
+// rates があれば円換算した価格で計算する。データが2か月未満なら null
+export const estimateReturnStats = (stockData, rates = null) => {
+    const series = stockData?.[MONTHLY_SERIES_KEY];
+    if (!series) return null;
+
+    const prices = Object.entries(series)
+        .map(([date, values]) => ({
+            date,
+            price: parseFloat(values["4. close"]) * getRateForMonth(rates, date.substring(0, 7))
+        }))
+        .filter((item) => item.price > 0)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    if (prices.length < 2) return null;
+
+    // 対数リターンの平均と標準偏差を年率に換算
+    const logReturns = prices.slice(1).map((item, index) => Math.log(item.price / prices[index].price));
+    const mean = logReturns.reduce((sum, value) => sum + value, 0) / logReturns.length;
+    const variance =
+        logReturns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, logReturns.length - 1);
+
+    return {
+        annualReturn: (Math.exp(mean * 12) - 1) * 100,
+        annualVolatility: Math.sqrt(variance * 12) * 100,
+        months: logReturns.length,
+        startDate: prices[0].date,
+        endDate: prices[prices.length - 1].date
+    };
+};
+
+// 再描画のたびに結果がぶれないよう、シード付きの乱数を使う（mulberry32）
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// 標準正規分布の乱数（Box-Muller 法）
+const createNormal = (random) => () => {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const percentileOf = (sorted, percentile) => {
+    const index = Math.min(sorted.length - 1, Math.floor((percentile / 100) * sorted.length));
+    return sorted[index];
+};
+
+// 毎月の積立を続けた場合の評価額をモンテカルロ法で試算する
+// annualReturn は年率の幾何平均リターン（%）、annualVolatility は年率の標準偏差（%）
+// 戻り値の months は月ごとの { month, invested, p10, p50, p90 }
+export const runMonteCarlo = ({
+    monthlyContribution,
+    years,
+    annualReturn,
+    annualVolatility,
+    targetAmount = 0,
+    trials = 1000,
+    seed = 1
+}) => {
+    const totalMonths = Math.max(1, Math.round(years * 12));
+    const monthlyVolatility = annualVolatility / 100 / Math.sqrt(12);
+    const monthlyDrift = Math.log(1 + annualReturn / 100) / 12;
+    const normal = createNormal(createRandom(seed));
+
+    const values = new Array(trials).fill(0);
+    const reachedAt = new Array(trials).fill(null);
+    const months = [];
+    let reachedCount = 0;
+
+    for (let month = 1; month <= totalMonths; month += 1) {
+        for (let trial = 0; trial < trials; trial += 1) {
+            // 月初に積み立て、その月の値動きを反映する
+            const growth = Math.exp(monthlyDrift + monthlyVolatility * normal());
+            values[trial] = (values[trial] + monthlyContribution) * growth;
+            if (targetAmount > 0 && reachedAt[trial] === null && values[trial] >= targetAmount) {
+                reachedAt[trial] = month;
+                reachedCount += 1;
+            }
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const point = { month, invested: monthlyContribution * month };
+        PERCENTILES.forEach((percentile) => {
+            point[`p${percentile}`] = percentileOf(sorted, percentile);
+        });
+        months.push(point);
+    }
+
+    // 目標額に到達するまでの月数の中央値（半数以上が到達しなければ null）
+    const reachedMonths = reachedAt.filter((month) => month !== null).sort((a, b) => a - b);
+    const medianMonthsToTarget =
+        targetAmount > 0 && reachedMonths.length >= Math.ceil(trials / 2)
+            ? reachedMonths[Math.ceil(trials / 2) - 1]
+            : null;
+
+    return {
+        months,
+        final: months[months.length - 1],
+        medianMonthsToTarget,
+        targetReachRate: targetAmount > 0 ? reachedCount / trials : null
+    };
+};
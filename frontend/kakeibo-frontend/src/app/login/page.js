@@ -1,48 +1,156 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import Link from "next/link";
 import { useRouter } from "next/navigation";
 import { useAuth } from "../hooks/useAuth";
 import styles from "./page.module.css";
 
+// 再試行までの待ち時間の表示（1分以上は分単位に切り上げ）
+const formatWait = (seconds) => (seconds >= 60 ? `${Math.ceil(seconds / 60)}分` : `${seconds}秒`);
+
 export default function LoginPage() {
   const [form, setForm] = useState({ email: "", password: "" });
   const [status, setStatus] = useState({ type: "idle", message: "" });
-  const { login } = useAuth();
+  const [retryUntil, setRetryUntil] = useState(null); //ログインを再試行できる時刻（429 のとき）
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [challengeToken, setChallengeToken] = useState(null); //2段階認証のコード入力待ち（パスワードは確認済み）
+  const [code, setCode] = useState("");
+  const { login, verifyTwoFactor } = useAuth();
   const router = useRouter();
 
+  //再試行できるまでの残り秒数を1秒ごとに更新する
+  useEffect(() => {
+    if (!retryUntil) return;
+
+    const update = () => {
+      const left = Math.max(0, Math.ceil((retryUntil - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) {
+        setRetryUntil(null);
+      }
+    };
+    update();
+    const timer = setInterval(update, 1000);
+    return () => clearInterval(timer);
+  }, [retryUntil]);
+
   const handleChange = (event) => {
     const { name, value } = event.target;
     setForm((prev) => ({ ...prev, [name]: value }));
   };
 
+  //ログイン・2段階認証の結果の表示
+  const handleResult = (result) => {
+    if (result.success) {
+      console.log('✅ Login successful, redirecting...');
+      //リカバリーコードを使った場合は、残りの数を少し長めに表示する
+      const remaining = result.recoveryCodesRemaining;
+      setStatus({
+        type: "success",
+        message: remaining === undefined
+          ? "ログインに成功しました。リダイレクト中..."
+          : `リカバリーコードでログインしました（残り${remaining}個）。少なくなったらアカウント設定で作り直してください。`
+      });
+      setForm({ email: "", password: "" });
+      setCode("");
+
+      // 少し待ってからリダイレクト
+      setTimeout(() => {
+        router.push('/');
+      }, remaining === undefined ? 1000 : 4000);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setStatus({ type: "idle", message: "" });
+    } else {
+      console.log('❌ Login failed:', result.error);
+      setStatus({ type: "error", message: result.error || "ログインに失敗しました。" });
+      if (result.retryAfter) {
+        setRetryUntil(Date.now() + result.retryAfter * 1000);
+      }
+    }
+  };
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setStatus({ type: "loading", message: "送信中..." });
 
     try {
       console.log('🔐 Attempting login with:', { email: form.email });
-      const result = await login(form.email, form.password);
-
-      if (result.success) {
-        console.log('✅ Login successful, redirecting...');
-        setStatus({ type: "success", message: "ログインに成功しました。リダイレクト中..." });
-        setForm({ email: "", password: "" });
-        
-        // 少し待ってからリダイレクト
-        setTimeout(() => {
-          router.push('/');
-        }, 1000);
-      } else {
-        console.log('❌ Login failed:', result.error);
-        setStatus({ type: "error", message: result.error || "ログインに失敗しました。" });
-      }
+      handleResult(await login(form.email, form.password));
     } catch (error) {
       console.error('❌ Login error:', error);
       setStatus({ type: "error", message: error.message || "ログインでエラーが発生しました。" });
     }
   };
 
+  const handleCodeSubmit = async (event) => {
+    event.preventDefault();
+    setStatus({ type: "loading", message: "送信中..." });
+
+    try {
+      handleResult(await verifyTwoFactor(challengeToken, code));
+    } catch (error) {
+      console.error('❌ Two-factor error:', error);
+      setStatus({ type: "error", message: error.message || "ログインでエラーが発生しました。" });
+    }
+  };
+
+  //パスワードの入力からやり直す（2段階目の有効期限切れなど）
+  const restartLogin = () => {
+    setChallengeToken(null);
+    setCode("");
+    setStatus({ type: "idle", message: "" });
+  };
+
+  const statusMessages = (
+    <>
+      {status.type === "error" && <p className={styles.error}>{status.message}</p>}
+      {secondsLeft > 0 && (
+        <p className={styles.error}>あと{formatWait(secondsLeft)}でもう一度ログインできます。</p>
+      )}
+      {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+    </>
+  );
+
+  if (challengeToken) {
+    return (
+      <div className={styles.page}>
+        <form className={styles.form} onSubmit={handleCodeSubmit}>
+          <h1 className={styles.heading}>2段階認証</h1>
+          <p className={styles.description}>
+            認証アプリに表示されている6桁のコードを入力してください。スマートフォンが手元にない場合は、リカバリーコードも使えます。
+          </p>
+
+          <label className={styles.label}>
+            確認コード
+            <input
+              className={styles.input}
+              type="text"
+              name="code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+              autoFocus
+              required
+            />
+          </label>
+
+          <button className={styles.button} type="submit" disabled={status.type === "loading" || secondsLeft > 0}>
+            {status.type === "loading" ? "送信中..." : "確認"}
+          </button>
+
+          {statusMessages}
+
+          <button type="button" className={styles.linkButton} onClick={restartLogin}>
+            メールアドレスとパスワードの入力に戻る
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className={styles.page}>
       <form className={styles.form} onSubmit={handleSubmit}>
@@ -72,12 +180,13 @@ export default function LoginPage() {
           />
         </label>
 
-        <button className={styles.button} type="submit" disabled={status.type === "loading"}>
+        <button className={styles.button} type="submit" disabled={status.type === "loading" || secondsLeft > 0}>
           {status.type === "loading" ? "送信中..." : "ログイン"}
         </button>
 
-        {status.type === "error" && <p className={styles.error}>{status.message}</p>}
-        {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+        {statusMessages}
+
+        <Link href="/forgot-password" className={styles.link}>パスワードをお忘れの方</Link>
       </form>
     </div>
   );
@@ -1,92 +1,427 @@
 "use client";
 import Link from "next/link";
-import { useEffect, useMemo, useState } from "react";
-import { useAuth } from "./hooks/useAuth";
+import { useEffect, useRef, useState } from "react";
+import { authFetch, useAuth } from "./hooks/useAuth";
 import styles from './page.module.css';
 import CycleChart from "./components/Cycle-Chart";
+import BudgetPanel from "./components/BudgetPanel";
+import MonthlySummary from "./components/MonthlySummary";
+import CategoryManager from "./components/CategoryManager";
+import CsvImport from "./components/CsvImport";
+import ExportPanel from "./components/ExportPanel";
+import RecurringManager from "./components/RecurringManager";
+import ExpenseFilters, { EMPTY_FILTERS } from "./components/ExpenseFilters";
+import { SYMBOL_PRESETS } from "./components/SymbolSelector";
+import { ACCOUNT_TYPE_OPTIONS, getAccountLabel, isTaxableAccount } from "./lib/nisa";
 
 const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
 
-// トークン取得関数
-const getToken = () => {
-  if (typeof window !== 'undefined') {
-    return localStorage.getItem('authToken');
-  }
-  return null;
+// 一覧を1回に読み込む件数（スクロールで次のページを追加取得）
+const PAGE_SIZE = 20;
+
+// 今月をYYYY-MM形式で取得
+const getCurrentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 };
 
-// APIリクエスト用のヘッダー生成
-const getAuthHeaders = () => {
-  const token = getToken();
-  const headers = {
-    'Content-Type': 'application/json',
-  };
-  
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-  
-  return headers;
+// APIリクエスト用のヘッダー（認証はバックエンドが設定する httpOnly Cookie で行う）
+const JSON_HEADERS = {
+  'Content-Type': 'application/json',
 };
 
+// 銘柄・口座区分は投資の記録でだけ送る（他のカテゴリではサーバーが受け付けない）
+const toEntryBody = ({ assetSymbol, accountType, ...values }) => (
+  values.category === "investment" ? { ...values, assetSymbol, accountType } : values
+);
+
 export default function Page() {
-  const [data, setData] = useState([]); //データベース状態管理
-  const [form, setForm] = useState({ title: "", amount: "", date: "", category: "" }); //フォーム状態管理
-  const [showAllExpenses, setShowAllExpenses] = useState(false);
+  const [data, setData] = useState([]); //一覧に表示中のデータ（読み込み済みのページ分）
+  const [filters, setFilters] = useState(EMPTY_FILTERS); //一覧の絞り込み条件
+  const [nextCursor, setNextCursor] = useState(null); //次のページのカーソル（nullなら最後まで読み込み済み）
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [totals, setTotals] = useState({ expenseTotal: 0, incomeTotal: 0, byCategory: {} }); //全期間の合計（一覧の読み込み状況に関係なく集計）
+  const [aggregateKey, setAggregateKey] = useState(0); //集計系の再取得トリガー
+  const [form, setForm] = useState({ title: "", amount: "", date: "", category: "", type: "expense", assetSymbol: "", accountType: "taxable" }); //フォーム状態管理
+  const [editingId, setEditingId] = useState(null); //インライン編集中の行ID
+  const [editForm, setEditForm] = useState({ title: "", amount: "", date: "", category: "", type: "expense", assetSymbol: "", accountType: "taxable" }); //編集フォーム状態管理
   const [authError, setAuthError] = useState(null);
+  const [verificationMessage, setVerificationMessage] = useState(""); //確認メール再送の結果
+  const [quotaWarnings, setQuotaWarnings] = useState([]); // NISA非課税枠の超過警告（追加・編集・取り込み時にサーバーから返される）
+  const [budgetMonth, setBudgetMonth] = useState(getCurrentMonth()); //予算表示対象の月
+  const [budgets, setBudgets] = useState([]); //予算と実績の比較データ
+  const [monthlySummary, setMonthlySummary] = useState([]); //月別の収入・支出・貯蓄率
+  const [categories, setCategories] = useState([]); //ユーザー定義カテゴリ（表示名・アイコン・色）
+  const [recurringRules, setRecurringRules] = useState([]); //定期取引ルール
   const { user, loading } = useAuth(); // 認証状態を取得
+  const requestIdRef = useRef(0); //絞り込み変更前の古いレスポンスを捨てるための連番
+  const sentinelRef = useRef(null); //一覧末尾の監視用要素
   
-  //データ取得 　useEffectはコンポーネントのライフサイクルに基づいて副作用を実行するためのフック コンポーネントがマウント（初回レンダリング）されたときにfetchData関数を実行してデータを取得する
+  //カテゴリ取得（フォーム・集計・グラフすべてこの一覧を基に表示する）
   useEffect(() => {
-    fetchData();
+    fetchCategories();
   }, []);
 
-  //データ取得関数 （データ取得初回ロード時だけでなく、データ追加・削除後にも実行したいため、非同期処理にする）
-  const fetchData = async() => {
+  const fetchCategories = async() => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/categories`, {
+        method: 'GET',
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (!response.ok) {
+        setCategories([]);
+        return;
+      }
+
+      const result = await response.json();
+      setCategories(Array.isArray(result) ? result : []);
+    } catch (error) {
+      console.log('❌ Error fetching categories:', error);
+      setCategories([]);
+    }
+  }
+
+  //カテゴリ追加関数
+  const addCategory = async({ type, icon, label, color }) => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/categories`, {
+        method: "POST",
+        headers: JSON_HEADERS,
+        credentials: "include",
+        body: JSON.stringify({ type, icon, label, color })
+      });
+
+      if (response.status === 401) {
+        setAuthError("カテゴリを追加するにはログインが必要です。");
+        return;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? 'カテゴリの追加に失敗しました。');
+        return;
+      }
+
+      setAuthError(null);
+      fetchCategories();
+    } catch (error) {
+      console.log('Error adding category:', error);
+      setAuthError("カテゴリの追加に失敗しました。");
+    }
+  }
+
+  //カテゴリ削除関数
+  const deleteCategory = async(id) => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/categories/${id}`, {
+        method: "DELETE",
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (response.status === 401) {
+        setAuthError("カテゴリを削除するにはログインが必要です。");
+        return;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? 'カテゴリの削除に失敗しました。');
+        return;
+      }
+
+      setAuthError(null);
+      fetchCategories();
+    } catch (error) {
+      console.log('Error deleting category:', error);
+      setAuthError("カテゴリの削除に失敗しました。");
+    }
+  }
+
+  //データ取得 　絞り込み条件が変わるたびに1ページ目から読み込み直す
+  useEffect(() => {
+    fetchData(filters);
+  }, [filters]);
+
+  //データ取得関数 （cursorを渡した場合は次のページを既存の一覧に追加する）
+  const fetchData = async(activeFilters, cursor = null) => {
+    const requestId = ++requestIdRef.current;
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    Object.entries(activeFilters).forEach(([key, value]) => {
+      if (value !== "") params.set(key, value);
+    });
+    if (cursor) params.set("cursor", cursor);
+
+    if (cursor) setLoadingMore(true);
     try {
-      console.log('🔍 Fetching kakeibo data from:', `${API_BASE}/api/kakeibo`);
-      const response = await fetch(`${API_BASE}/api/kakeibo`, {
+      const response = await authFetch(`${API_BASE}/api/kakeibo?${params}`, {
         method: 'GET',
         credentials: "include",
-        headers: getAuthHeaders()
+        headers: JSON_HEADERS
       });
 
-      console.log('🔍 Kakeibo response status:', response.status);
-      console.log('🔍 Kakeibo response headers:', Object.fromEntries(response.headers.entries()));
+      if (requestId !== requestIdRef.current) return;
 
       if (response.status === 401) {
         console.log('❌ 401 Unauthorized - not logged in');
         setAuthError("家計簿データを見るにはログインが必要です。");
         setData([]);
+        setNextCursor(null);
         return;
       }
 
       const result = await response.json();
-      console.log('🔍 Kakeibo data received:', result);
 
-      if (!Array.isArray(result)) {
-        setData([]);
+      if (!Array.isArray(result?.items)) {
+        if (!cursor) setData([]);
+        setNextCursor(null);
         setAuthError(result?.error ?? '家計簿データの取得に失敗しました。');
         return;
       }
 
-      setData(result);
+      setData((prev) => (cursor ? [...prev, ...result.items] : result.items));
+      setNextCursor(result.nextCursor);
       setAuthError(null);
-      console.log('✅ Kakeibo data loaded successfully');
     } catch (error) {
       console.log('❌ Error fetching data:', error);
       setAuthError("家計簿データの取得に失敗しました。");
+    } finally {
+      if (requestId === requestIdRef.current) setLoadingMore(false);
+    }
+  }
+
+  //無限スクロール：一覧の末尾が見えたら次のページを読み込む
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        observer.disconnect();
+        fetchData(filters, nextCursor);
+      }
+    }, { rootMargin: "200px" });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [filters, nextCursor, loadingMore]);
+
+  //登録・削除・取り込みの後は一覧と集計をまとめて再取得する
+  const refreshData = () => {
+    fetchData(filters);
+    setAggregateKey((prev) => prev + 1);
+  }
+
+  //全期間の合計取得（ダッシュボードの合計・カテゴリ別・円グラフ用）
+  useEffect(() => {
+    fetchTotals();
+  }, [aggregateKey]);
+
+  const fetchTotals = async() => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/kakeibo/totals`, {
+        method: 'GET',
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (!response.ok) {
+        setTotals({ expenseTotal: 0, incomeTotal: 0, byCategory: {} });
+        return;
+      }
+
+      setTotals(await response.json());
+    } catch (error) {
+      console.log('❌ Error fetching totals:', error);
+    }
+  }
+
+  //予算実績取得（支出データが変わるたびに再計算する）
+  useEffect(() => {
+    fetchBudgets(budgetMonth);
+  }, [budgetMonth, aggregateKey]);
+
+  const fetchBudgets = async(month) => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/budgets/summary?month=${month}`, {
+        method: 'GET',
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (!response.ok) {
+        setBudgets([]);
+        return;
+      }
+
+      const result = await response.json();
+      setBudgets(Array.isArray(result.budgets) ? result.budgets : []);
+    } catch (error) {
+      console.log('❌ Error fetching budgets:', error);
+      setBudgets([]);
+    }
+  }
+
+  //月別集計取得（支出データが変わるたびに再計算する）
+  useEffect(() => {
+    fetchMonthlySummary();
+  }, [aggregateKey]);
+
+  const fetchMonthlySummary = async() => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/kakeibo/summary`, {
+        method: 'GET',
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (!response.ok) {
+        setMonthlySummary([]);
+        return;
+      }
+
+      const result = await response.json();
+      setMonthlySummary(Array.isArray(result.months) ? result.months : []);
+    } catch (error) {
+      console.log('❌ Error fetching monthly summary:', error);
+      setMonthlySummary([]);
+    }
+  }
+
+  //定期取引取得（支出データの再取得にあわせて次回予定も更新する）
+  useEffect(() => {
+    fetchRecurringRules();
+  }, [aggregateKey]);
+
+  const fetchRecurringRules = async() => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/recurring`, {
+        method: 'GET',
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (!response.ok) {
+        setRecurringRules([]);
+        return;
+      }
+
+      const result = await response.json();
+      setRecurringRules(Array.isArray(result) ? result : []);
+    } catch (error) {
+      console.log('❌ Error fetching recurring rules:', error);
+      setRecurringRules([]);
+    }
+  }
+
+  //定期取引の登録・更新・削除（変更後は家計簿データを再取得して自動生成分を反映）
+  const sendRecurringRequest = async(path, method, body, errorMessage) => {
+    try {
+      const response = await authFetch(`${API_BASE}${path}`, {
+        method,
+        headers: JSON_HEADERS,
+        credentials: "include",
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      if (response.status === 401) {
+        setAuthError("定期取引を管理するにはログインが必要です。");
+        return;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? errorMessage);
+        return;
+      }
+
+      setAuthError(null);
+      refreshData(); //データ再取得
+    } catch (error) {
+      console.log('Error updating recurring rule:', error);
+      setAuthError(errorMessage);
+    }
+  }
+
+  const addRecurringRule = (rule) =>
+    sendRecurringRequest("/api/recurring", "POST", rule, "定期取引の登録に失敗しました。");
+
+  const toggleRecurringPause = (id, paused) =>
+    sendRecurringRequest(`/api/recurring/${id}`, "PUT", { paused }, "定期取引の更新に失敗しました。");
+
+  const deleteRecurringRule = (id) =>
+    sendRecurringRequest(`/api/recurring/${id}`, "DELETE", null, "定期取引の削除に失敗しました。");
+
+  //予算設定関数（同じカテゴリ・月の予算は上書き）
+  const saveBudget = async(category, amount) => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/budgets`, {
+        method: "POST",
+        headers: JSON_HEADERS,
+        credentials: "include",
+        body: JSON.stringify({ category, amount, month: budgetMonth })
+      });
+
+      if (response.status === 401) {
+        setAuthError("予算を設定するにはログインが必要です。");
+        return;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? '予算の設定に失敗しました。');
+        return;
+      }
+
+      setAuthError(null);
+      fetchBudgets(budgetMonth);
+    } catch (error) {
+      console.log('Error saving budget:', error);
+      setAuthError("予算の設定に失敗しました。");
+    }
+  }
+
+  const deleteBudget = async(id) => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/budgets/${id}`, {
+        method: "DELETE",
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (response.status === 401) {
+        setAuthError("予算を削除するにはログインが必要です。");
+        return;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? '予算の削除に失敗しました。');
+        return;
+      }
+
+      setAuthError(null);
+      fetchBudgets(budgetMonth);
+    } catch (error) {
+      console.log('Error deleting budget:', error);
+      setAuthError("予算の削除に失敗しました。");
     }
   }
 
   //フォーム送信関数
   const submitForm = async() => {
     try {
-      const response = await fetch(`${API_BASE}/api/kakeibo`, {
+      const response = await authFetch(`${API_BASE}/api/kakeibo`, {
         method: "POST",
-        headers: getAuthHeaders(),
+        headers: JSON_HEADERS,
         credentials: "include",
-        body: JSON.stringify(form)
+        body: JSON.stringify(toEntryBody(form))
       });
 
       if (response.status === 401) {
@@ -103,7 +438,8 @@ export default function Page() {
 
       console.log(result);
       setAuthError(null);
-      fetchData(); //データ再取得
+      setQuotaWarnings(result.warnings || []);
+      refreshData(); //データ再取得
     } catch (error) {
     console.log('Error submitting form:', error);
     setAuthError("家計簿データの追加に失敗しました。");
@@ -113,10 +449,10 @@ export default function Page() {
   //削除関数
   const deleteItem = async(id) => {
     try{
-      const response = await fetch(`${API_BASE}/api/kakeibo/${id}`, {
+      const response = await authFetch(`${API_BASE}/api/kakeibo/${id}`, {
         method:"DELETE",
         credentials: "include",
-        headers: getAuthHeaders()
+        headers: JSON_HEADERS
       });
 
       if (response.status === 401) {
@@ -133,54 +469,237 @@ export default function Page() {
 
       console.log(result);
       setAuthError(null);
-      fetchData(); //データ再取得
+      refreshData(); //データ再取得
     } catch (error) {
       console.log('Error deleting item:', error);
       setAuthError("家計簿データの削除に失敗しました。");
     }
   }
 
-  // 金額の合計を計算
-  const totalAmount = data.reduce((sum, item) => sum + parseInt(item.amount), 0);
-
-  //表示制御ロジック
-  //一覧表示の最大件数を定義し、全件表示の切り替えを管理
-  const MAX_VISIBLE_ITEMS = 2;
-  const hasMoreExpenses = data.length > MAX_VISIBLE_ITEMS;
-  //useMemoは、計算コストの高い関数の結果をメモ化（キャッシュ）して、依存関係が変わらない限り再計算を避けるためのフック
-  const displayedExpenses = useMemo(
-    () => (showAllExpenses ? data : data.slice(0, MAX_VISIBLE_ITEMS)),
-    [data, showAllExpenses]
-  );
+  //CSV取り込みのプレビュー（ファイルをそのまま送信し、列の指定はクエリで渡す）
+  const previewImport = async(file, options) => {
+    try {
+      const params = new URLSearchParams({
+        encoding: options.encoding,
+        hasHeader: String(options.hasHeader),
+        dateColumn: options.dateColumn,
+        titleColumn: options.titleColumn,
+        amountColumn: options.amountColumn
+      });
+      if (options.depositColumn) {
+        params.set("depositColumn", options.depositColumn);
+      }
+
+      const response = await authFetch(`${API_BASE}/api/kakeibo/import/preview?${params}`, {
+        method: "POST",
+        headers: { ...JSON_HEADERS, 'Content-Type': 'text/csv' },
+        credentials: "include",
+        body: file
+      });
+
+      if (response.status === 401) {
+        setAuthError("CSVを取り込むにはログインが必要です。");
+        return null;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? 'CSVの読み込みに失敗しました。');
+        return null;
+      }
+
+      setAuthError(null);
+      return result;
+    } catch (error) {
+      console.log('Error previewing import:', error);
+      setAuthError("CSVの読み込みに失敗しました。");
+      return null;
+    }
+  }
+
+  //CSV取り込みの確定（選択した行を一括登録）
+  const importRows = async(rows) => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/kakeibo/import`, {
+        method: "POST",
+        headers: JSON_HEADERS,
+        credentials: "include",
+        body: JSON.stringify({ rows })
+      });
+
+      if (response.status === 401) {
+        setAuthError("CSVを取り込むにはログインが必要です。");
+        return false;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setAuthError(result?.error ?? '家計簿データの取り込みに失敗しました。');
+        return false;
+      }
+
+      setAuthError(null);
+      setQuotaWarnings(result.warnings || []);
+      refreshData(); //データ再取得
+      return true;
+    } catch (error) {
+      console.log('Error importing rows:', error);
+      setAuthError("家計簿データの取り込みに失敗しました。");
+      return false;
+    }
+  }
+
+  //エクスポート関数（認証ヘッダー付きで取得し、ブラウザのダウンロードとして保存）
+  const exportData = async({ format, from, to, category }) => {
+    try {
+      const params = new URLSearchParams({ format });
+      if (from) params.set("from", from);
+      if (to) params.set("to", to);
+      if (category) params.set("category", category);
+
+      const response = await authFetch(`${API_BASE}/api/kakeibo/export?${params}`, {
+        method: "GET",
+        credentials: "include",
+        headers: JSON_HEADERS
+      });
+
+      if (response.status === 401) {
+        setAuthError("データをエクスポートするにはログインが必要です。");
+        return;
+      }
+
+      if (!response.ok) {
+        const result = await response.json();
+        setAuthError(result?.error ?? '家計簿データのエクスポートに失敗しました。');
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `kakeibo_${new Date().toISOString().slice(0, 10).replace(/-/g, "")}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setAuthError(null);
+    } catch (error) {
+      console.log('Error exporting data:', error);
+      setAuthError("家計簿データのエクスポートに失敗しました。");
+    }
+  }
+
+  //編集開始（date入力欄用にYYYY-MM-DD形式へ揃える）
+  const startEdit = (item) => {
+    setEditingId(item.id);
+    setEditForm({
+      title: item.title,
+      amount: String(item.amount),
+      date: String(item.date).substring(0, 10),
+      category: item.category,
+      type: item.entry_type || "expense",
+      assetSymbol: item.asset_symbol || "",
+      accountType: item.account_type || "taxable"
+    });
+  };
 
-  //カテゴリのラベルを定義
-  const categoryLabels = {
-    food: "🍽️ 食費",
-    transport: "🚃 交通費", 
-    beauty: "💄 衣服・美容費",
-    entertainment: "🎮 娯楽費",
-    investment: "💰 投資",
-    other: "📦 その他"
+  const cancelEdit = () => {
+    setEditingId(null);
   };
 
-  //カテゴリーのCSSクラス名を取得
-  const getCategoryClass = (category) => {
-    const categoryClasses = {
-      food: styles.categoryFood,
-      transport: styles.categoryTransport,
-      beauty: styles.categoryBeauty,
-      entertainment: styles.categoryEntertainment,
-      investment: styles.categoryInvestment,
-      other: styles.categoryOther
+  //更新関数（楽観的更新：先に画面へ反映し、失敗したら元に戻す）
+  const saveEdit = async(id) => {
+    const previousData = data;
+    const { type, assetSymbol, accountType, ...editValues } = editForm;
+    const updatedItem = {
+      ...editValues,
+      amount: Number(editForm.amount),
+      entry_type: type,
+      asset_symbol: editValues.category === "investment" ? assetSymbol || null : null,
+      account_type: editValues.category === "investment" ? accountType : null
     };
-    return categoryClasses[category] || styles.categoryOther;
+    setData((prev) => prev.map((item) => (item.id === id ? { ...item, ...updatedItem } : item)));
+    setEditingId(null);
+
+    try {
+      const response = await authFetch(`${API_BASE}/api/kakeibo/${id}`, {
+        method: "PUT",
+        headers: JSON_HEADERS,
+        credentials: "include",
+        body: JSON.stringify(toEntryBody(editForm))
+      });
+
+      if (response.status === 401) {
+        setData(previousData);
+        setAuthError("支出を編集するにはログインが必要です。");
+        return;
+      }
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        setData(previousData);
+        setAuthError(result?.error ?? '家計簿データの更新に失敗しました。');
+        return;
+      }
+
+      setAuthError(null);
+      setQuotaWarnings(result.warnings || []);
+      setData((prev) => prev.map((item) => (item.id === id ? result.item : item)));
+      setAggregateKey((prev) => prev + 1);
+    } catch (error) {
+      console.log('Error updating item:', error);
+      setData(previousData);
+      setAuthError("家計簿データの更新に失敗しました。");
+    }
+  }
+
+  // 金額の合計はサーバー側で全期間分を集計したものを使う（一覧は読み込み済みのページ分だけのため）
+  const isIncome = (item) => item.entry_type === "income";
+  const totalAmount = totals.expenseTotal;
+  const incomeTotal = totals.incomeTotal;
+  const hasFilters = Object.keys(EMPTY_FILTERS).some((key) => filters[key] !== EMPTY_FILTERS[key]);
+
+  //カテゴリのラベルを定義（APIから取得したカテゴリ一覧が唯一の定義元）
+  const categoryLabels = Object.fromEntries(
+    categories.map((category) => [category.key, `${category.icon} ${category.label}`])
+  );
+
+  //種別ごとに選択できるカテゴリ
+  const expenseCategories = categories.filter((category) => category.entry_type === "expense");
+  const categoryKeysByType = {
+    expense: expenseCategories.map((category) => category.key),
+    income: categories.filter((category) => category.entry_type === "income").map((category) => category.key)
   };
 
-  //カテゴリー毎の合計金額を計算
-  const getCategoryTotal = (category) => {
-    return data
-      .filter(item => item.category === category)
-      .reduce((sum, item) => sum + parseInt(item.amount), 0); //reduceは配列の各要素に対して累積的な操作を行い、単一の値を生成するメソッド。ここでは、指定されたカテゴリーに属するすべての項目の金額を合計している。
+  const expenseCategoryLabels = Object.fromEntries(
+    categoryKeysByType.expense.map((key) => [key, categoryLabels[key]])
+  );
+
+  //カテゴリーのバッジの色を取得（未登録のカテゴリはグレー表示）
+  const getCategoryStyle = (key) => {
+    const category = categories.find((item) => item.key === key);
+    const color = category ? category.color : "#b2bec3";
+    return { background: `${color}55`, color: "var(--foreground)" };
+  };
+
+  //カテゴリー毎の合計金額を取得
+  const getCategoryTotal = (category) => totals.byCategory[category] || 0;
+
+  //メールアドレス確認メールの再送
+  const resendVerification = async () => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/auth/verify-email/resend`, {
+        method: "POST",
+        headers: JSON_HEADERS
+      });
+      const data = await response.json();
+      setVerificationMessage(response.ok ? `${data.message}メールのリンクを開いてください。` : data.error);
+    } catch (error) {
+      console.error("Resend verification failed:", error);
+      setVerificationMessage("確認メールの送信でエラーが発生しました。");
+    }
   };
 
   return (
@@ -191,6 +710,26 @@ export default function Page() {
           <Link href="/login" className={styles.authLink}>ログインページへ</Link>
         </div>
       )}
+      {user && !user.emailVerified && (
+        <div className={styles.quotaWarning}>
+          <p>{verificationMessage || "メールアドレスが未確認です。登録時に届いたメールのリンクを開いて確認してください。"}</p>
+          <button type="button" className={styles.cancelButton} onClick={resendVerification}>
+            確認メールを再送
+          </button>
+        </div>
+      )}
+      {quotaWarnings.length > 0 && (
+        <div className={styles.quotaWarning}>
+          <ul>
+            {quotaWarnings.map((warning) => (
+              <li key={warning}>⚠️ {warning}</li>
+            ))}
+          </ul>
+          <button type="button" className={styles.cancelButton} onClick={() => setQuotaWarnings([])}>
+            閉じる
+          </button>
+        </div>
+      )}
       <section className={styles.overviewGrid}>
         <article className={styles.summaryCard}>
           <div>
@@ -198,48 +737,75 @@ export default function Page() {
             <p className={styles.subtitle}>日常の支出と投資の可能性をひと目で把握</p>
           </div>
 
-          <div className={`${styles.totalAmount} ${totalAmount >= 0 ? styles.totalPositive : styles.totalNegative}`}>
-            <span>📊 合計</span>
-            <span>¥{totalAmount.toLocaleString()}</span>
+          <div className={styles.totalsRow}>
+            <div className={`${styles.totalAmount} ${totalAmount >= 0 ? styles.totalPositive : styles.totalNegative}`}>
+              <span>📊 支出合計</span>
+              <span>¥{totalAmount.toLocaleString()}</span>
+            </div>
+            <div className={`${styles.totalAmount} ${styles.totalIncome}`}>
+              <span>💴 収入合計</span>
+              <span>¥{incomeTotal.toLocaleString()}</span>
+            </div>
           </div>
 
           <div className={styles.categoryTotals}>
-            <div className={styles.categoryTotalItem}>
-              <span className={styles.categoryIcon}>🍽️</span>
-              <span className={styles.categoryName}>食費</span>
-              <span className={styles.categoryAmount}>¥{getCategoryTotal("food").toLocaleString()}</span>
-            </div>
-            <div className={styles.categoryTotalItem}>
-              <span className={styles.categoryIcon}>🚃</span>
-              <span className={styles.categoryName}>交通費</span>
-              <span className={styles.categoryAmount}>¥{getCategoryTotal("transport").toLocaleString()}</span>
-            </div>
-            <div className={styles.categoryTotalItem}>
-              <span className={styles.categoryIcon}>💄</span>
-              <span className={styles.categoryName}>衣服・美容費</span>
-              <span className={styles.categoryAmount}>¥{getCategoryTotal("beauty").toLocaleString()}</span>
-            </div>
-            <div className={styles.categoryTotalItem}>
-              <span className={styles.categoryIcon}>🎮</span>
-              <span className={styles.categoryName}>娯楽費</span>
-              <span className={styles.categoryAmount}>¥{getCategoryTotal("entertainment").toLocaleString()}</span>
-            </div>
-            <div className={styles.categoryTotalItem}>
-              <span className={styles.categoryIcon}>💰</span>
-              <span className={styles.categoryName}>投資</span>
-              <span className={styles.categoryAmount}>¥{getCategoryTotal("investment").toLocaleString()}</span>
-            </div>
-            <div className={styles.categoryTotalItem}>
-              <span className={styles.categoryIcon}>📦</span>
-              <span className={styles.categoryName}>その他</span>
-              <span className={styles.categoryAmount}>¥{getCategoryTotal("other").toLocaleString()}</span>
-            </div>
+            {expenseCategories.map((category) => (
+              <div key={category.id} className={styles.categoryTotalItem}>
+                <span className={styles.categoryIcon}>{category.icon}</span>
+                <span className={styles.categoryName}>{category.label}</span>
+                <span className={styles.categoryAmount}>¥{getCategoryTotal(category.key).toLocaleString()}</span>
+              </div>
+            ))}
           </div>
         </article>
 
         <article className={styles.chartCard}>
           <h2 className={styles.chartTitle}>📈 カテゴリー別支出割合</h2>
-          <CycleChart data={data} />
+          <CycleChart totals={totals.byCategory} categories={categories} />
+        </article>
+      </section>
+
+      <section>
+        <article className={styles.monthlyCard}>
+          <h2 className={styles.chartTitle}>💴 月別収支と貯蓄率</h2>
+          <MonthlySummary months={monthlySummary} />
+        </article>
+      </section>
+
+      <section>
+        <article className={styles.panelCard}>
+          <BudgetPanel
+            month={budgetMonth}
+            budgets={budgets}
+            categoryLabels={expenseCategoryLabels}
+            onMonthChange={setBudgetMonth}
+            onSave={saveBudget}
+            onDelete={deleteBudget}
+          />
+        </article>
+      </section>
+
+      <section>
+        <article className={styles.panelCard}>
+          <h2 className={styles.chartTitle}>🔁 定期取引</h2>
+          <RecurringManager
+            rules={recurringRules}
+            categories={categories}
+            onAdd={addRecurringRule}
+            onTogglePause={toggleRecurringPause}
+            onDelete={deleteRecurringRule}
+          />
+        </article>
+      </section>
+
+      <section>
+        <article className={styles.panelCard}>
+          <h2 className={styles.chartTitle}>🗂️ カテゴリ管理</h2>
+          <CategoryManager
+            categories={categories}
+            onAdd={addCategory}
+            onDelete={deleteCategory}
+          />
         </article>
       </section>
 
@@ -250,10 +816,22 @@ export default function Page() {
             onSubmit={(e) => {
               e.preventDefault();
               submitForm();
-              setForm({ title: "", amount: "", date: "", category: "" });
+              setForm({ title: "", amount: "", date: "", category: "", type: form.type, assetSymbol: "", accountType: form.accountType });
             }}
             className={styles.form}
           >
+            <div className={styles.inputGroup}>
+              <label className={styles.label}>🔀 種別</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm({ ...form, type: e.target.value, category: "" })}
+                className={styles.input}
+              >
+                <option value="expense">支出</option>
+                <option value="income">収入</option>
+              </select>
+            </div>
+
             <div className={styles.inputGroup}>
               <label className={styles.label}>📂 カテゴリ</label>
               <select
@@ -263,15 +841,41 @@ export default function Page() {
                 className={styles.input}
               >
                 <option value="">選択してください</option>
-                <option value="food">食費</option>
-                <option value="transport">交通費</option>
-                <option value="beauty">衣服・美容</option>
-                <option value="entertainment">娯楽費</option>
-                <option value="investment">投資</option>
-                <option value="other">その他</option>
+                {categoryKeysByType[form.type].map((key) => (
+                  <option key={key} value={key}>{categoryLabels[key]}</option>
+                ))}
               </select>
             </div>
 
+            {form.category === "investment" && (
+              <div className={styles.inputGroup}>
+                <label className={styles.label}>📈 銘柄</label>
+                <input
+                  type="text"
+                  list="asset-symbols"
+                  placeholder="例: SPY（未入力の場合はSPY）"
+                  value={form.assetSymbol}
+                  onChange={(e) => setForm({ ...form, assetSymbol: e.target.value.toUpperCase() })}
+                  className={styles.input}
+                />
+              </div>
+            )}
+
+            {form.category === "investment" && (
+              <div className={styles.inputGroup}>
+                <label className={styles.label}>🛡️ 口座区分</label>
+                <select
+                  value={form.accountType}
+                  onChange={(e) => setForm({ ...form, accountType: e.target.value })}
+                  className={styles.input}
+                >
+                  {ACCOUNT_TYPE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className={styles.inputGroup}>
               <label className={styles.label}>📝 項目名</label>
               <input
@@ -311,51 +915,167 @@ export default function Page() {
               ➕ 追加
             </button>
           </form>
+          <datalist id="asset-symbols">
+            {SYMBOL_PRESETS.map((preset) => (
+              <option key={preset.symbol} value={preset.symbol}>{preset.label}</option>
+            ))}
+          </datalist>
         </article>
 
         <article className={styles.tableCard}>
           <h2 className={styles.dataTitle}>📋 支出一覧</h2>
+          <ExpenseFilters categories={categories} filters={filters} onChange={setFilters} />
           {data.length === 0 ? (
             <div className={styles.emptyState}>
-              <div className={styles.emptyIcon}>📝</div>
-              <p className={styles.emptyText}>まだデータがありません</p>
-              <p className={styles.emptySubtext}>左のフォームから新しい記録を追加してみましょう</p>
+              <div className={styles.emptyIcon}>{hasFilters ? "🔍" : "📝"}</div>
+              <p className={styles.emptyText}>{hasFilters ? "条件に一致するデータがありません" : "まだデータがありません"}</p>
+              <p className={styles.emptySubtext}>
+                {hasFilters ? "絞り込み条件を変えてみましょう" : "左のフォームから新しい記録を追加してみましょう"}
+              </p>
             </div>
           ) : (
             <div className={styles.dataList}>
-              {displayedExpenses.map((item) => (
+              {data.map((item) => editingId === item.id ? (
+                <form
+                  key={item.id}
+                  className={`${styles.dataItem} ${styles.editItem}`}
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    saveEdit(item.id);
+                  }}
+                >
+                  <div className={styles.editFields}>
+                    <input
+                      type="text"
+                      value={editForm.title}
+                      onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                      required
+                      className={styles.input}
+                    />
+                    <select
+                      value={editForm.type}
+                      onChange={(e) => setEditForm({ ...editForm, type: e.target.value, category: "" })}
+                      className={styles.input}
+                    >
+                      <option value="expense">支出</option>
+                      <option value="income">収入</option>
+                    </select>
+                    <select
+                      value={editForm.category}
+                      onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                      required
+                      className={styles.input}
+                    >
+                      <option value="">カテゴリ</option>
+                      {categoryKeysByType[editForm.type].map((key) => (
+                        <option key={key} value={key}>{categoryLabels[key]}</option>
+                      ))}
+                    </select>
+                    {editForm.category === "investment" && (
+                      <input
+                        type="text"
+                        list="asset-symbols"
+                        placeholder="銘柄"
+                        value={editForm.assetSymbol}
+                        onChange={(e) => setEditForm({ ...editForm, assetSymbol: e.target.value.toUpperCase() })}
+                        className={styles.input}
+                      />
+                    )}
+                    {editForm.category === "investment" && (
+                      <select
+                        value={editForm.accountType}
+                        onChange={(e) => setEditForm({ ...editForm, accountType: e.target.value })}
+                        className={styles.input}
+                      >
+                        {ACCOUNT_TYPE_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    )}
+                    <input
+                      type="number"
+                      value={editForm.amount}
+                      onChange={(e) => setEditForm({ ...editForm, amount: e.target.value })}
+                      required
+                      className={styles.input}
+                    />
+                    <input
+                      type="date"
+                      value={editForm.date}
+                      onChange={(e) => setEditForm({ ...editForm, date: e.target.value })}
+                      required
+                      className={styles.input}
+                    />
+                  </div>
+                  <div className={styles.itemActions}>
+                    <button type="submit" className={styles.saveButton}>
+                      💾 保存
+                    </button>
+                    <button type="button" onClick={cancelEdit} className={styles.cancelButton}>
+                      キャンセル
+                    </button>
+                  </div>
+                </form>
+              ) : (
                 <div key={item.id} className={styles.dataItem}>
                   <div className={styles.itemContent}>
                     <div className={styles.itemTitle}>🏷️ {item.title}</div>
-                    <div className={`${styles.itemCategory} ${getCategoryClass(item.category)}`}>
-                      {categoryLabels[item.category]}
+                    <div className={styles.itemCategory} style={getCategoryStyle(item.category)}>
+                      {categoryLabels[item.category] || item.category}
                     </div>
                     <div className={styles.itemDetails}>
-                      <span className={`${styles.itemAmount} ${parseInt(item.amount) >= 0 ? styles.amountPositive : styles.amountNegative}`}>
-                        💰 ¥{parseInt(item.amount).toLocaleString()}
+                      <span className={`${styles.itemAmount} ${isIncome(item) ? styles.amountIncome : parseInt(item.amount) >= 0 ? styles.amountPositive : styles.amountNegative}`}>
+                        💰 {isIncome(item) ? "+" : ""}¥{parseInt(item.amount).toLocaleString()}
                       </span>
                       <span>📅 {item.date}</span>
+                      {item.asset_symbol && <span>📈 {item.asset_symbol}</span>}
+                      {item.category === "investment" && !isTaxableAccount(item.account_type) && (
+                        <span>🛡️ {getAccountLabel(item.account_type)}</span>
+                      )}
                     </div>
                   </div>
-                  <button onClick={() => deleteItem(item.id)} className={styles.deleteButton}>
-                    🗑️ 削除
-                  </button>
+                  <div className={styles.itemActions}>
+                    <button onClick={() => startEdit(item)} className={styles.editButton}>
+                      ✏️ 編集
+                    </button>
+                    <button onClick={() => deleteItem(item.id)} className={styles.deleteButton}>
+                      🗑️ 削除
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
           )}
-          {hasMoreExpenses && (
-            <button
-              type="button"
-              className={styles.collapseButton}
-              onClick={() => setShowAllExpenses((prev) => !prev)}
-            >
-              {showAllExpenses ? "一覧を閉じる" : `全${data.length}件を表示`}
-            </button>
+          {nextCursor && (
+            <div ref={sentinelRef} className={styles.loadMore}>
+              {loadingMore ? "読み込み中..." : (
+                <button type="button" className={styles.collapseButton} onClick={() => fetchData(filters, nextCursor)}>
+                  さらに読み込む
+                </button>
+              )}
+            </div>
           )}
         </article>
       </section>
 
+      <section>
+        <article className={styles.panelCard}>
+          <h2 className={styles.chartTitle}>📥 明細CSVの取り込み</h2>
+          <CsvImport
+            categories={categories}
+            onPreview={previewImport}
+            onImport={importRows}
+          />
+        </article>
+      </section>
+
+      <section>
+        <article className={styles.panelCard}>
+          <h2 className={styles.chartTitle}>📤 データのエクスポート</h2>
+          <ExportPanel categories={categories} onExport={exportData} />
+        </article>
+      </section>
+
       <section className={styles.linksRow}>
         <Link href="/invest" className={styles.linkTile}>
           <div className={styles.linkIcon}>💹</div>
@@ -364,6 +1084,13 @@ export default function Page() {
             <p>S&P500の株価データを使って、家計簿と投資を組み合わせた分析を体験しましょう。</p>
           </div>
         </Link>
+        <Link href="/account" className={styles.linkTile}>
+          <div className={styles.linkIcon}>🔐</div>
+          <div className={styles.linkContent}>
+            <h3>アカウント設定</h3>
+            <p>2段階認証の設定や、ログイン中の端末の確認・ログアウトができます。</p>
+          </div>
+        </Link>
       </section>
     </div>
   );
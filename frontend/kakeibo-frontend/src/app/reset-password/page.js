@@ -0,0 +1,119 @@
+"use client";
+
+import { Suspense, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+// ログイン画面と同じフォームの見た目を使う
+import styles from "../login/page.module.css";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
+
+// メールのリンク（/reset-password?token=...）から新しいパスワードを設定する
+function ResetPasswordForm() {
+  const token = useSearchParams().get("token");
+  const [form, setForm] = useState({ password: "", confirmation: "" });
+  const [status, setStatus] = useState({ type: "idle", message: "" });
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (form.password !== form.confirmation) {
+      setStatus({ type: "error", message: "確認用のパスワードが一致しません。" });
+      return;
+    }
+    setStatus({ type: "loading", message: "送信中..." });
+
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/password-reset`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token, password: form.password }),
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || "パスワードの再設定に失敗しました。");
+      }
+
+      setStatus({ type: "success", message: result.message });
+      setForm({ password: "", confirmation: "" });
+    } catch (error) {
+      setStatus({ type: "error", message: error.message });
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className={styles.form}>
+        <h1 className={styles.heading}>パスワードの再設定</h1>
+        <p className={styles.error}>リンクが正しくありません。メールのリンクをもう一度開いてください。</p>
+        <Link href="/forgot-password" className={styles.link}>再設定のメールを送り直す</Link>
+      </div>
+    );
+  }
+
+  return (
+    <form className={styles.form} onSubmit={handleSubmit}>
+      <h1 className={styles.heading}>新しいパスワード</h1>
+      <p className={styles.description}>再設定すると、すべての端末からログアウトします。</p>
+
+      <label className={styles.label}>
+        新しいパスワード
+        <input
+          className={styles.input}
+          type="password"
+          name="password"
+          value={form.password}
+          onChange={handleChange}
+          required
+        />
+      </label>
+
+      <label className={styles.label}>
+        新しいパスワード（確認）
+        <input
+          className={styles.input}
+          type="password"
+          name="confirmation"
+          value={form.confirmation}
+          onChange={handleChange}
+          required
+        />
+      </label>
+
+      <button
+        className={styles.button}
+        type="submit"
+        disabled={status.type === "loading" || status.type === "success"}
+      >
+        {status.type === "loading" ? "送信中..." : "パスワードを再設定"}
+      </button>
+
+      {status.type === "error" && <p className={styles.error}>{status.message}</p>}
+      {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+
+      {status.type === "success" ? (
+        <Link href="/login" className={styles.link}>ログインへ</Link>
+      ) : (
+        <Link href="/forgot-password" className={styles.link}>再設定のメールを送り直す</Link>
+      )}
+    </form>
+  );
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div className={styles.page}>
+      <Suspense fallback={<p className={styles.description}>読み込み中...</p>}>
+        <ResetPasswordForm />
+      </Suspense>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { authFetch, useAuth } from "../hooks/useAuth";
+import { describeUserAgent } from "../lib/device";
+import styles from "./page.module.css";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("ja-JP", { dateStyle: "medium", timeStyle: "short" });
+
+export default function SessionsPage() {
+  const { user, loading, logoutAll } = useAuth();
+  const router = useRouter();
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState({ type: "idle", message: "" });
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authFetch(`${API_BASE}/api/auth/sessions`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "ログイン中の端末の取得に失敗しました。");
+      }
+      setSessions(data.sessions);
+    } catch (error) {
+      console.error("Fetch sessions failed:", error);
+      setStatus({ type: "error", message: error.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchSessions();
+    }
+  }, [user, fetchSessions]);
+
+  const revokeSession = async (session) => {
+    const message = session.current
+      ? "この端末からログアウトしますか？"
+      : `${describeUserAgent(session.userAgent)} をログアウトさせますか？`;
+    if (!window.confirm(message)) return;
+
+    try {
+      const response = await authFetch(`${API_BASE}/api/auth/sessions/${session.id}`, { method: "DELETE" });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "ログアウトに失敗しました。");
+      }
+      if (session.current) {
+        router.push("/login");
+        return;
+      }
+      setStatus({ type: "success", message: "選択した端末をログアウトさせました。" });
+      fetchSessions();
+    } catch (error) {
+      console.error("Revoke session failed:", error);
+      setStatus({ type: "error", message: error.message });
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("この端末を含む、すべての端末からログアウトしますか？")) return;
+
+    const result = await logoutAll();
+    if (result.success) {
+      router.push("/login");
+    } else {
+      setStatus({ type: "error", message: result.error });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className={styles.page}>
+        <p className={styles.notice}>読み込み中...</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className={styles.page}>
+        <p className={styles.notice}>
+          ログイン中の端末を確認するには<Link href="/login">ログイン</Link>してください。
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.page}>
+      <section className={styles.panel}>
+        <div className={styles.header}>
+          <div>
+            <h1 className={styles.heading}>ログイン中の端末</h1>
+            <p className={styles.description}>
+              心当たりのない端末があれば、ログアウトさせてからパスワードを変更してください。
+            </p>
+          </div>
+          <Link href="/" className={styles.backLink}>← 家計簿に戻る</Link>
+        </div>
+
+        {status.type === "error" && <p className={styles.error}>{status.message}</p>}
+        {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+
+        <ul className={styles.list}>
+          {sessions.map((session) => (
+            <li key={session.id} className={styles.item}>
+              <div className={styles.device}>
+                <span className={styles.deviceName}>
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && <span className={styles.badge}>この端末</span>}
+                </span>
+                <span className={styles.meta}>
+                  IP: {session.ipAddress || "不明"} ・ 最終利用: {formatDateTime(session.lastSeenAt)} ・
+                  ログイン: {formatDateTime(session.createdAt)}
+                </span>
+              </div>
+              <button type="button" className={styles.revokeButton} onClick={() => revokeSession(session)}>
+                ログアウト
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <button type="button" className={styles.logoutAllButton} onClick={handleLogoutAll}>
+          すべての端末からログアウト
+        </button>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+"use client";
+
+import { Suspense, useEffect, useRef, useState } from "react";
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+// ログイン画面と同じフォームの見た目を使う
+import styles from "../login/page.module.css";
+
+const API_BASE = process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3000";
+
+// 確認メールのリンク（/verify-email?token=...）を開いたら、そのまま確認する
+function VerifyEmailResult() {
+  const token = useSearchParams().get("token");
+  const [status, setStatus] = useState({ type: "loading", message: "確認中..." });
+  // トークンは1回しか使えないため、開発時の二重実行（Strict Mode）でも送信は1回にする
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    if (!token) {
+      setStatus({ type: "error", message: "リンクが正しくありません。メールのリンクをもう一度開いてください。" });
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/api/auth/verify-email`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ token }),
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+          throw new Error(result.error || "メールアドレスの確認に失敗しました。");
+        }
+
+        setStatus({ type: "success", message: result.message });
+      } catch (error) {
+        setStatus({ type: "error", message: error.message });
+      }
+    };
+    verify();
+  }, [token]);
+
+  return (
+    <div className={styles.form}>
+      <h1 className={styles.heading}>メールアドレスの確認</h1>
+
+      {status.type === "loading" && <p className={styles.description}>{status.message}</p>}
+      {status.type === "error" && <p className={styles.error}>{status.message}</p>}
+      {status.type === "success" && <p className={styles.success}>{status.message}</p>}
+      {status.type === "error" && (
+        <p className={styles.description}>ログイン後、家計簿の画面から確認メールを再送できます。</p>
+      )}
+
+      <Link href="/" className={styles.link}>家計簿へ</Link>
+    </div>
+  );
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <div className={styles.page}>
+      <Suspense fallback={<p className={styles.description}>読み込み中...</p>}>
+        <VerifyEmailResult />
+      </Suspense>
+    </div>
+  );
+}